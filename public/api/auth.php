@@ -10,6 +10,14 @@ class Auth {
     private static $jwksCache = null;
     private static $jwksCacheTime = null;
 
+    // What each portal role may do; the frontend gets the result from api/user.php
+    private static $rolePermissions = [
+        'viewer' => ['content:view'],
+        'editor' => ['content:view', 'content:edit'],
+        'brand_admin' => ['content:view', 'brand_kits:manage'],
+        'org_admin' => ['content:view', 'content:edit', 'content:delete', 'brand_kits:manage', 'settings:manage']
+    ];
+
     /**
      * Verify authentication and return user info
      * Returns user data from JWT claims or false if invalid
@@ -270,16 +278,73 @@ class Auth {
      * Extract user information from JWT payload
      */
     private static function extractUserInfo($payload) {
+        $roles = self::getRoles($payload);
+
         return [
             'sub' => $payload['sub'] ?? null,
             'email' => $payload['email'] ?? $payload['sub'] ?? null,
             'name' => $payload['name'] ?? $payload['email'] ?? $payload['sub'] ?? null,
             'organization' => $payload['organization'] ?? $payload['org'] ?? 'Unknown Organization',
             'organization_id' => $payload['organizationId'] ?? $payload['org_id'] ?? null,
+            'roles' => $roles,
+            'permissions' => self::getPermissions($roles),
             'claims' => $payload // Full claims for additional data
         ];
     }
 
+    /**
+     * Get the portal roles granted by the token's claims
+     * Roles come from Okta groups (see getRoleGroups()) or a portalRoles claim
+     * listing role names; anyone with neither can only browse
+     */
+    private static function getRoles($payload) {
+        $groups = (array) ($payload['groups'] ?? []);
+        $roles = [];
+
+        foreach (getRoleGroups() as $role => $group) {
+            if (in_array($group, $groups, true)) {
+                $roles[] = $role;
+            }
+        }
+
+        foreach ((array) ($payload['portalRoles'] ?? []) as $role) {
+            if (isset(self::$rolePermissions[$role]) && !in_array($role, $roles, true)) {
+                $roles[] = $role;
+            }
+        }
+
+        return $roles ?: ['viewer'];
+    }
+
+    /**
+     * Get everything a set of roles may do
+     */
+    private static function getPermissions($roles) {
+        $permissions = [];
+
+        foreach ($roles as $role) {
+            $permissions = array_merge($permissions, self::$rolePermissions[$role] ?? []);
+        }
+
+        return array_values(array_unique($permissions));
+    }
+
+    /**
+     * Check if the user's roles allow an action, e.g. 'content:edit'
+     */
+    public static function can($user, $permission) {
+        return in_array($permission, $user['permissions'] ?? [], true);
+    }
+
+    /**
+     * Send a forbidden response unless the user's roles allow an action
+     */
+    public static function requirePermission($user, $permission) {
+        if (!self::can($user, $permission)) {
+            self::forbidden('Your role does not allow this action');
+        }
+    }
+
     /**
      * Send unauthorized response
      */
@@ -39,7 +39,8 @@ try {
     exit;
 }
 
-// Route the request
+// Route the request; everyone in the organization can read its brand kits,
+// changing them needs a brand admin role
 $method = $_SERVER['REQUEST_METHOD'];
 
 try {
@@ -49,14 +50,17 @@ try {
             break;
 
         case 'POST':
+            Auth::requirePermission($user, 'brand_kits:manage');
             handlePost($db, $user);
             break;
 
         case 'PUT':
+            Auth::requirePermission($user, 'brand_kits:manage');
             handlePut($db, $user);
             break;
 
         case 'DELETE':
+            Auth::requirePermission($user, 'brand_kits:manage');
             handleDelete($db, $user);
             break;
 
@@ -68,6 +72,12 @@ try {
             ]);
             break;
     }
+} catch (InvalidArgumentException $e) {
+    http_response_code(400);
+    echo json_encode([
+        'error' => $e->getMessage(),
+        'code' => 'INVALID_DATA'
+    ]);
 } catch (Exception $e) {
     error_log('API error: ' . $e->getMessage());
     http_response_code(500);
@@ -79,7 +89,8 @@ try {
 }
 
 /**
- * Handle GET requests - Retrieve brand kit for user's company
+ * Handle GET requests - Retrieve brand kits for user's company
+ * ?list returns every kit, ?id returns one kit, otherwise the default kit
  */
 function handleGet($db, $user) {
     // Use organization ID from Okta claims
@@ -94,7 +105,35 @@ function handleGet($db, $user) {
         return;
     }
 
-    // Get brand kit for this company
+    if (isset($_GET['list'])) {
+        echo json_encode([
+            'success' => true,
+            'brand_kits' => array_map('formatBrandKit', getBrandKitsByCompany($db, $companyId))
+        ]);
+        return;
+    }
+
+    if (isset($_GET['id'])) {
+        $brandKit = getBrandKitById($db, $_GET['id'], $companyId);
+
+        if (!$brandKit) {
+            http_response_code(404);
+            echo json_encode([
+                'error' => 'Brand kit not found',
+                'code' => 'NOT_FOUND'
+            ]);
+            return;
+        }
+
+        echo json_encode([
+            'success' => true,
+            'brand_kit' => formatBrandKit($brandKit),
+            'is_default' => false
+        ]);
+        return;
+    }
+
+    // Get the default brand kit for this company
     $brandKit = getBrandKitByCompany($db, $companyId);
 
     if (!$brandKit) {
@@ -109,18 +148,19 @@ function handleGet($db, $user) {
 
     echo json_encode([
         'success' => true,
-        'brand_kit' => $brandKit,
+        'brand_kit' => formatBrandKit($brandKit),
         'is_default' => false
     ]);
 }
 
 /**
- * Handle POST requests - Create new brand kit
+ * Handle POST requests - Create a new named brand kit
+ * ?duplicate={id} copies an existing kit instead
  */
 function handlePost($db, $user) {
     $data = json_decode(file_get_contents('php://input'), true);
 
-    if (!$data) {
+    if (!is_array($data)) {
         http_response_code(400);
         echo json_encode([
             'error' => 'Invalid JSON data',
@@ -141,31 +181,38 @@ function handlePost($db, $user) {
         return;
     }
 
-    // Check if brand kit already exists for this company
-    $existing = getBrandKitByCompany($db, $companyId);
-    if ($existing) {
-        http_response_code(409);
-        echo json_encode([
-            'error' => 'Brand kit already exists for this organization. Use PUT to update.',
-            'code' => 'ALREADY_EXISTS',
-            'brand_kit_id' => $existing['id']
-        ]);
-        return;
+    if (isset($_GET['duplicate'])) {
+        $source = getBrandKitById($db, $_GET['duplicate'], $companyId);
+
+        if (!$source) {
+            http_response_code(404);
+            echo json_encode([
+                'error' => 'Brand kit not found',
+                'code' => 'NOT_FOUND'
+            ]);
+            return;
+        }
+
+        $source = formatBrandKit($source);
+        $data = array_merge($source, ['name' => $data['name'] ?? $source['name'] . ' (copy)']);
     }
 
-    // Create new brand kit
-    $brandKitId = createBrandKit($db, $data, $companyId);
+    // The first kit an organization creates becomes its default
+    $isDefault = !getBrandKitByCompany($db, $companyId);
+    $brandKitId = createBrandKit($db, $data, $companyId, $isDefault);
 
     http_response_code(201);
     echo json_encode([
         'success' => true,
         'id' => $brandKitId,
+        'brand_kit' => formatBrandKit(getBrandKitById($db, $brandKitId, $companyId)),
         'message' => 'Brand kit created successfully'
     ]);
 }
 
 /**
- * Handle PUT requests - Update existing brand kit
+ * Handle PUT requests - Update a brand kit (?id) or the default kit
+ * Sending is_default: true makes the kit the organization's default
  */
 function handlePut($db, $user) {
     $data = json_decode(file_get_contents('php://input'), true);
@@ -191,12 +238,25 @@ function handlePut($db, $user) {
         return;
     }
 
-    // Get existing brand kit
-    $existing = getBrandKitByCompany($db, $companyId);
+    if (isset($_GET['id'])) {
+        $existing = getBrandKitById($db, $_GET['id'], $companyId);
+
+        if (!$existing) {
+            http_response_code(404);
+            echo json_encode([
+                'error' => 'Brand kit not found',
+                'code' => 'NOT_FOUND'
+            ]);
+            return;
+        }
+    } else {
+        // Get existing default brand kit
+        $existing = getBrandKitByCompany($db, $companyId);
+    }
 
     if (!$existing) {
         // Create if doesn't exist
-        $brandKitId = createBrandKit($db, $data, $companyId);
+        $brandKitId = createBrandKit($db, $data, $companyId, true);
         http_response_code(201);
         echo json_encode([
             'success' => true,
@@ -207,9 +267,12 @@ function handlePut($db, $user) {
     }
 
     // Update existing brand kit
+    $makeDefault = !empty($data['is_default']);
     $updated = updateBrandKit($db, $existing['id'], $data, $companyId);
 
-    if (!$updated) {
+    if ($makeDefault) {
+        setDefaultBrandKit($db, $existing['id'], $companyId);
+    } elseif (!$updated) {
         http_response_code(500);
         echo json_encode([
             'error' => 'Failed to update brand kit',
@@ -220,12 +283,13 @@ function handlePut($db, $user) {
 
     echo json_encode([
         'success' => true,
+        'id' => $existing['id'],
         'message' => 'Brand kit updated successfully'
     ]);
 }
 
 /**
- * Handle DELETE requests - Delete brand kit
+ * Handle DELETE requests - Delete one brand kit (?id) or all of them
  */
 function handleDelete($db, $user) {
     // Use organization ID from Okta claims
@@ -240,8 +304,17 @@ function handleDelete($db, $user) {
         return;
     }
 
-    // Delete brand kit for this company
-    $deleted = deleteBrandKit($db, $companyId);
+    // One kit at a time, so a request without an id can't remove them all
+    if (empty($_GET['id'])) {
+        http_response_code(400);
+        echo json_encode([
+            'error' => 'Brand kit ID is required',
+            'code' => 'MISSING_ID'
+        ]);
+        return;
+    }
+
+    $deleted = deleteBrandKitById($db, $_GET['id'], $companyId);
 
     if (!$deleted) {
         http_response_code(404);
@@ -259,28 +332,108 @@ function handleDelete($db, $user) {
 }
 
 /**
- * Get brand kit by company ID
+ * Get the default brand kit by company ID
+ * Falls back to the most recently edited kit if none is flagged
  */
 function getBrandKitByCompany($db, $companyId) {
     $tableName = getTableName('brand_kits');
-    $sql = "SELECT * FROM $tableName WHERE company_id = :company_id LIMIT 1";
+    $sql = "SELECT * FROM $tableName WHERE company_id = :company_id
+            ORDER BY is_default DESC, updated_at DESC LIMIT 1";
     $result = $db->queryOne($sql, ['company_id' => $companyId]);
     return $result ?: null;
 }
 
+/**
+ * Get all brand kits for a company, default first
+ */
+function getBrandKitsByCompany($db, $companyId) {
+    $tableName = getTableName('brand_kits');
+    $sql = "SELECT * FROM $tableName WHERE company_id = :company_id
+            ORDER BY is_default DESC, name ASC";
+    return $db->query($sql, ['company_id' => $companyId]);
+}
+
+/**
+ * Get a brand kit by ID, scoped to the company
+ */
+function getBrandKitById($db, $brandKitId, $companyId) {
+    $tableName = getTableName('brand_kits');
+    $sql = "SELECT * FROM $tableName WHERE id = :id AND company_id = :company_id";
+    $result = $db->queryOne($sql, ['id' => $brandKitId, 'company_id' => $companyId]);
+    return $result ?: null;
+}
+
+/**
+ * Prepare a stored brand kit for the response
+ */
+function formatBrandKit($brandKit) {
+    // Kits saved before the extended palette existed have empty color columns
+    foreach (getPaletteColorFields() as $field => $default) {
+        if (empty($brandKit[$field])) {
+            $brandKit[$field] = $default;
+        }
+    }
+
+    if (empty($brandKit['heading_font_family'])) {
+        $brandKit['heading_font_family'] = $brandKit['font_family'] ?: 'Inter';
+    }
+
+    $customFonts = json_decode($brandKit['custom_fonts'] ?? '', true);
+    $brandKit['custom_fonts'] = is_array($customFonts) ? $customFonts : [];
+
+    foreach (['logo_width', 'logo_height'] as $field) {
+        $brandKit[$field] = isset($brandKit[$field]) ? (int) $brandKit[$field] : null;
+    }
+
+    // Encoded as an object so it stays {} in JSON when empty
+    $logoVariants = json_decode($brandKit['logo_variants'] ?? '', true);
+    $brandKit['logo_variants'] = (object) (is_array($logoVariants) ? $logoVariants : []);
+
+    // Kits saved before named kits existed
+    if (empty($brandKit['name'])) {
+        $brandKit['name'] = 'Default';
+    }
+    $brandKit['is_default'] = (bool) ($brandKit['is_default'] ?? false);
+
+    return $brandKit;
+}
+
 /**
  * Get default brand kit values
  */
 function getDefaultBrandKit($companyId) {
-    return [
+    return array_merge([
         'id' => null,
         'company_id' => $companyId,
-        'primary_color' => '#4F46E5',
-        'text_color' => '#FFFFFF',
+        'name' => 'Default',
+        'is_default' => true
+    ], getPaletteColorFields(), [
         'logo_url' => null,
+        'logo_retina_url' => null,
+        'logo_width' => null,
+        'logo_height' => null,
+        'logo_variants' => (object) [],
         'font_family' => 'Inter',
+        'heading_font_family' => 'Inter',
+        'custom_fonts' => [],
         'created_at' => null,
         'updated_at' => null
+    ]);
+}
+
+/**
+ * Get the palette color fields and their default values
+ */
+function getPaletteColorFields() {
+    return [
+        'primary_color' => '#4F46E5',
+        'text_color' => '#FFFFFF',
+        'secondary_color' => '#0EA5E9',
+        'accent_color' => '#F59E0B',
+        'background_color' => '#FFFFFF',
+        'heading_color' => '#111827',
+        'body_text_color' => '#4B5563',
+        'link_color' => '#2563EB'
     ];
 }
 
@@ -292,54 +445,177 @@ function isValidHexColor($color) {
 }
 
 /**
- * Create new brand kit
+ * Validate a brand kit name
  */
-function createBrandKit($db, $data, $companyId) {
-    // Generate unique ID
-    $id = uniqid('brand_kit_', true);
+function isValidBrandKitName($name) {
+    return is_string($name) && trim($name) !== '' && strlen(trim($name)) <= 100;
+}
+
+/**
+ * Validate the URL of an uploaded 2x logo (null clears it)
+ */
+function normalizeLogoRetinaUrl($url) {
+    if ($url === null || $url === '') {
+        return null;
+    }
 
-    // Validate colors if provided
-    $primaryColor = $data['primary_color'] ?? '#4F46E5';
-    $textColor = $data['text_color'] ?? '#FFFFFF';
+    if (!is_string($url) || !preg_match('#^/uploads/logos/[A-Za-z0-9_.@\-]+$#', $url)) {
+        throw new InvalidArgumentException('Invalid logo_retina_url');
+    }
+
+    return $url;
+}
 
-    if (!isValidHexColor($primaryColor)) {
-        throw new Exception('Invalid primary_color format. Must be hex color (e.g., #4F46E5)');
+/**
+ * Validate the dark-background and square icon logo variants and return them
+ * as JSON for storage. The light-background logo is logo_url itself.
+ */
+function encodeLogoVariants($variants) {
+    // Duplicated kits pass the formatted (object) value back in
+    if ($variants instanceof stdClass) {
+        $variants = (array) $variants;
     }
 
-    if (!isValidHexColor($textColor)) {
-        throw new Exception('Invalid text_color format. Must be hex color (e.g., #FFFFFF)');
+    if (!is_array($variants)) {
+        throw new InvalidArgumentException('logo_variants must be an object');
     }
 
-    $tableName = getTableName('brand_kits');
-    $sql = "INSERT INTO $tableName (
-                id,
-                company_id,
-                primary_color,
-                text_color,
-                logo_url,
-                font_family,
-                created_at,
-                updated_at
-            ) VALUES (
-                :id,
-                :company_id,
-                :primary_color,
-                :text_color,
-                :logo_url,
-                :font_family,
-                NOW(),
-                NOW()
-            )";
+    $clean = [];
+
+    foreach ($variants as $variant => $logo) {
+        if (!in_array($variant, ['dark', 'icon'], true)) {
+            throw new InvalidArgumentException("Unknown logo variant $variant. Use dark or icon");
+        }
+
+        // null removes the variant
+        if ($logo === null) {
+            continue;
+        }
+
+        $url = is_array($logo) ? ($logo['url'] ?? null) : null;
+        if (!is_string($url) || !preg_match('#^/uploads/logos/[A-Za-z0-9_.@\-]+$#', $url)) {
+            throw new InvalidArgumentException("Invalid URL for the $variant logo");
+        }
+
+        $clean[$variant] = [
+            'url' => $url,
+            'retina_url' => normalizeLogoRetinaUrl($logo['retina_url'] ?? null),
+            'width' => normalizeLogoDimension($logo['width'] ?? null, "$variant logo width"),
+            'height' => normalizeLogoDimension($logo['height'] ?? null, "$variant logo height")
+        ];
+    }
+
+    return json_encode((object) $clean);
+}
+
+/**
+ * Validate a logo display width or height in pixels (null clears it)
+ */
+function normalizeLogoDimension($value, $field) {
+    if ($value === null || $value === '') {
+        return null;
+    }
+
+    if (!is_numeric($value) || (int) $value != $value || $value < 1 || $value > 2000) {
+        throw new InvalidArgumentException("Invalid $field. Must be a whole number of pixels between 1 and 2000");
+    }
+
+    return (int) $value;
+}
+
+/**
+ * Validate a font family name (used unquoted-safe in CSS)
+ */
+function isValidFontFamily($family) {
+    return is_string($family) && preg_match('/^[A-Za-z0-9][A-Za-z0-9 \-]{0,62}$/', $family);
+}
+
+/**
+ * Validate uploaded font entries and return them as JSON for storage
+ */
+function encodeCustomFonts($fonts) {
+    if (!is_array($fonts)) {
+        throw new InvalidArgumentException('custom_fonts must be an array');
+    }
+
+    $formats = ['woff', 'woff2', 'truetype'];
+    $fallbacks = ['sans-serif', 'serif', 'monospace'];
+    $clean = [];
+
+    foreach ($fonts as $font) {
+        if (!is_array($font) || !isValidFontFamily($font['family'] ?? null)) {
+            throw new InvalidArgumentException('Invalid custom font family name');
+        }
+
+        $url = $font['url'] ?? '';
+        if (!is_string($url) || !preg_match('#^/uploads/fonts/[A-Za-z0-9_.\-]+$#', $url)) {
+            throw new InvalidArgumentException("Invalid URL for custom font {$font['family']}");
+        }
+
+        if (!in_array($font['format'] ?? null, $formats, true)) {
+            throw new InvalidArgumentException("Invalid format for custom font {$font['family']}");
+        }
+
+        $clean[] = [
+            'family' => $font['family'],
+            'url' => $url,
+            'format' => $font['format'],
+            'fallback' => in_array($font['fallback'] ?? null, $fallbacks, true) ? $font['fallback'] : 'sans-serif'
+        ];
+    }
+
+    return json_encode($clean);
+}
+
+/**
+ * Create new brand kit
+ */
+function createBrandKit($db, $data, $companyId, $isDefault = false) {
+    // Generate unique ID
+    $id = uniqid('brand_kit_', true);
+
+    $name = $data['name'] ?? ($isDefault ? 'Default' : null);
+    if (!isValidBrandKitName($name)) {
+        throw new InvalidArgumentException('Brand kit name is required (up to 100 characters)');
+    }
 
     $params = [
         'id' => $id,
         'company_id' => $companyId,
-        'primary_color' => strtoupper($primaryColor),
-        'text_color' => strtoupper($textColor),
+        'name' => trim($name),
         'logo_url' => $data['logo_url'] ?? null,
+        'logo_retina_url' => normalizeLogoRetinaUrl($data['logo_retina_url'] ?? null),
+        'logo_width' => normalizeLogoDimension($data['logo_width'] ?? null, 'logo_width'),
+        'logo_height' => normalizeLogoDimension($data['logo_height'] ?? null, 'logo_height'),
+        'logo_variants' => encodeLogoVariants($data['logo_variants'] ?? []),
         'font_family' => $data['font_family'] ?? 'Inter',
+        'heading_font_family' => $data['heading_font_family'] ?? ($data['font_family'] ?? 'Inter'),
+        'custom_fonts' => encodeCustomFonts($data['custom_fonts'] ?? []),
     ];
 
+    foreach (['font_family', 'heading_font_family'] as $field) {
+        if (!isValidFontFamily($params[$field])) {
+            throw new InvalidArgumentException("Invalid $field. Use letters, numbers, spaces and hyphens only");
+        }
+    }
+
+    // Validate colors if provided, falling back to the default palette
+    foreach (getPaletteColorFields() as $field => $default) {
+        $color = $data[$field] ?? $default;
+
+        if (!isValidHexColor($color)) {
+            throw new InvalidArgumentException("Invalid $field format. Must be hex color (e.g., $default)");
+        }
+
+        $params[$field] = strtoupper($color);
+    }
+
+    $columns = array_keys($params);
+
+    $tableName = getTableName('brand_kits');
+    $sql = "INSERT INTO $tableName (" . implode(', ', $columns) . ", is_default, created_at, updated_at)
+            VALUES (:" . implode(', :', $columns) . ", " . ($isDefault ? 'TRUE' : 'FALSE') . ", NOW(), NOW())";
+
     $db->execute($sql, $params);
 
     return $id;
@@ -353,19 +629,45 @@ function updateBrandKit($db, $brandKitId, $data, $companyId) {
     $updateFields = [];
     $params = ['id' => $brandKitId, 'company_id' => $companyId];
 
-    $allowedFields = [
-        'primary_color', 'text_color', 'logo_url', 'font_family'
-    ];
+    $colorFields = getPaletteColorFields();
+    $allowedFields = array_merge(array_keys($colorFields), ['name', 'logo_url', 'logo_retina_url', 'logo_width', 'logo_height', 'logo_variants', 'font_family', 'heading_font_family', 'custom_fonts']);
+
+    // Logo fields can be cleared with null
+    $nullableFields = ['logo_url', 'logo_retina_url', 'logo_width', 'logo_height'];
 
     foreach ($allowedFields as $field) {
-        if (isset($data[$field])) {
+        if (isset($data[$field]) || (in_array($field, $nullableFields, true) && array_key_exists($field, $data))) {
             // Validate colors
-            if (($field === 'primary_color' || $field === 'text_color')) {
+            if (isset($colorFields[$field])) {
                 if (!isValidHexColor($data[$field])) {
-                    throw new Exception("Invalid $field format. Must be hex color (e.g., #4F46E5)");
+                    throw new InvalidArgumentException("Invalid $field format. Must be hex color (e.g., {$colorFields[$field]})");
                 }
                 $updateFields[] = "$field = :$field";
                 $params[$field] = strtoupper($data[$field]);
+            } elseif ($field === 'font_family' || $field === 'heading_font_family') {
+                if (!isValidFontFamily($data[$field])) {
+                    throw new InvalidArgumentException("Invalid $field. Use letters, numbers, spaces and hyphens only");
+                }
+                $updateFields[] = "$field = :$field";
+                $params[$field] = $data[$field];
+            } elseif ($field === 'custom_fonts') {
+                $updateFields[] = "$field = :$field";
+                $params[$field] = encodeCustomFonts($data[$field]);
+            } elseif ($field === 'logo_retina_url') {
+                $updateFields[] = "$field = :$field";
+                $params[$field] = normalizeLogoRetinaUrl($data[$field]);
+            } elseif ($field === 'logo_variants') {
+                $updateFields[] = "$field = :$field";
+                $params[$field] = encodeLogoVariants($data[$field]);
+            } elseif ($field === 'logo_width' || $field === 'logo_height') {
+                $updateFields[] = "$field = :$field";
+                $params[$field] = normalizeLogoDimension($data[$field], $field);
+            } elseif ($field === 'name') {
+                if (!isValidBrandKitName($data[$field])) {
+                    throw new InvalidArgumentException('Brand kit name is required (up to 100 characters)');
+                }
+                $updateFields[] = "$field = :$field";
+                $params[$field] = trim($data[$field]);
             } else {
                 $updateFields[] = "$field = :$field";
                 $params[$field] = $data[$field];
@@ -388,12 +690,38 @@ function updateBrandKit($db, $brandKitId, $data, $companyId) {
 }
 
 /**
- * Delete brand kit
+ * Delete one brand kit, promoting the most recently edited remaining kit
+ * to default if the deleted kit was the default
  */
-function deleteBrandKit($db, $companyId) {
+function deleteBrandKitById($db, $brandKitId, $companyId) {
     $tableName = getTableName('brand_kits');
-    $sql = "DELETE FROM $tableName WHERE company_id = :company_id";
-    $rowCount = $db->execute($sql, ['company_id' => $companyId]);
+
+    $db->beginTransaction();
+    try {
+        $sql = "DELETE FROM $tableName WHERE id = :id AND company_id = :company_id";
+        $rowCount = $db->execute($sql, ['id' => $brandKitId, 'company_id' => $companyId]);
+
+        $next = getBrandKitByCompany($db, $companyId);
+        if ($rowCount > 0 && $next && !$next['is_default']) {
+            $sql = "UPDATE $tableName SET is_default = TRUE WHERE id = :id AND company_id = :company_id";
+            $db->execute($sql, ['id' => $next['id'], 'company_id' => $companyId]);
+        }
+
+        $db->commit();
+    } catch (Exception $e) {
+        $db->rollback();
+        throw $e;
+    }
 
     return $rowCount > 0;
 }
+
+/**
+ * Make a brand kit the company's only default
+ */
+function setDefaultBrandKit($db, $brandKitId, $companyId) {
+    $tableName = getTableName('brand_kits');
+    $sql = "UPDATE $tableName SET is_default = (id = :id) WHERE company_id = :company_id";
+
+    return $db->execute($sql, ['id' => $brandKitId, 'company_id' => $companyId]) > 0;
+}
@@ -52,6 +52,12 @@ define('OKTA_DOMAIN', getenv('OKTA_DOMAIN') ?: '');
 define('OKTA_CLIENT_ID', getenv('OKTA_CLIENT_ID') ?: '');
 define('OKTA_ISSUER', getenv('OKTA_ISSUER') ?: '');
 
+// Okta groups that grant portal roles (the access token needs a "groups" claim)
+define('OKTA_GROUP_VIEWER', getenv('OKTA_GROUP_VIEWER') ?: 'Portal Viewers');
+define('OKTA_GROUP_EDITOR', getenv('OKTA_GROUP_EDITOR') ?: 'Portal Editors');
+define('OKTA_GROUP_BRAND_ADMIN', getenv('OKTA_GROUP_BRAND_ADMIN') ?: 'Portal Brand Admins');
+define('OKTA_GROUP_ORG_ADMIN', getenv('OKTA_GROUP_ORG_ADMIN') ?: 'Portal Org Admins');
+
 // Application configuration
 define('APP_URL', getenv('APP_URL') ?: 'http://localhost');
 define('API_URL', getenv('API_URL') ?: 'http://localhost/api');
@@ -74,6 +80,18 @@ function getOktaJwksUrl() {
     return $issuer . '/v1/keys';
 }
 
+/**
+ * Get the Okta group that grants each portal role
+ */
+function getRoleGroups() {
+    return [
+        'viewer' => OKTA_GROUP_VIEWER,
+        'editor' => OKTA_GROUP_EDITOR,
+        'brand_admin' => OKTA_GROUP_BRAND_ADMIN,
+        'org_admin' => OKTA_GROUP_ORG_ADMIN
+    ];
+}
+
 /**
  * Get full database DSN
  */
@@ -39,24 +39,44 @@ try {
     exit;
 }
 
-// Route the request
+/**
+ * Thrown when content changed since the client loaded it
+ */
+class ContentConflictException extends Exception {
+    private $content;
+
+    public function __construct($content) {
+        parent::__construct('Content was modified by another user');
+        $this->content = $content;
+    }
+
+    public function getContent() {
+        return $this->content;
+    }
+}
+
+// Route the request; the user's roles decide which methods they may use
 $method = $_SERVER['REQUEST_METHOD'];
 
 try {
     switch ($method) {
         case 'GET':
+            Auth::requirePermission($user, 'content:view');
             handleGet($db, $user);
             break;
 
         case 'POST':
+            Auth::requirePermission($user, 'content:edit');
             handlePost($db, $user);
             break;
 
         case 'PUT':
+            Auth::requirePermission($user, 'content:edit');
             handlePut($db, $user);
             break;
 
         case 'DELETE':
+            Auth::requirePermission($user, 'content:delete');
             handleDelete($db, $user);
             break;
 
@@ -68,6 +88,12 @@ try {
             ]);
             break;
     }
+} catch (InvalidArgumentException $e) {
+    http_response_code(400);
+    echo json_encode([
+        'error' => $e->getMessage(),
+        'code' => 'INVALID_DATA'
+    ]);
 } catch (Exception $e) {
     error_log('API error: ' . $e->getMessage());
     http_response_code(500);
@@ -82,10 +108,44 @@ try {
  * Handle GET requests - Retrieve content
  */
 function handleGet($db, $user) {
-    $contentType = $_GET['type'] ?? null;
     $contentId = $_GET['id'] ?? null;
 
-    if ($contentId) {
+    if ($contentId && isset($_GET['revisions'])) {
+        // List revisions for a content item
+        if (!getContentById($db, $contentId, $user)) {
+            http_response_code(404);
+            echo json_encode([
+                'error' => 'Content not found',
+                'code' => 'NOT_FOUND'
+            ]);
+            return;
+        }
+
+        $revisions = getRevisionList($db, $contentId);
+        echo json_encode([
+            'success' => true,
+            'revisions' => $revisions,
+            'count' => count($revisions)
+        ]);
+    } elseif ($contentId && isset($_GET['revision'])) {
+        // Get a single revision with its content
+        $revision = getContentById($db, $contentId, $user)
+            ? getRevisionById($db, $contentId, $_GET['revision'])
+            : null;
+        if (!$revision) {
+            http_response_code(404);
+            echo json_encode([
+                'error' => 'Revision not found',
+                'code' => 'NOT_FOUND'
+            ]);
+            return;
+        }
+
+        echo json_encode([
+            'success' => true,
+            'revision' => $revision
+        ]);
+    } elseif ($contentId) {
         // Get specific content item
         $content = getContentById($db, $contentId, $user);
         if (!$content) {
@@ -99,25 +159,53 @@ function handleGet($db, $user) {
 
         echo json_encode([
             'success' => true,
-            'content' => $content
+            'content' => decodeContentTags($content)
         ]);
     } else {
-        // Get list of content
-        $items = getContentList($db, $contentType, $user);
+        // Search/list a page of content
+        $filters = parseContentFilters($_GET);
+        $limit = normalizePageLimit($_GET['limit'] ?? null);
+        $offset = max(0, (int) ($_GET['offset'] ?? 0));
+
+        $items = getContentList($db, $filters, $user, $limit, $offset);
+        $total = countContent($db, $filters, $user);
+        $nextOffset = $offset + count($items);
+
         echo json_encode([
             'success' => true,
             'items' => $items,
-            'count' => count($items)
+            'count' => count($items),
+            'total' => $total,
+            'offset' => $offset,
+            'limit' => $limit,
+            'has_more' => $nextOffset < $total,
+            'next_offset' => $nextOffset < $total ? $nextOffset : null
         ]);
     }
 }
 
 /**
- * Handle POST requests - Create new customized content
+ * Handle POST requests - Create new customized content, fork a stock
+ * template, restore a revision or reset a customized copy to its original
  */
 function handlePost($db, $user) {
     $data = json_decode(file_get_contents('php://input'), true);
 
+    if (isset($_GET['fork'])) {
+        handleFork($db, $_GET['fork'], $user);
+        return;
+    }
+
+    if (isset($_GET['id']) && isset($_GET['restore'])) {
+        handleRestore($db, $_GET['id'], $_GET['restore'], $data ?: [], $user);
+        return;
+    }
+
+    if (isset($_GET['id']) && isset($_GET['reset'])) {
+        handleReset($db, $_GET['id'], $user);
+        return;
+    }
+
     if (!$data) {
         http_response_code(400);
         echo json_encode([
@@ -140,6 +228,13 @@ function handlePost($db, $user) {
         }
     }
 
+    validateEnvelope($data);
+
+    if (empty($user['organization_id'])) {
+        denyNoOrganization();
+        return;
+    }
+
     // Create new content
     $contentId = createContent($db, $data, $user);
 
@@ -177,10 +272,31 @@ function handlePut($db, $user) {
         return;
     }
 
-    // Update content
-    $updated = updateContent($db, $contentId, $data, $user);
+    validateEnvelope($data);
 
-    if (!$updated) {
+    // Stock templates are shared by every organization
+    $current = getContentById($db, $contentId, $user);
+    if ($current && isStockContent($current)) {
+        denyStockChange();
+        return;
+    }
+
+    // Update content, rejecting stale writes when the client sends the version it loaded
+    try {
+        $revision = updateContent(
+            $db,
+            $contentId,
+            $data,
+            $user,
+            $data['revision_note'] ?? null,
+            $data['expected_updated_at'] ?? null
+        );
+    } catch (ContentConflictException $e) {
+        sendConflict($db, $contentId, $e->getContent());
+        return;
+    }
+
+    if (!$revision) {
         http_response_code(404);
         echo json_encode([
             'error' => 'Content not found or unauthorized',
@@ -189,12 +305,208 @@ function handlePut($db, $user) {
         return;
     }
 
+    $content = getContentById($db, $contentId, $user);
+
     echo json_encode([
         'success' => true,
+        'revision' => $revision,
+        'updated_at' => $content['updated_at'],
         'message' => 'Content updated successfully'
     ]);
 }
 
+/**
+ * Respond that content was saved by someone else, with the version now stored
+ */
+function sendConflict($db, $contentId, $current) {
+    $latest = getLatestRevision($db, $contentId);
+
+    http_response_code(409);
+    echo json_encode([
+        'error' => 'This content was changed by someone else after you loaded it',
+        'code' => 'CONFLICT',
+        'current' => [
+            'updated_at' => $current['updated_at'],
+            'updated_by' => $latest ? ($latest['author_name'] ?? $latest['author_email']) : null,
+            'email_body_html' => $current['email_body_html']
+        ]
+    ]);
+}
+
+/**
+ * Handle restore requests - Restore a revision as a new revision
+ * Every revisioned field is written, including empty ones, and
+ * expected_updated_at is checked the same way as for PUT
+ */
+function handleRestore($db, $contentId, $revisionId, $data, $user) {
+    $content = getContentById($db, $contentId, $user);
+    if ($content && isStockContent($content)) {
+        denyStockChange();
+        return;
+    }
+
+    $revision = getRevisionById($db, $contentId, $revisionId);
+
+    if (!$revision) {
+        http_response_code(404);
+        echo json_encode([
+            'error' => 'Revision not found',
+            'code' => 'NOT_FOUND'
+        ]);
+        return;
+    }
+
+    $fields = [];
+    foreach (getRevisionFields() as $field) {
+        $fields[$field] = $revision[$field] ?? null;
+    }
+    $note = trim($data['note'] ?? '') ?: 'Restored revision from ' . $revision['created_at'];
+
+    try {
+        $newRevision = updateContent($db, $contentId, $fields, $user, $note, $data['expected_updated_at'] ?? null);
+    } catch (ContentConflictException $e) {
+        sendConflict($db, $contentId, $e->getContent());
+        return;
+    }
+
+    if (!$newRevision) {
+        http_response_code(404);
+        echo json_encode([
+            'error' => 'Content not found or unauthorized',
+            'code' => 'NOT_FOUND'
+        ]);
+        return;
+    }
+
+    echo json_encode([
+        'success' => true,
+        'revision' => $newRevision,
+        'content' => decodeContentTags(getContentById($db, $contentId, $user)),
+        'message' => 'Revision restored successfully'
+    ]);
+}
+
+/**
+ * Fork a stock template into a copy owned by the user's organization
+ * An organization has one copy per template, so customizing again returns it
+ */
+function handleFork($db, $sourceId, $user) {
+    $companyId = $user['organization_id'] ?? null;
+    if (!$companyId) {
+        denyNoOrganization();
+        return;
+    }
+
+    $source = getContentById($db, $sourceId, $user);
+    if (!$source) {
+        http_response_code(404);
+        echo json_encode([
+            'error' => 'Content not found',
+            'code' => 'NOT_FOUND'
+        ]);
+        return;
+    }
+
+    if (!isStockContent($source)) {
+        http_response_code(400);
+        echo json_encode([
+            'error' => 'Only stock templates can be customized into a copy',
+            'code' => 'NOT_STOCK'
+        ]);
+        return;
+    }
+
+    $existing = getForkOf($db, $sourceId, $companyId);
+    if (!$existing) {
+        try {
+            $contentId = forkContent($db, $source, $companyId, $user);
+
+            http_response_code(201);
+            echo json_encode([
+                'success' => true,
+                'id' => $contentId,
+                'created' => true,
+                'content' => decodeContentTags(getContentById($db, $contentId, $user)),
+                'message' => 'Customized copy created successfully'
+            ]);
+            return;
+        } catch (Exception $e) {
+            // Another request (e.g. a second tab) created the copy first
+            if (!$db->isDuplicateKeyError($e)) {
+                throw $e;
+            }
+
+            $existing = getForkOf($db, $sourceId, $companyId);
+            if (!$existing) {
+                throw $e;
+            }
+        }
+    }
+
+    echo json_encode([
+        'success' => true,
+        'id' => $existing['id'],
+        'created' => false,
+        'content' => decodeContentTags($existing)
+    ]);
+}
+
+/**
+ * Reset a customized copy to its stock template, as a new revision
+ */
+function handleReset($db, $contentId, $user) {
+    $content = getContentById($db, $contentId, $user);
+    if (!$content) {
+        http_response_code(404);
+        echo json_encode([
+            'error' => 'Content not found',
+            'code' => 'NOT_FOUND'
+        ]);
+        return;
+    }
+
+    if (empty($content['source_id'])) {
+        http_response_code(400);
+        echo json_encode([
+            'error' => 'Only customized copies of stock templates can be reset',
+            'code' => 'NOT_FORK'
+        ]);
+        return;
+    }
+
+    $source = getContentById($db, $content['source_id'], $user);
+    if (!$source) {
+        http_response_code(404);
+        echo json_encode([
+            'error' => 'The original template no longer exists',
+            'code' => 'SOURCE_NOT_FOUND'
+        ]);
+        return;
+    }
+
+    // Fields the original leaves empty are cleared rather than kept. The
+    // attachment's bytes go with its name; email_body_text is recomputed from
+    // the body by updateContent()
+    $fields = [];
+    foreach (array_merge(getRevisionFields(), ['description', 'content_preview', 'email_attachment_content']) as $field) {
+        $fields[$field] = $source[$field] ?? null;
+    }
+
+    // PostgreSQL returns bytea columns as streams
+    if (is_resource($fields['email_attachment_content'])) {
+        $fields['email_attachment_content'] = stream_get_contents($fields['email_attachment_content']);
+    }
+
+    $revision = updateContent($db, $contentId, $fields, $user, 'Reset to original');
+
+    echo json_encode([
+        'success' => true,
+        'revision' => $revision,
+        'content' => decodeContentTags(getContentById($db, $contentId, $user)),
+        'message' => 'Content reset to the original template'
+    ]);
+}
+
 /**
  * Handle DELETE requests - Delete content
  */
@@ -210,6 +522,12 @@ function handleDelete($db, $user) {
         return;
     }
 
+    $content = getContentById($db, $contentId, $user);
+    if ($content && isStockContent($content)) {
+        denyStockChange();
+        return;
+    }
+
     // Delete content
     $deleted = deleteContent($db, $contentId, $user);
 
@@ -230,19 +548,117 @@ function handleDelete($db, $user) {
 
 /**
  * Get content by ID
+ * Only stock templates and the user's organization's content are found
  */
 function getContentById($db, $contentId, $user) {
     $tableName = getTableName('content');
-    $sql = "SELECT * FROM $tableName WHERE id = :id LIMIT 1";
-    $result = $db->queryOne($sql, ['id' => $contentId]);
+    $scope = buildTenantScope($user);
+    $sql = "SELECT * FROM $tableName WHERE id = :id AND {$scope['where']} LIMIT 1";
+    $result = $db->queryOne($sql, array_merge(['id' => $contentId], $scope['params']));
     return $result ?: null;
 }
 
+/**
+ * Limit content to stock templates and the user's organization's own content
+ */
+function buildTenantScope($user) {
+    if (empty($user['organization_id'])) {
+        return ['where' => 'company_id IS NULL', 'params' => []];
+    }
+
+    return [
+        'where' => '(company_id IS NULL OR company_id = :tenant_id)',
+        'params' => ['tenant_id' => $user['organization_id']]
+    ];
+}
+
+/**
+ * Check if content is a shared stock template (owned by no organization)
+ */
+function isStockContent($content) {
+    return ($content['company_id'] ?? null) === null || $content['company_id'] === '';
+}
+
+/**
+ * Respond that stock templates can't be changed in place
+ */
+function denyStockChange() {
+    http_response_code(403);
+    echo json_encode([
+        'error' => 'Stock templates are shared and cannot be changed. Customize a copy instead.',
+        'code' => 'STOCK_READ_ONLY'
+    ]);
+}
+
+/**
+ * Respond that the user has no organization to own content
+ */
+function denyNoOrganization() {
+    http_response_code(403);
+    echo json_encode([
+        'error' => 'Your account is not linked to an organization',
+        'code' => 'NO_ORGANIZATION'
+    ]);
+}
+
+/**
+ * Get an organization's customized copy of a stock template
+ * There is at most one: (company_id, source_id) is a unique index
+ */
+function getForkOf($db, $sourceId, $companyId) {
+    $tableName = getTableName('content');
+    $sql = "SELECT * FROM $tableName
+            WHERE source_id = :source_id AND company_id = :company_id";
+
+    return $db->queryOne($sql, ['source_id' => $sourceId, 'company_id' => $companyId]) ?: null;
+}
+
+/**
+ * Copy a stock template into a new content item owned by an organization
+ * Copied in SQL so binary attachments don't pass through PHP
+ */
+function forkContent($db, $source, $companyId, $user) {
+    $id = uniqid('content_', true);
+    $columns = [
+        'title', 'description', 'content_type', 'content_preview', 'content_url',
+        'email_from_name', 'email_from_address', 'email_subject', 'email_preheader',
+        'email_body_html', 'email_body_text', 'email_attachment_filename', 'email_attachment_content', 'tags'
+    ];
+    $columnList = implode(', ', $columns);
+
+    $tableName = getTableName('content');
+    $sql = "INSERT INTO $tableName (id, company_id, source_id, $columnList, created_at, updated_at)
+            SELECT :id, :company_id, id, $columnList, NOW(), NOW()
+            FROM $tableName
+            WHERE id = :source_id";
+
+    $db->beginTransaction();
+
+    try {
+        $db->execute($sql, [
+            'id' => $id,
+            'company_id' => $companyId,
+            'source_id' => $source['id']
+        ]);
+
+        $copy = array_merge($source, ['id' => $id, 'company_id' => $companyId]);
+        createRevision($db, $copy, $user, 'Customized from stock template');
+
+        $db->commit();
+    } catch (Exception $e) {
+        $db->rollback();
+        throw $e;
+    }
+
+    return $id;
+}
+
 /**
  * Get list of content with optional filtering
  */
-function getContentList($db, $contentType, $user) {
+function getContentList($db, $filters, $user, $limit = 24, $offset = 0) {
     $tableName = getTableName('content');
+    $filter = buildContentFilter($filters, $user);
     $sql = "SELECT
                 id,
                 company_id,
@@ -252,24 +668,197 @@ function getContentList($db, $contentType, $user) {
                 content_preview,
                 content_url,
                 email_subject,
+                tags,
+                source_id,
                 created_at,
                 updated_at
             FROM $tableName
-            WHERE 1=1";
+            WHERE {$filter['where']}";
+
+    // id breaks ties so rows don't repeat or go missing between pages;
+    // limit and offset are validated integers
+    $orderBy = getContentSortOrders()[$filters['sort']];
+    $sql .= " ORDER BY $orderBy, id DESC LIMIT " . (int) $limit . " OFFSET " . (int) $offset;
+
+    return array_map('decodeContentTags', $db->query($sql, $filter['params']));
+}
+
+/**
+ * Count the content matching the list filters
+ */
+function countContent($db, $filters, $user) {
+    $tableName = getTableName('content');
+    $filter = buildContentFilter($filters, $user);
+
+    $row = $db->queryOne("SELECT COUNT(*) AS total FROM $tableName WHERE {$filter['where']}", $filter['params']);
+    return (int) $row['total'];
+}
+
+/**
+ * Sort options for content lists, as ORDER BY clauses
+ */
+function getContentSortOrders() {
+    return [
+        'newest' => 'created_at DESC',
+        'edited' => 'updated_at DESC',
+        'title' => 'LOWER(title) ASC'
+    ];
+}
+
+/**
+ * Read and validate the search, filter and sort query parameters
+ * Throws InvalidArgumentException for unknown values or malformed dates
+ */
+function parseContentFilters($query) {
+    $filters = [
+        'type' => trim($query['type'] ?? ''),
+        'q' => trim($query['q'] ?? ''),
+        'ownership' => $query['ownership'] ?? '',
+        'updated_from' => $query['updated_from'] ?? '',
+        'updated_to' => $query['updated_to'] ?? '',
+        'tag' => mb_strtolower(trim($query['tag'] ?? '')),
+        'sort' => $query['sort'] ?? 'newest'
+    ];
+
+    if ($filters['type'] === 'all') {
+        $filters['type'] = '';
+    }
+
+    if (!in_array($filters['ownership'], ['', 'customized', 'stock'], true)) {
+        throw new InvalidArgumentException('ownership must be customized or stock');
+    }
+
+    foreach (['updated_from', 'updated_to'] as $field) {
+        $date = $filters[$field];
+        if ($date !== '' && !(preg_match('/^\d{4}-\d{2}-\d{2}$/', $date) && strtotime($date) !== false)) {
+            throw new InvalidArgumentException("$field must be a date (YYYY-MM-DD)");
+        }
+    }
+
+    if (!array_key_exists($filters['sort'], getContentSortOrders())) {
+        throw new InvalidArgumentException('sort must be newest, edited or title');
+    }
+
+    return $filters;
+}
 
-    $params = [];
+/**
+ * Build the WHERE clause shared by the content list and its count
+ */
+function buildContentFilter($filters, $user) {
+    $scope = buildTenantScope($user);
+    $where = $scope['where'];
+    $params = $scope['params'];
 
     // Filter by content type if provided
-    if ($contentType) {
-        $sql .= " AND content_type = :content_type";
-        $params['content_type'] = $contentType;
+    if ($filters['type'] !== '') {
+        $where .= " AND content_type = :content_type";
+        $params['content_type'] = $filters['type'];
+    }
+
+    // Case-insensitive match on title, description, subject and the body's
+    // text (not its markup, see getBodyText()); LIKE wildcards in the search
+    // are matched literally. Each placeholder is used once, since native
+    // prepared statements can't repeat a name
+    if ($filters['q'] !== '') {
+        $pattern = '%' . escapeLike(mb_strtolower($filters['q'])) . '%';
+        $conditions = [];
+
+        foreach (['title', 'description', 'email_subject', 'email_body_text'] as $column) {
+            $conditions[] = "LOWER(COALESCE($column, '')) LIKE :search_$column";
+            $params["search_$column"] = $pattern;
+        }
+
+        $where .= ' AND (' . implode(' OR ', $conditions) . ')';
+    }
+
+    // Within the tenant scope, customized content is the organization's own;
+    // stock templates belong to no one
+    if ($filters['ownership'] === 'customized') {
+        $where .= " AND company_id IS NOT NULL";
+    } elseif ($filters['ownership'] === 'stock') {
+        $where .= " AND company_id IS NULL";
+    }
+
+    // Date range on the last edit, inclusive of both days
+    if ($filters['updated_from'] !== '') {
+        $where .= " AND updated_at >= :updated_from";
+        $params['updated_from'] = $filters['updated_from'];
+    }
+    if ($filters['updated_to'] !== '') {
+        $where .= " AND updated_at < :updated_before";
+        $params['updated_before'] = date('Y-m-d', strtotime($filters['updated_to'] . ' +1 day'));
+    }
+
+    // Tags are stored as a JSON array of lowercase strings
+    if ($filters['tag'] !== '') {
+        $where .= " AND tags LIKE :tag";
+        $params['tag'] = '%' . escapeLike(json_encode($filters['tag'])) . '%';
+    }
+
+    return ['where' => $where, 'params' => $params];
+}
+
+/**
+ * Escape LIKE wildcards (and the escape character) so they match literally
+ */
+function escapeLike($value) {
+    return addcslashes($value, '%_\\');
+}
+
+/**
+ * Get the visible text of an email body for searching, without tags,
+ * attributes, styles, scripts or comments
+ */
+function getBodyText($html) {
+    if ($html === null || $html === '') {
+        return null;
     }
 
-    // Order by most recent
-    $sql .= " ORDER BY created_at DESC LIMIT 100";
+    $html = preg_replace('#<!--.*?-->|<(head|style|script|title)\b[^>]*>.*?</\1\s*>#is', ' ', $html);
+    $text = html_entity_decode(strip_tags(preg_replace('#<[^>]*>#', ' $0 ', $html)), ENT_QUOTES | ENT_HTML5, 'UTF-8');
+
+    // &nbsp; decodes to U+00A0, which \s doesn't cover
+    return trim(preg_replace('/[\s\x{00A0}]+/u', ' ', $text));
+}
 
-    $results = $db->query($sql, $params);
-    return $results;
+/**
+ * Decode a content row's tags into an array
+ */
+function decodeContentTags($content) {
+    $content['tags'] = json_decode($content['tags'] ?? '[]', true) ?: [];
+    return $content;
+}
+
+/**
+ * Validate tags and encode them as a JSON array of unique lowercase strings
+ * Throws InvalidArgumentException for anything but up to 20 short strings
+ */
+function encodeContentTags($tags) {
+    if (!is_array($tags) || count($tags) > 20) {
+        throw new InvalidArgumentException('tags must be a list of at most 20 tags');
+    }
+
+    $clean = [];
+    foreach ($tags as $tag) {
+        if (!is_string($tag) || trim($tag) === '' || mb_strlen(trim($tag)) > 50) {
+            throw new InvalidArgumentException('Each tag must be 1-50 characters');
+        }
+        $clean[] = mb_strtolower(trim($tag));
+    }
+
+    return json_encode(array_values(array_unique($clean)));
+}
+
+/**
+ * Clamp the requested page size (default 24, at most 100)
+ */
+function normalizePageLimit($limit) {
+    if ($limit === null || $limit === '') {
+        return 24;
+    }
+
+    return max(1, min(100, (int) $limit));
 }
 
 /**
@@ -280,7 +869,7 @@ function createContent($db, $data, $user) {
     $id = uniqid('content_', true);
 
     // Use organization ID from Okta claims
-    $companyId = $user['organization_id'] ?? 'unknown';
+    $companyId = $user['organization_id'];
 
     $tableName = getTableName('content');
     $sql = "INSERT INTO $tableName (
@@ -291,11 +880,15 @@ function createContent($db, $data, $user) {
                 content_type,
                 content_preview,
                 content_url,
+                email_from_name,
                 email_from_address,
                 email_subject,
+                email_preheader,
                 email_body_html,
+                email_body_text,
                 email_attachment_filename,
                 email_attachment_content,
+                tags,
                 created_at,
                 updated_at
             ) VALUES (
@@ -306,11 +899,15 @@ function createContent($db, $data, $user) {
                 :content_type,
                 :content_preview,
                 :content_url,
+                :email_from_name,
                 :email_from_address,
                 :email_subject,
+                :email_preheader,
                 :email_body_html,
+                :email_body_text,
                 :email_attachment_filename,
                 :email_attachment_content,
+                :tags,
                 NOW(),
                 NOW()
             )";
@@ -323,11 +920,15 @@ function createContent($db, $data, $user) {
         'content_type' => $data['content_type'],
         'content_preview' => $data['content_preview'] ?? null,
         'content_url' => $data['content_url'] ?? null,
+        'email_from_name' => $data['email_from_name'] ?? null,
         'email_from_address' => $data['email_from_address'] ?? null,
         'email_subject' => $data['email_subject'] ?? null,
+        'email_preheader' => $data['email_preheader'] ?? null,
         'email_body_html' => $data['email_body_html'] ?? null,
+        'email_body_text' => getBodyText($data['email_body_html'] ?? null),
         'email_attachment_filename' => $data['email_attachment_filename'] ?? null,
         'email_attachment_content' => $data['email_attachment_content'] ?? null,
+        'tags' => encodeContentTags($data['tags'] ?? []),
     ];
 
     $db->execute($sql, $params);
@@ -336,28 +937,52 @@ function createContent($db, $data, $user) {
 }
 
 /**
- * Update existing content
+ * Update existing content, recording the result as a new revision
+ * Returns the new revision summary, or null if the content was not found.
+ * Throws ContentConflictException if $expectedUpdatedAt no longer matches.
  */
-function updateContent($db, $contentId, $data, $user) {
+function updateContent($db, $contentId, $data, $user, $note = null, $expectedUpdatedAt = null) {
+    // Stock templates are shared, so only the organization's own content is updated
+    $current = getContentById($db, $contentId, $user);
+    if (!$current || isStockContent($current)) {
+        return null;
+    }
+
+    if ($expectedUpdatedAt !== null && $current['updated_at'] !== $expectedUpdatedAt) {
+        throw new ContentConflictException($current);
+    }
+
     // Build dynamic update query
     $updateFields = [];
     $params = ['id' => $contentId];
 
     $allowedFields = [
         'title', 'description', 'content_preview', 'content_url',
-        'email_from_address', 'email_subject', 'email_body_html',
-        'email_attachment_filename', 'email_attachment_content'
+        'email_from_name', 'email_from_address', 'email_subject', 'email_preheader',
+        'email_body_html', 'email_attachment_filename', 'email_attachment_content'
     ];
 
+    // Fields sent as null are cleared; fields left out are kept
     foreach ($allowedFields as $field) {
-        if (isset($data[$field])) {
+        if (array_key_exists($field, $data)) {
             $updateFields[] = "$field = :$field";
             $params[$field] = $data[$field];
         }
     }
 
+    // The searchable text follows the body
+    if (array_key_exists('email_body_html', $data)) {
+        $updateFields[] = "email_body_text = :email_body_text";
+        $params['email_body_text'] = getBodyText($data['email_body_html']);
+    }
+
+    if (isset($data['tags'])) {
+        $updateFields[] = "tags = :tags";
+        $params['tags'] = encodeContentTags($data['tags']);
+    }
+
     if (empty($updateFields)) {
-        return false;
+        return null;
     }
 
     $updateFields[] = "updated_at = NOW()";
@@ -365,21 +990,219 @@ function updateContent($db, $contentId, $data, $user) {
     $tableName = getTableName('content');
     $sql = "UPDATE $tableName SET " . implode(', ', $updateFields) . " WHERE id = :id";
 
-    $rowCount = $db->execute($sql, $params);
+    // Guard against a save landing between the check above and this update
+    if ($expectedUpdatedAt !== null) {
+        $sql .= " AND updated_at = :expected_updated_at";
+        $params['expected_updated_at'] = $expectedUpdatedAt;
+    }
+
+    $db->beginTransaction();
 
-    return $rowCount > 0;
+    try {
+        // Content saved before revisions existed keeps its original version
+        if (countRevisions($db, $contentId) === 0) {
+            createRevision($db, $current, null, 'Original version', $current['updated_at']);
+        }
+
+        $rowCount = $db->execute($sql, $params);
+
+        if ($rowCount === 0 && $expectedUpdatedAt !== null) {
+            // MySQL reports 0 rows when nothing changed, so only a new timestamp is a conflict
+            $latest = getContentById($db, $contentId, $user);
+            if ($latest['updated_at'] !== $expectedUpdatedAt) {
+                throw new ContentConflictException($latest);
+            }
+        }
+
+        $updated = array_merge($current, array_intersect_key($data, array_flip($allowedFields)));
+        $revision = createRevision($db, $updated, $user, $note);
+
+        $db->commit();
+    } catch (Exception $e) {
+        $db->rollback();
+        throw $e;
+    }
+
+    return $revision;
+}
+
+/**
+ * Validate subject, sender, preheader and attachment name fields
+ */
+function validateEnvelope($data) {
+    $maxLengths = [
+        'email_subject' => 255,
+        'email_from_name' => 100,
+        'email_from_address' => 255,
+        'email_preheader' => 150,
+        'email_attachment_filename' => 255
+    ];
+
+    foreach ($maxLengths as $field => $maxLength) {
+        if (!isset($data[$field])) {
+            continue;
+        }
+
+        $value = $data[$field];
+
+        if (!is_string($value)) {
+            throw new InvalidArgumentException("$field must be a string");
+        }
+
+        if (mb_strlen($value) > $maxLength) {
+            throw new InvalidArgumentException("$field must be $maxLength characters or fewer");
+        }
+
+        // Header fields must not allow header injection
+        if (preg_match('/[\r\n]/', $value)) {
+            throw new InvalidArgumentException("$field cannot contain line breaks");
+        }
+    }
+
+    // Sending null clears a field, which the subject can't be
+    if (array_key_exists('email_subject', $data) && trim((string) $data['email_subject']) === '') {
+        throw new InvalidArgumentException('email_subject cannot be empty');
+    }
+
+    if (!empty($data['email_from_name']) && preg_match('/[<>"]/', $data['email_from_name'])) {
+        throw new InvalidArgumentException('email_from_name cannot contain < > or "');
+    }
+
+    if (!empty($data['email_from_address']) && !filter_var($data['email_from_address'], FILTER_VALIDATE_EMAIL)) {
+        throw new InvalidArgumentException('email_from_address must be a valid email address');
+    }
+
+    if (!empty($data['email_attachment_filename']) && preg_match('#[\\\\/:*?"<>|]#', $data['email_attachment_filename'])) {
+        throw new InvalidArgumentException('email_attachment_filename contains invalid characters');
+    }
+}
+
+/**
+ * Content fields captured in each revision
+ */
+function getRevisionFields() {
+    return [
+        'title', 'email_from_name', 'email_from_address', 'email_subject',
+        'email_preheader', 'email_body_html', 'email_attachment_filename'
+    ];
+}
+
+/**
+ * Record a revision of a content item
+ * $user is null for revisions not made by a known author
+ */
+function createRevision($db, $content, $user, $note = null, $createdAt = null) {
+    $id = uniqid('rev_', true);
+    $note = $note !== null ? mb_substr(trim($note), 0, 500) : null;
+
+    $params = [
+        'id' => $id,
+        'content_id' => $content['id'],
+        'company_id' => $content['company_id'] ?? null
+    ];
+
+    foreach (getRevisionFields() as $field) {
+        $params[$field] = $content[$field] ?? null;
+    }
+
+    $params['author_id'] = $user['sub'] ?? null;
+    $params['author_name'] = $user['name'] ?? null;
+    $params['author_email'] = $user['email'] ?? null;
+    $params['note'] = $note ?: null;
+
+    if ($createdAt) {
+        $params['created_at'] = $createdAt;
+    }
+
+    $columns = array_keys($params);
+    $values = array_map(function ($column) {
+        return ":$column";
+    }, $columns);
+
+    if (!$createdAt) {
+        $columns[] = 'created_at';
+        $values[] = 'NOW()';
+    }
+
+    $tableName = getTableName('content_revisions');
+    $sql = "INSERT INTO $tableName (" . implode(', ', $columns) . ")
+            VALUES (" . implode(', ', $values) . ")";
+
+    $db->execute($sql, $params);
+
+    return [
+        'id' => $id,
+        'author_name' => $params['author_name'],
+        'author_email' => $params['author_email'],
+        'note' => $params['note']
+    ];
+}
+
+/**
+ * Count revisions of a content item
+ */
+function countRevisions($db, $contentId) {
+    $tableName = getTableName('content_revisions');
+    $sql = "SELECT COUNT(*) AS total FROM $tableName WHERE content_id = :content_id";
+    $result = $db->queryOne($sql, ['content_id' => $contentId]);
+    return (int)($result['total'] ?? 0);
+}
+
+/**
+ * Get revisions of a content item, newest first (without content)
+ */
+function getRevisionList($db, $contentId) {
+    $tableName = getTableName('content_revisions');
+    $sql = "SELECT
+                id,
+                content_id,
+                title,
+                email_subject,
+                author_id,
+                author_name,
+                author_email,
+                note,
+                created_at
+            FROM $tableName
+            WHERE content_id = :content_id
+            ORDER BY created_at DESC, id DESC
+            LIMIT 200";
+
+    return $db->query($sql, ['content_id' => $contentId]);
+}
+
+/**
+ * Get the most recent revision of a content item (without content)
+ */
+function getLatestRevision($db, $contentId) {
+    $tableName = getTableName('content_revisions');
+    $sql = "SELECT id, author_name, author_email, note, created_at
+            FROM $tableName
+            WHERE content_id = :content_id
+            ORDER BY created_at DESC, id DESC
+            LIMIT 1";
+    $result = $db->queryOne($sql, ['content_id' => $contentId]);
+    return $result ?: null;
+}
+
+/**
+ * Get a single revision of a content item
+ */
+function getRevisionById($db, $contentId, $revisionId) {
+    $tableName = getTableName('content_revisions');
+    $sql = "SELECT * FROM $tableName WHERE id = :id AND content_id = :content_id LIMIT 1";
+    $result = $db->queryOne($sql, ['id' => $revisionId, 'content_id' => $contentId]);
+    return $result ?: null;
 }
 
 /**
  * Delete content
  */
 function deleteContent($db, $contentId, $user) {
-    // For now, we'll allow deletion of any content
-    // In production, you might want to add authorization checks
-
+    // Only the organization's own content; stock templates have no company_id
     $tableName = getTableName('content');
-    $sql = "DELETE FROM $tableName WHERE id = :id";
-    $rowCount = $db->execute($sql, ['id' => $contentId]);
+    $sql = "DELETE FROM $tableName WHERE id = :id AND company_id = :company_id";
+    $rowCount = $db->execute($sql, ['id' => $contentId, 'company_id' => $user['organization_id'] ?? null]);
 
     return $rowCount > 0;
 }
@@ -26,6 +26,10 @@ class Database {
                     PDO::ATTR_EMULATE_PREPARES => false,
                 ]
             );
+
+            // Store and return timestamps in UTC, like PHP (config.php), so
+            // clients can read offset-less values such as updated_at as UTC
+            $this->connection->exec(DB_TYPE === 'mysql' ? "SET time_zone = '+00:00'" : "SET TIME ZONE 'UTC'");
         } catch (PDOException $e) {
             error_log('Database connection error: ' . $e->getMessage());
             throw new Exception('Database connection failed');
@@ -87,8 +91,22 @@ class Database {
             return $stmt->rowCount();
         } catch (PDOException $e) {
             error_log('Execute error: ' . $e->getMessage());
-            throw new Exception('Query execution failed');
+            throw new Exception('Query execution failed', 0, $e);
+        }
+    }
+
+    /**
+     * Check if a failed execute() broke a unique index
+     * (SQLSTATE 23505 on PostgreSQL, error 1062 on MySQL)
+     */
+    public function isDuplicateKeyError(Exception $e) {
+        $previous = $e->getPrevious();
+        if (!$previous instanceof PDOException || !is_array($previous->errorInfo)) {
+            return false;
         }
+
+        [$sqlState, $driverCode] = $previous->errorInfo + [null, null];
+        return $sqlState === '23505' || ($sqlState === '23000' && (int)$driverCode === 1062);
     }
 
     /**
@@ -0,0 +1,220 @@
+<?php
+/**
+ * Organization Settings API Endpoint
+ * Handles per-organization editor defaults (e.g. link tracking parameters)
+ */
+
+require_once __DIR__ . '/config.php';
+require_once __DIR__ . '/auth.php';
+require_once __DIR__ . '/db.php';
+
+// Enable CORS
+header('Access-Control-Allow-Origin: ' . CORS_ALLOWED_ORIGINS);
+header('Access-Control-Allow-Methods: GET, PUT, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Authorization');
+header('Content-Type: application/json');
+
+// Handle preflight requests
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+// Authenticate user
+$user = Auth::authenticate();
+if (!$user) {
+    Auth::unauthorized('Authentication required');
+}
+
+// Get database instance
+try {
+    $db = Database::getInstance();
+} catch (Exception $e) {
+    error_log('Database connection failed: ' . $e->getMessage());
+    http_response_code(500);
+    echo json_encode([
+        'error' => 'Database connection failed',
+        'code' => 'DATABASE_ERROR'
+    ]);
+    exit;
+}
+
+// Use organization ID from Okta claims
+$companyId = $user['organization_id'] ?? null;
+
+if (!$companyId) {
+    http_response_code(400);
+    echo json_encode([
+        'error' => 'Organization ID not found in user claims',
+        'code' => 'MISSING_ORGANIZATION'
+    ]);
+    exit;
+}
+
+// Route the request
+$method = $_SERVER['REQUEST_METHOD'];
+
+try {
+    switch ($method) {
+        case 'GET':
+            handleGet($db, $companyId);
+            break;
+
+        case 'PUT':
+            Auth::requirePermission($user, 'settings:manage');
+            handlePut($db, $companyId);
+            break;
+
+        default:
+            http_response_code(405);
+            echo json_encode([
+                'error' => 'Method not allowed',
+                'code' => 'METHOD_NOT_ALLOWED'
+            ]);
+            break;
+    }
+} catch (InvalidArgumentException $e) {
+    http_response_code(400);
+    echo json_encode([
+        'error' => $e->getMessage(),
+        'code' => 'INVALID_DATA'
+    ]);
+} catch (Exception $e) {
+    error_log('API error: ' . $e->getMessage());
+    http_response_code(500);
+    echo json_encode([
+        'error' => 'Internal server error',
+        'code' => 'INTERNAL_ERROR',
+        'message' => $e->getMessage()
+    ]);
+}
+
+/**
+ * Handle GET requests - Retrieve settings for user's company
+ */
+function handleGet($db, $companyId) {
+    $stored = getSettingsByCompany($db, $companyId);
+
+    echo json_encode([
+        'success' => true,
+        'settings' => mergeSettings(getDefaultSettings(), $stored ?? []),
+        'is_default' => $stored === null
+    ]);
+}
+
+/**
+ * Handle PUT requests - Update settings (partial updates are merged)
+ */
+function handlePut($db, $companyId) {
+    $data = json_decode(file_get_contents('php://input'), true);
+
+    if (!$data || !is_array($data)) {
+        http_response_code(400);
+        echo json_encode([
+            'error' => 'Invalid JSON data',
+            'code' => 'INVALID_DATA'
+        ]);
+        return;
+    }
+
+    $stored = getSettingsByCompany($db, $companyId);
+    $settings = mergeSettings(mergeSettings(getDefaultSettings(), $stored ?? []), validateSettings($data));
+
+    saveSettings($db, $companyId, $settings, $stored !== null);
+
+    echo json_encode([
+        'success' => true,
+        'settings' => $settings,
+        'message' => 'Settings updated successfully'
+    ]);
+}
+
+/**
+ * Get default settings
+ */
+function getDefaultSettings() {
+    return [
+        'link_tracking' => [
+            'utm_source' => '',
+            'utm_medium' => 'email',
+            'utm_campaign' => '',
+            'utm_content' => '',
+            'utm_term' => ''
+        ]
+    ];
+}
+
+/**
+ * Merge settings one level deep, ignoring unknown keys
+ */
+function mergeSettings($base, $overrides) {
+    foreach ($base as $section => $values) {
+        if (isset($overrides[$section]) && is_array($overrides[$section])) {
+            $base[$section] = array_merge($values, array_intersect_key($overrides[$section], $values));
+        }
+    }
+    return $base;
+}
+
+/**
+ * Validate incoming settings
+ */
+function validateSettings($data) {
+    $valid = [];
+
+    if (isset($data['link_tracking'])) {
+        if (!is_array($data['link_tracking'])) {
+            throw new InvalidArgumentException('link_tracking must be an object');
+        }
+
+        $allowed = array_keys(getDefaultSettings()['link_tracking']);
+        foreach ($data['link_tracking'] as $key => $value) {
+            if (!in_array($key, $allowed, true)) {
+                continue;
+            }
+
+            if (!is_string($value) || strlen($value) > 100 || !preg_match('/^[A-Za-z0-9 _\-.{}]*$/', $value)) {
+                throw new InvalidArgumentException("Invalid $key. Use up to 100 letters, numbers, spaces, '-', '_', '.' or merge tags");
+            }
+
+            $valid['link_tracking'][$key] = trim($value);
+        }
+    }
+
+    return $valid;
+}
+
+/**
+ * Get stored settings by company ID
+ */
+function getSettingsByCompany($db, $companyId) {
+    $tableName = getTableName('organization_settings');
+    $sql = "SELECT settings FROM $tableName WHERE company_id = :company_id LIMIT 1";
+    $result = $db->queryOne($sql, ['company_id' => $companyId]);
+
+    if (!$result) {
+        return null;
+    }
+
+    $settings = json_decode($result['settings'], true);
+    return is_array($settings) ? $settings : [];
+}
+
+/**
+ * Insert or update settings for a company
+ */
+function saveSettings($db, $companyId, $settings, $exists) {
+    $tableName = getTableName('organization_settings');
+
+    if ($exists) {
+        $sql = "UPDATE $tableName SET settings = :settings, updated_at = NOW() WHERE company_id = :company_id";
+    } else {
+        $sql = "INSERT INTO $tableName (company_id, settings, created_at, updated_at)
+                VALUES (:company_id, :settings, NOW(), NOW())";
+    }
+
+    $db->execute($sql, [
+        'company_id' => $companyId,
+        'settings' => json_encode($settings)
+    ]);
+}
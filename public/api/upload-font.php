@@ -0,0 +1,178 @@
+<?php
+/**
+ * Font Upload API Endpoint
+ * Handles WOFF, WOFF2 and TTF uploads for brand kit fonts
+ */
+
+require_once __DIR__ . '/config.php';
+require_once __DIR__ . '/auth.php';
+
+// Enable CORS
+header('Access-Control-Allow-Origin: ' . CORS_ALLOWED_ORIGINS);
+header('Access-Control-Allow-Methods: POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Authorization');
+header('Content-Type: application/json');
+
+// Handle preflight requests
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+// Authenticate user
+$user = Auth::authenticate();
+if (!$user) {
+    Auth::unauthorized('Authentication required');
+}
+
+Auth::requirePermission($user, 'brand_kits:manage');
+
+// Only allow POST
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    http_response_code(405);
+    echo json_encode([
+        'error' => 'Method not allowed',
+        'code' => 'METHOD_NOT_ALLOWED'
+    ]);
+    exit;
+}
+
+// Check if file was uploaded
+if (!isset($_FILES['font']) || $_FILES['font']['error'] === UPLOAD_ERR_NO_FILE) {
+    http_response_code(400);
+    echo json_encode([
+        'error' => 'No file uploaded',
+        'code' => 'NO_FILE'
+    ]);
+    exit;
+}
+
+$file = $_FILES['font'];
+
+// Check for upload errors
+if ($file['error'] !== UPLOAD_ERR_OK) {
+    $errorMessages = [
+        UPLOAD_ERR_INI_SIZE => 'File exceeds upload_max_filesize in php.ini',
+        UPLOAD_ERR_FORM_SIZE => 'File exceeds MAX_FILE_SIZE in form',
+        UPLOAD_ERR_PARTIAL => 'File was only partially uploaded',
+        UPLOAD_ERR_NO_TMP_DIR => 'Missing temporary folder',
+        UPLOAD_ERR_CANT_WRITE => 'Failed to write file to disk',
+        UPLOAD_ERR_EXTENSION => 'Upload stopped by PHP extension'
+    ];
+
+    http_response_code(500);
+    echo json_encode([
+        'error' => $errorMessages[$file['error']] ?? 'Unknown upload error',
+        'code' => 'UPLOAD_ERROR'
+    ]);
+    exit;
+}
+
+// Validate file size (max 2MB - web fonts for email should be small)
+$maxSize = 2 * 1024 * 1024; // 2MB in bytes
+if ($file['size'] > $maxSize) {
+    http_response_code(400);
+    echo json_encode([
+        'error' => 'File size exceeds 2MB limit',
+        'code' => 'FILE_TOO_LARGE',
+        'max_size' => '2MB',
+        'file_size' => round($file['size'] / 1024 / 1024, 2) . 'MB'
+    ]);
+    exit;
+}
+
+// Validate file type by its signature - fileinfo reports fonts inconsistently
+// (often application/octet-stream), so the first bytes are checked instead
+$signatures = [
+    'woff' => ['wOFF'],
+    'woff2' => ['wOF2'],
+    'ttf' => ["\x00\x01\x00\x00", 'true']
+];
+
+$handle = fopen($file['tmp_name'], 'rb');
+$header = $handle ? fread($handle, 4) : '';
+if ($handle) {
+    fclose($handle);
+}
+
+$extension = null;
+foreach ($signatures as $type => $magic) {
+    if (in_array($header, $magic, true)) {
+        $extension = $type;
+        break;
+    }
+}
+
+$declaredExtension = strtolower(pathinfo($file['name'], PATHINFO_EXTENSION));
+
+if ($extension === null || $declaredExtension !== $extension) {
+    http_response_code(400);
+    echo json_encode([
+        'error' => 'Invalid file type. Only fonts are allowed (WOFF, WOFF2, TTF)',
+        'code' => 'INVALID_FILE_TYPE',
+        'detected_type' => $extension ?? 'unknown'
+    ]);
+    exit;
+}
+
+// Family name used in CSS - default to the file name
+$family = trim($_POST['family'] ?? '');
+if ($family === '') {
+    $family = trim(preg_replace('/[^A-Za-z0-9 \-]+/', ' ', pathinfo($file['name'], PATHINFO_FILENAME)));
+}
+
+if (!preg_match('/^[A-Za-z0-9][A-Za-z0-9 \-]{0,62}$/', $family)) {
+    http_response_code(400);
+    echo json_encode([
+        'error' => 'Font name may only contain letters, numbers, spaces and hyphens (max 63 characters)',
+        'code' => 'INVALID_FONT_NAME'
+    ]);
+    exit;
+}
+
+// Create uploads directory if it doesn't exist
+$uploadDir = __DIR__ . '/../uploads/fonts';
+if (!is_dir($uploadDir)) {
+    if (!mkdir($uploadDir, 0755, true)) {
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to create upload directory',
+            'code' => 'DIRECTORY_ERROR'
+        ]);
+        exit;
+    }
+}
+
+// Generate unique filename
+$companyId = $user['organization_id'] ?? 'unknown';
+$timestamp = time();
+$filename = 'font_' . preg_replace('/[^a-zA-Z0-9]/', '_', $companyId) . '_' . $timestamp . '_' . bin2hex(random_bytes(4)) . '.' . $extension;
+$filepath = $uploadDir . '/' . $filename;
+
+// Move uploaded file
+if (!move_uploaded_file($file['tmp_name'], $filepath)) {
+    http_response_code(500);
+    echo json_encode([
+        'error' => 'Failed to save uploaded file',
+        'code' => 'SAVE_ERROR'
+    ]);
+    exit;
+}
+
+// CSS src format() names
+$formats = [
+    'woff' => 'woff',
+    'woff2' => 'woff2',
+    'ttf' => 'truetype'
+];
+
+// Return success with URL
+http_response_code(200);
+echo json_encode([
+    'success' => true,
+    'url' => '/uploads/fonts/' . $filename,
+    'filename' => $filename,
+    'family' => $family,
+    'format' => $formats[$extension],
+    'size' => $file['size']
+]);
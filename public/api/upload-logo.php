@@ -25,6 +25,8 @@ if (!$user) {
     Auth::unauthorized('Authentication required');
 }
 
+Auth::requirePermission($user, 'brand_kits:manage');
+
 // Only allow POST
 if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
     http_response_code(405);
@@ -45,69 +47,81 @@ if (!isset($_FILES['logo']) || $_FILES['logo']['error'] === UPLOAD_ERR_NO_FILE)
     exit;
 }
 
-$file = $_FILES['logo'];
-
-// Check for upload errors
-if ($file['error'] !== UPLOAD_ERR_OK) {
-    $errorMessages = [
-        UPLOAD_ERR_INI_SIZE => 'File exceeds upload_max_filesize in php.ini',
-        UPLOAD_ERR_FORM_SIZE => 'File exceeds MAX_FILE_SIZE in form',
-        UPLOAD_ERR_PARTIAL => 'File was only partially uploaded',
-        UPLOAD_ERR_NO_TMP_DIR => 'Missing temporary folder',
-        UPLOAD_ERR_CANT_WRITE => 'Failed to write file to disk',
-        UPLOAD_ERR_EXTENSION => 'Upload stopped by PHP extension'
-    ];
-
-    http_response_code(500);
-    echo json_encode([
-        'error' => $errorMessages[$file['error']] ?? 'Unknown upload error',
-        'code' => 'UPLOAD_ERROR'
-    ]);
-    exit;
+// The optional 2x retina version is checked the same way as the logo
+$uploads = ['logo' => $_FILES['logo']];
+if (isset($_FILES['logo_2x']) && $_FILES['logo_2x']['error'] !== UPLOAD_ERR_NO_FILE) {
+    $uploads['logo_2x'] = $_FILES['logo_2x'];
 }
 
-// Validate file size (max 5MB)
-$maxSize = 5 * 1024 * 1024; // 5MB in bytes
-if ($file['size'] > $maxSize) {
-    http_response_code(400);
-    echo json_encode([
-        'error' => 'File size exceeds 5MB limit',
-        'code' => 'FILE_TOO_LARGE',
-        'max_size' => '5MB',
-        'file_size' => round($file['size'] / 1024 / 1024, 2) . 'MB'
-    ]);
-    exit;
-}
+$mimeTypes = [];
 
-// Validate file type
-$allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml'];
-$finfo = finfo_open(FILEINFO_MIME_TYPE);
-$mimeType = finfo_file($finfo, $file['tmp_name']);
-finfo_close($finfo);
+foreach ($uploads as $field => $file) {
+    // Check for upload errors
+    if ($file['error'] !== UPLOAD_ERR_OK) {
+        $errorMessages = [
+            UPLOAD_ERR_INI_SIZE => 'File exceeds upload_max_filesize in php.ini',
+            UPLOAD_ERR_FORM_SIZE => 'File exceeds MAX_FILE_SIZE in form',
+            UPLOAD_ERR_PARTIAL => 'File was only partially uploaded',
+            UPLOAD_ERR_NO_TMP_DIR => 'Missing temporary folder',
+            UPLOAD_ERR_CANT_WRITE => 'Failed to write file to disk',
+            UPLOAD_ERR_EXTENSION => 'Upload stopped by PHP extension'
+        ];
 
-if (!in_array($mimeType, $allowedTypes)) {
-    http_response_code(400);
-    echo json_encode([
-        'error' => 'Invalid file type. Only images are allowed (JPG, PNG, GIF, WebP, SVG)',
-        'code' => 'INVALID_FILE_TYPE',
-        'detected_type' => $mimeType
-    ]);
-    exit;
-}
+        http_response_code(500);
+        echo json_encode([
+            'error' => $errorMessages[$file['error']] ?? 'Unknown upload error',
+            'code' => 'UPLOAD_ERROR'
+        ]);
+        exit;
+    }
 
-// Get file extension
-$extension = pathinfo($file['name'], PATHINFO_EXTENSION);
-if (empty($extension)) {
-    // Fallback: get extension from MIME type
-    $mimeToExt = [
-        'image/jpeg' => 'jpg',
-        'image/jpg' => 'jpg',
-        'image/png' => 'png',
-        'image/gif' => 'gif',
-        'image/webp' => 'webp',
-        'image/svg+xml' => 'svg'
-    ];
-    $extension = $mimeToExt[$mimeType] ?? 'png';
+    // Validate file size (max 5MB)
+    $maxSize = 5 * 1024 * 1024; // 5MB in bytes
+    if ($file['size'] > $maxSize) {
+        http_response_code(400);
+        echo json_encode([
+            'error' => 'File size exceeds 5MB limit',
+            'code' => 'FILE_TOO_LARGE',
+            'max_size' => '5MB',
+            'file_size' => round($file['size'] / 1024 / 1024, 2) . 'MB'
+        ]);
+        exit;
+    }
+
+    // Validate file type
+    $allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml'];
+    $finfo = finfo_open(FILEINFO_MIME_TYPE);
+    $mimeType = finfo_file($finfo, $file['tmp_name']);
+    finfo_close($finfo);
+
+    if (!in_array($mimeType, $allowedTypes)) {
+        http_response_code(400);
+        echo json_encode([
+            'error' => 'Invalid file type. Only images are allowed (JPG, PNG, GIF, WebP, SVG)',
+            'code' => 'INVALID_FILE_TYPE',
+            'detected_type' => $mimeType
+        ]);
+        exit;
+    }
+
+    // Strip scripts, event handlers and external references from SVGs
+    if ($mimeType === 'image/svg+xml') {
+        try {
+            $svg = sanitizeSvg(file_get_contents($file['tmp_name']));
+        } catch (InvalidArgumentException $e) {
+            http_response_code(400);
+            echo json_encode([
+                'error' => $e->getMessage(),
+                'code' => 'INVALID_SVG'
+            ]);
+            exit;
+        }
+
+        file_put_contents($file['tmp_name'], $svg);
+        $uploads[$field]['size'] = strlen($svg);
+    }
+
+    $mimeTypes[$field] = $mimeType;
 }
 
 // Create uploads directory if it doesn't exist
@@ -123,31 +137,139 @@ if (!is_dir($uploadDir)) {
     }
 }
 
-// Generate unique filename
+// Generate unique filenames
 $companyId = $user['organization_id'] ?? 'unknown';
 $timestamp = time();
-$filename = 'logo_' . preg_replace('/[^a-zA-Z0-9]/', '_', $companyId) . '_' . $timestamp . '.' . $extension;
-$filepath = $uploadDir . '/' . $filename;
+$urls = [];
 
-// Move uploaded file
-if (!move_uploaded_file($file['tmp_name'], $filepath)) {
-    http_response_code(500);
-    echo json_encode([
-        'error' => 'Failed to save uploaded file',
-        'code' => 'SAVE_ERROR'
-    ]);
-    exit;
-}
+$mimeToExt = [
+    'image/jpeg' => 'jpg',
+    'image/jpg' => 'jpg',
+    'image/png' => 'png',
+    'image/gif' => 'gif',
+    'image/webp' => 'webp',
+    'image/svg+xml' => 'svg'
+];
+
+foreach ($uploads as $field => $file) {
+    // Extension comes from the detected type so a renamed file can't change how it is served
+    $extension = $mimeToExt[$mimeTypes[$field]] ?? 'png';
+    $suffix = $field === 'logo_2x' ? '@2x' : '';
+    $filename = 'logo_' . preg_replace('/[^a-zA-Z0-9]/', '_', $companyId) . '_' . $timestamp . $suffix . '.' . $extension;
+    $filepath = $uploadDir . '/' . $filename;
 
-// Generate URL (relative to public directory)
-$logoUrl = '/uploads/logos/' . $filename;
+    // Move uploaded file
+    if (!move_uploaded_file($file['tmp_name'], $filepath)) {
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to save uploaded file',
+            'code' => 'SAVE_ERROR'
+        ]);
+        exit;
+    }
+
+    // Generate URL (relative to public directory)
+    $urls[$field] = ['url' => '/uploads/logos/' . $filename, 'filename' => $filename];
+}
 
 // Return success with URL
 http_response_code(200);
 echo json_encode([
     'success' => true,
-    'url' => $logoUrl,
-    'filename' => $filename,
-    'size' => $file['size'],
-    'type' => $mimeType
+    'url' => $urls['logo']['url'],
+    'retina_url' => $urls['logo_2x']['url'] ?? null,
+    'filename' => $urls['logo']['filename'],
+    'size' => $uploads['logo']['size'],
+    'type' => $mimeTypes['logo']
 ]);
+
+/**
+ * Remove scripts, event handlers and external references from an SVG
+ * Mirrors LogoProcessor.sanitizeSVG() in js/logo-processor.js
+ */
+function sanitizeSvg($svg) {
+    // Entity declarations allow entity expansion attacks
+    if (preg_match('/<!ENTITY/i', $svg)) {
+        throw new InvalidArgumentException('SVG files with entity declarations are not allowed');
+    }
+
+    $doc = new DOMDocument();
+    $previous = libxml_use_internal_errors(true);
+    $loaded = $doc->loadXML($svg, LIBXML_NONET);
+    libxml_clear_errors();
+    libxml_use_internal_errors($previous);
+
+    if (!$loaded || !$doc->documentElement || $doc->documentElement->localName !== 'svg') {
+        throw new InvalidArgumentException('The file is not a valid SVG image');
+    }
+
+    $blockedElements = [
+        'script', 'foreignobject', 'iframe', 'frame', 'embed', 'object', 'applet',
+        'meta', 'link', 'base', 'handler', 'listener', 'audio', 'video',
+        'animate', 'animatemotion', 'animatetransform', 'set'
+    ];
+
+    $xpath = new DOMXPath($doc);
+
+    // Processing instructions such as <?xml-stylesheet?> can load external CSS
+    foreach (iterator_to_array($xpath->query('//processing-instruction()')) as $node) {
+        $node->parentNode->removeChild($node);
+    }
+
+    foreach (iterator_to_array($xpath->query('//*')) as $element) {
+        if (in_array(strtolower($element->localName), $blockedElements, true)) {
+            $element->parentNode->removeChild($element);
+            continue;
+        }
+
+        foreach (iterator_to_array($element->attributes) as $attr) {
+            if (!isSafeSvgAttribute($attr->nodeName, $attr->value)) {
+                $element->removeAttributeNode($attr);
+            }
+        }
+
+        if ($element->localName === 'style') {
+            $element->textContent = sanitizeSvgStyle($element->textContent);
+        }
+    }
+
+    // Saving only the root element drops any DOCTYPE
+    return $doc->saveXML($doc->documentElement);
+}
+
+/**
+ * Check an SVG attribute: no event handlers, script URLs or external references
+ */
+function isSafeSvgAttribute($name, $value) {
+    $name = strtolower($name);
+    $compact = strtolower(preg_replace('/[\s\x00-\x1f]/', '', $value));
+
+    if (strpos($name, 'on') === 0) {
+        return false;
+    }
+
+    // Links may only point inside the document or at embedded raster images
+    if ($name === 'href' || substr($name, -5) === ':href' || $name === 'src') {
+        $value = trim($value);
+        return strpos($value, '#') === 0 || preg_match('#^data:image/(png|jpeg|gif|webp);base64,#i', $value);
+    }
+
+    if (preg_match('/^(javascript|vbscript|data):/', $compact)) {
+        return false;
+    }
+
+    return sanitizeSvgStyle($value) === $value;
+}
+
+/**
+ * Remove @import and url() references that leave the document from CSS
+ */
+function sanitizeSvgStyle($css) {
+    $css = preg_replace('/@import[^;]*;?/i', '', $css);
+    $css = preg_replace_callback('/url\(([^)]*)\)/i', function ($match) {
+        $target = trim(preg_replace('/^[\'"]/', '', trim($match[1])));
+        return strpos($target, '#') === 0 ? $match[0] : 'none';
+    }, $css);
+
+    return preg_replace('/expression\s*\(/i', '', $css);
+}
@@ -0,0 +1,50 @@
+<?php
+/**
+ * Current User API Endpoint
+ * Returns the signed-in user's organization, roles and permissions as the
+ * API resolves them, so the frontend offers exactly what the API allows
+ */
+
+require_once __DIR__ . '/config.php';
+require_once __DIR__ . '/auth.php';
+
+// Enable CORS
+header('Access-Control-Allow-Origin: ' . CORS_ALLOWED_ORIGINS);
+header('Access-Control-Allow-Methods: GET, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Authorization');
+header('Content-Type: application/json');
+
+// Handle preflight requests
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+// Authenticate user
+$user = Auth::authenticate();
+if (!$user) {
+    Auth::unauthorized('Authentication required');
+}
+
+// Only allow GET
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    http_response_code(405);
+    echo json_encode([
+        'error' => 'Method not allowed',
+        'code' => 'METHOD_NOT_ALLOWED'
+    ]);
+    exit;
+}
+
+echo json_encode([
+    'success' => true,
+    'user' => [
+        'sub' => $user['sub'],
+        'email' => $user['email'],
+        'name' => $user['name'],
+        'organization' => $user['organization'],
+        'organization_id' => $user['organization_id'],
+        'roles' => $user['roles'],
+        'permissions' => $user['permissions']
+    ]
+]);
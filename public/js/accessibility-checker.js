@@ -0,0 +1,353 @@
+/**
+ * Accessibility Checker Module
+ * Checks the template for WCAG contrast, alt text, heading order and link text
+ */
+
+class AccessibilityChecker {
+    constructor(editor) {
+        this.editor = editor;
+        this.issues = [];
+        this.hasRun = false;
+        this.runTimer = null;
+        this.vagueLinkText = [
+            'click', 'click here', 'here', 'link', 'this link', 'more', 'read more',
+            'learn more', 'details', 'more info', 'go', 'this', 'continue'
+        ];
+
+        this.init();
+    }
+
+    /**
+     * Initialize panel controls and keep results fresh as the template changes
+     */
+    init() {
+        const runBtn = document.getElementById('a11y-run-btn');
+        if (runBtn) {
+            runBtn.addEventListener('click', () => this.run());
+        }
+
+        const list = document.getElementById('a11y-results');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-issue-index]');
+                if (item) this.focusIssue(this.issues[item.dataset.issueIndex]);
+            });
+        }
+
+        this.editor.history.addEventListener((event) => {
+            if (this.editor.selectedElement) {
+                this.showElementContrast(this.editor.selectedElement);
+            }
+
+            if (this.hasRun && event !== 'saved') {
+                clearTimeout(this.runTimer);
+                this.runTimer = setTimeout(() => this.run(), 500);
+            }
+        });
+    }
+
+    /**
+     * Run all checks and render the results
+     */
+    run() {
+        const preview = document.getElementById('email-preview');
+        if (!preview) return;
+
+        const contrast = this.checkContrast(preview);
+
+        this.issues = [
+            ...contrast.issues,
+            ...this.checkImages(preview),
+            ...this.checkHeadings(preview),
+            ...this.checkLinks(preview)
+        ];
+        this.hasRun = true;
+
+        this.render(contrast);
+    }
+
+    /**
+     * Check contrast of every element that directly contains text
+     */
+    checkContrast(root) {
+        const issues = [];
+        let total = 0;
+        let passAA = 0;
+        let passAAA = 0;
+
+        root.querySelectorAll('*').forEach(el => {
+            if (!this.hasOwnText(el) || el.closest('.merge-tag')) return;
+
+            const styles = window.getComputedStyle(el);
+            if (styles.display === 'none' || styles.visibility === 'hidden') return;
+
+            const result = this.measureContrast(el);
+            if (!result) return;
+
+            total++;
+            if (result.aa) passAA++;
+            if (result.aaa) passAAA++;
+
+            if (!result.aaa) {
+                issues.push({
+                    type: 'contrast',
+                    severity: result.aa ? 'warning' : 'error',
+                    message: `Contrast ${result.ratio}:1 ${result.aa ? 'passes AA but fails AAA' : 'fails AA'} (needs ${result.largeText ? '3:1 / 4.5:1' : '4.5:1 / 7:1'}) — "${this.getSnippet(el)}"`,
+                    element: el
+                });
+            }
+        });
+
+        return { issues, total, passAA, passAAA };
+    }
+
+    /**
+     * Flag images without alt text
+     */
+    checkImages(root) {
+        const issues = [];
+
+        root.querySelectorAll('img').forEach(img => {
+            if (img.getAttribute('role') === 'presentation') return;
+
+            // Empty alt marks decorative images; linked ones are covered by checkLinks()
+            if (img.getAttribute('alt') === null) {
+                issues.push({ type: 'alt', severity: 'error', message: 'Image is missing alt text', element: img });
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Flag skipped heading levels (e.g. h2 followed by h4)
+     */
+    checkHeadings(root) {
+        const issues = [];
+        let previous = 0;
+
+        root.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+            const level = parseInt(heading.tagName.slice(1), 10);
+
+            if (previous && level > previous + 1) {
+                issues.push({
+                    type: 'heading',
+                    severity: 'warning',
+                    message: `Heading level skipped: h${previous} is followed by h${level} — "${this.getSnippet(heading)}"`,
+                    element: heading
+                });
+            }
+
+            previous = level;
+        });
+
+        return issues;
+    }
+
+    /**
+     * Flag links with no text or text that makes no sense out of context
+     */
+    checkLinks(root) {
+        const issues = [];
+
+        root.querySelectorAll('a').forEach(link => {
+            const text = this.getLinkText(link);
+            const normalized = text.toLowerCase().replace(/[^a-z ]/g, '').trim();
+
+            if (!text) {
+                const message = link.querySelector('img')
+                    ? 'Linked image has no alt text, so the link has no name'
+                    : 'Link has no text';
+                issues.push({ type: 'link', severity: 'error', message, element: link });
+            } else if (this.vagueLinkText.includes(normalized)) {
+                issues.push({
+                    type: 'link',
+                    severity: 'warning',
+                    message: `Vague link text "${text}" — describe where the link goes`,
+                    element: link
+                });
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Show the contrast of the selected element in the sidebar
+     */
+    showElementContrast(element) {
+        const badge = document.getElementById('element-contrast');
+        if (!badge) return;
+
+        const result = element.tagName !== 'IMG' && element.textContent.trim()
+            ? this.measureContrast(element)
+            : null;
+
+        if (!result) {
+            badge.style.display = 'none';
+            return;
+        }
+
+        const level = result.aaa ? 'AAA' : result.aa ? 'AA' : 'Fails AA';
+        badge.textContent = `Contrast ${result.ratio}:1 · ${level}`;
+        badge.className = `contrast-badge ${result.aaa ? 'pass' : result.aa ? 'warning' : 'fail'}`;
+        badge.style.display = 'block';
+    }
+
+    /**
+     * Measure an element's text contrast against its effective background
+     * Returns null when it can't be measured (e.g. over a background image)
+     */
+    measureContrast(el) {
+        const styles = window.getComputedStyle(el);
+        const background = this.getBackgroundColor(el);
+        const color = this.parseColor(styles.color);
+        if (!background || !color) return null;
+
+        // WCAG large text: 24px+, or 18.66px+ bold
+        const fontSize = parseFloat(styles.fontSize);
+        const largeText = fontSize >= 24 || (fontSize >= 18.66 && parseInt(styles.fontWeight, 10) >= 700);
+
+        const foreground = this.blend(color, background);
+        const result = window.brandKitManager.checkContrast(this.toHex(foreground), this.toHex(background), largeText);
+
+        return result ? { ...result, largeText } : null;
+    }
+
+    /**
+     * Render the results list
+     */
+    render(contrast) {
+        const summary = document.getElementById('a11y-summary');
+        const list = document.getElementById('a11y-results');
+        if (!summary || !list) return;
+
+        const errors = this.issues.filter(issue => issue.severity === 'error').length;
+        const warnings = this.issues.length - errors;
+
+        summary.innerHTML = `
+            <div><strong>${contrast.passAA}/${contrast.total}</strong> text elements pass AA · <strong>${contrast.passAAA}/${contrast.total}</strong> pass AAA</div>
+            <div>${errors} error${errors === 1 ? '' : 's'} · ${warnings} warning${warnings === 1 ? '' : 's'}</div>
+        `;
+        summary.style.display = 'block';
+
+        if (this.issues.length === 0) {
+            list.innerHTML = '<p class="a11y-empty">No issues found.</p>';
+            return;
+        }
+
+        list.innerHTML = '';
+        this.issues.forEach((issue, index) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = `a11y-issue ${issue.severity}`;
+            item.dataset.issueIndex = index;
+            item.textContent = issue.message;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Select and scroll to the element behind an issue
+     */
+    focusIssue(issue) {
+        if (!issue || !issue.element.isConnected) return;
+
+        const target = issue.element.closest('.editable-element') || issue.element;
+        target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+        if (target.classList.contains('editable-element')) {
+            this.editor.selectElement(target);
+        }
+    }
+
+    /**
+     * Check whether an element has its own visible text
+     */
+    hasOwnText(el) {
+        return Array.from(el.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.nodeValue.trim());
+    }
+
+    /**
+     * Get the accessible text of a link (text plus image alt)
+     */
+    getLinkText(link) {
+        const text = link.textContent.trim();
+        if (text) return text;
+
+        return Array.from(link.querySelectorAll('img'))
+            .map(img => (img.getAttribute('alt') || '').trim())
+            .join(' ')
+            .trim() || (link.getAttribute('aria-label') || link.getAttribute('title') || '').trim();
+    }
+
+    /**
+     * Get the effective background color behind an element
+     * Returns null when a background image makes it unknowable
+     */
+    getBackgroundColor(el) {
+        const layers = [];
+        let node = el;
+
+        while (node && node.nodeType === Node.ELEMENT_NODE) {
+            const styles = window.getComputedStyle(node);
+            if (styles.backgroundImage && styles.backgroundImage !== 'none') return null;
+
+            const color = this.parseColor(styles.backgroundColor);
+            if (color && color.a > 0) {
+                layers.push(color);
+                if (color.a >= 1) break;
+            }
+
+            if (node.id === 'email-preview') break;
+            node = node.parentElement;
+        }
+
+        // Composite translucent layers over white
+        return layers.reverse().reduce((below, layer) => this.blend(layer, below), { r: 255, g: 255, b: 255, a: 1 });
+    }
+
+    /**
+     * Parse an rgb()/rgba() color string
+     */
+    parseColor(value) {
+        const match = value && value.match(/rgba?\(([^)]+)\)/);
+        if (!match) return null;
+
+        const [r, g, b, a = '1'] = match[1].split(/[\s,/]+/).filter(Boolean);
+        return { r: parseFloat(r), g: parseFloat(g), b: parseFloat(b), a: parseFloat(a) };
+    }
+
+    /**
+     * Blend a translucent color over an opaque one
+     */
+    blend(top, bottom) {
+        if (!top) return bottom;
+        const a = top.a;
+
+        return {
+            r: Math.round(top.r * a + bottom.r * (1 - a)),
+            g: Math.round(top.g * a + bottom.g * (1 - a)),
+            b: Math.round(top.b * a + bottom.b * (1 - a)),
+            a: 1
+        };
+    }
+
+    /**
+     * Convert a parsed color to hex
+     */
+    toHex(color) {
+        return window.brandKitManager.rgbToHex(color.r, color.g, color.b);
+    }
+
+    /**
+     * Get a short text snippet for an element
+     */
+    getSnippet(el) {
+        const text = el.textContent.replace(/\s+/g, ' ').trim();
+        return text.length > 40 ? text.slice(0, 40) + '…' : text;
+    }
+}
+
+// Export for use in other modules
+window.AccessibilityChecker = AccessibilityChecker;
@@ -7,7 +7,31 @@ class CustomizationPortal {
     constructor() {
         this.currentTab = 'emails';
         this.contentItems = [];
+        this.pageSize = 24;
+        this.searchQuery = '';
+        this.filters = this.getDefaultFilters();
+        this.searchTimer = null;
+        this.filterTimer = null;
+        this.contentTotal = 0;
+        this.nextOffset = null;
+        this.loadingContent = false;
+        this.contentRequest = 0;
+        this.tabStates = {};
+        this.libraryShown = false;
+        this.editor = null;
+        this.router = new Router();
         this.initialized = false;
+        this.pendingTokenImport = null;
+        this.logoColors = window.LogoColors && window.brandKitManager
+            ? new LogoColors(window.brandKitManager)
+            : null;
+        this.logoColorSuggestions = [];
+        this.logoProcessor = window.LogoProcessor ? new LogoProcessor() : null;
+        this.pendingLogoFile = null;
+        this.processedLogo = null;
+        this.logoPreviewUrl = null;
+        this.logoProcessRun = 0;
+        this.logoVariant = 'light';
         this.init();
     }
 
@@ -50,8 +74,41 @@ class CustomizationPortal {
         // Set up all event listeners
         this.setupEventListeners();
 
-        // Load initial content
-        this.loadContent();
+        // Show the page for the current URL
+        this.setupRoutes();
+        this.router.start();
+    }
+
+    /**
+     * Set up the library, brand kit and editor routes
+     */
+    setupRoutes() {
+        this.router
+            .add('/library/:tab', ({ params, query }) => this.showLibrary(params.tab, query))
+            .add('/brand', () => this.showBrandKitRoute())
+            .add('/edit/:id', ({ params }) => this.showEditor(params.id))
+            // Links to the old editor page (/editor.html?id=...) open the same template
+            .add('/editor.html', ({ query }) => {
+                const id = query.get('id');
+                this.router.navigate(id ? `/edit/${encodeURIComponent(id)}` : this.getLibraryPath(),
+                    { replace: true, force: true });
+            })
+            // "/" and older bookmarks (/?tab=videos&q=...) open the library
+            .setFallback(({ query }) => {
+                const tab = query.get('tab') || 'emails';
+                query.delete('tab');
+                this.router.navigate(this.getLibraryPath(tab, query), { replace: true, force: true });
+            })
+            .addGuard((to, from) => this.confirmLeaveBrandKit(to, from))
+            .addGuard(() => this.confirmLeaveEditor());
+
+        // Closing the tab or reloading skips the router
+        window.addEventListener('beforeunload', (e) => {
+            if (this.hasUnsavedBrandKitChanges()) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
     }
 
     /**
@@ -80,7 +137,7 @@ class CustomizationPortal {
         const brandKitBtn = document.getElementById('brand-kit-btn');
         if (brandKitBtn) {
             brandKitBtn.addEventListener('click', () => {
-                this.showBrandKitModal();
+                this.router.navigate('/brand');
             });
         }
     }
@@ -99,6 +156,19 @@ class CustomizationPortal {
         if (userOrgElement) {
             userOrgElement.textContent = user.organization || '';
         }
+
+        // Only offer what the user's roles allow; the API enforces the same rules
+        const brandKitBtn = document.getElementById('brand-kit-btn');
+        if (brandKitBtn) {
+            brandKitBtn.style.display = this.can('brand_kits:manage') ? '' : 'none';
+        }
+    }
+
+    /**
+     * Check if the signed-in user's roles allow an action
+     */
+    can(permission) {
+        return !!window.authManager && window.authManager.can(permission);
     }
 
     /**
@@ -117,10 +187,37 @@ class CustomizationPortal {
         const searchInput = document.getElementById('search-input');
         if (searchInput) {
             searchInput.addEventListener('input', (e) => {
-                this.handleSearch(e.target.value);
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.handleSearch(e.target.value), 300);
             });
         }
 
+        // Filters and sort
+        document.querySelectorAll('[data-filter]').forEach(input => {
+            const filter = input.dataset.filter;
+            input.addEventListener('change', () => this.setFilter(filter, input.value.trim()));
+
+            if (input.type === 'text') {
+                input.addEventListener('input', () => {
+                    clearTimeout(this.filterTimer);
+                    this.filterTimer = setTimeout(() => this.setFilter(filter, input.value.trim()), 300);
+                });
+            }
+        });
+
+        const clearFiltersBtn = document.getElementById('clear-filters-btn');
+        if (clearFiltersBtn) {
+            clearFiltersBtn.addEventListener('click', () => {
+                this.searchQuery = '';
+                this.filters = this.getDefaultFilters();
+                this.renderSearchControls();
+                this.applySearch();
+            });
+        }
+
+        // Load more / infinite scroll
+        this.setupInfiniteScroll();
+
         // Brand kit modal close
         const closeModalBtn = document.querySelector('.close-modal');
         if (closeModalBtn) {
@@ -142,6 +239,10 @@ class CustomizationPortal {
 
         // Logo upload controls
         this.setupLogoUpload();
+        this.setupLogoColorSuggestions();
+        this.setupFontControls();
+        this.setupKitSelector();
+        this.setupTokenImportExport();
     }
 
     /**
@@ -161,8 +262,11 @@ class CustomizationPortal {
                 preview.style.backgroundColor = colorPicker.value;
                 preview.style.color = textColorPicker.value;
             }
+            this.updateContrastRating();
         };
 
+        this.setupPaletteControls();
+
         // Primary color picker change
         if (colorPicker) {
             colorPicker.addEventListener('input', (e) => {
@@ -222,9 +326,33 @@ class CustomizationPortal {
                     const primaryColor = colorPicker ? colorPicker.value.toUpperCase() : '#4F46E5';
                     const textColor = textColorPicker ? textColorPicker.value.toUpperCase() : '#FFFFFF';
 
+                    const palette = this.getPaletteValues();
+
+                    // Warn before saving pairs that fail WCAG AA for normal text
+                    const pairs = [
+                        ['Text color on the primary color', textColor, primaryColor],
+                        ['Body text on the background', palette.body_text_color, palette.background_color],
+                        ['Heading text on the background', palette.heading_color, palette.background_color],
+                        ['Link color on the background', palette.link_color, palette.background_color]
+                    ];
+                    const failing = pairs
+                        .map(([label, foreground, background]) => ({ label, contrast: window.brandKitManager.checkContrast(foreground, background) }))
+                        .filter(pair => pair.contrast && !pair.contrast.aa);
+
+                    if (failing.length > 0 &&
+                        !confirm(`${failing.map(pair => `${pair.label} has a contrast ratio of ${pair.contrast.ratio}:1`).join('\n')}\n\nThis is below the WCAG AA minimum of 4.5:1 and may be hard to read.\n\nSave anyway?`)) {
+                        return;
+                    }
+
+                    const headingFontSelect = document.getElementById('heading-font-select');
+                    const bodyFontSelect = document.getElementById('body-font-select');
+
                     await window.brandKitManager.save({
+                        ...palette,
                         primary_color: primaryColor,
-                        text_color: textColor
+                        text_color: textColor,
+                        ...(headingFontSelect && headingFontSelect.value ? { heading_font_family: headingFontSelect.value } : {}),
+                        ...(bodyFontSelect && bodyFontSelect.value ? { font_family: bodyFontSelect.value } : {})
                     });
 
                     this.showSuccessMessage('Brand kit saved successfully!');
@@ -239,15 +367,142 @@ class CustomizationPortal {
         }
     }
 
+    /**
+     * Render and wire up the extended palette inputs (secondary, accent, background, text and link colors)
+     */
+    setupPaletteControls() {
+        const container = document.getElementById('palette-color-fields');
+        if (!container || !window.brandKitManager) return;
+
+        const fields = window.brandKitManager.getPaletteFields()
+            .filter(field => field.key !== 'primary_color' && field.key !== 'text_color');
+
+        container.innerHTML = fields.map(field => `
+            <div class="palette-color-field" data-palette-field="${field.key}">
+                <label for="palette-${field.key}-hex">${field.label}</label>
+                <div class="palette-color-inputs">
+                    <input type="color" value="${field.defaultValue}" aria-label="${field.label} color">
+                    <input type="text" id="palette-${field.key}-hex" value="${field.defaultValue}" placeholder="${field.defaultValue}">
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('[data-palette-field]').forEach(row => {
+            const picker = row.querySelector('input[type="color"]');
+            const hex = row.querySelector('input[type="text"]');
+
+            picker.addEventListener('input', () => {
+                hex.value = picker.value.toUpperCase();
+                this.updatePalettePreview();
+            });
+
+            hex.addEventListener('change', () => {
+                let color = hex.value.trim();
+                if (!color.startsWith('#')) color = '#' + color;
+
+                if (window.brandKitManager.isValidHexColor(color)) {
+                    color = color.toUpperCase();
+                    picker.value = color;
+                    hex.value = color;
+                    this.updatePalettePreview();
+                } else {
+                    hex.value = picker.value.toUpperCase();
+                    this.showError('Invalid hex color format. Use #RRGGBB');
+                }
+            });
+        });
+
+        this.updatePalettePreview();
+    }
+
+    /**
+     * Get the extended palette values from the modal
+     */
+    getPaletteValues() {
+        const values = {};
+        document.querySelectorAll('#palette-color-fields [data-palette-field]').forEach(row => {
+            values[row.dataset.paletteField] = row.querySelector('input[type="color"]').value.toUpperCase();
+        });
+        return values;
+    }
+
+    /**
+     * Set the extended palette inputs from a brand kit
+     */
+    setPaletteValues(brandKit) {
+        document.querySelectorAll('#palette-color-fields [data-palette-field]').forEach(row => {
+            const key = row.dataset.paletteField;
+            const color = brandKit[key] && window.brandKitManager.isValidHexColor(brandKit[key])
+                ? brandKit[key].toUpperCase()
+                : window.brandKitManager.getPaletteFields().find(field => field.key === key).defaultValue;
+
+            row.querySelector('input[type="color"]').value = color;
+            row.querySelector('input[type="text"]').value = color;
+        });
+
+        this.updatePalettePreview();
+    }
+
+    /**
+     * Show the extended palette as a sample email section
+     */
+    updatePalettePreview() {
+        const preview = document.getElementById('palette-preview');
+        if (!preview || !window.brandKitManager) return;
+
+        const colors = this.getPaletteValues();
+        const button = preview.querySelector('.palette-preview-button');
+
+        preview.style.backgroundColor = colors.background_color;
+        preview.querySelector('.palette-preview-accent').style.backgroundColor = colors.accent_color;
+        preview.querySelector('.palette-preview-heading').style.color = colors.heading_color;
+        preview.querySelector('.palette-preview-body').style.color = colors.body_text_color;
+        preview.querySelector('.palette-preview-link').style.color = colors.link_color;
+        button.style.backgroundColor = colors.secondary_color;
+        button.style.color = window.brandKitManager.getReadableTextColor(colors.secondary_color);
+    }
+
+    /**
+     * Show the WCAG contrast rating of the text color on the primary color
+     */
+    updateContrastRating() {
+        const rating = document.getElementById('color-contrast-rating');
+        const colorPicker = document.getElementById('color-picker');
+        const textColorPicker = document.getElementById('text-color-picker');
+        if (!rating || !colorPicker || !textColorPicker || !window.brandKitManager) return;
+
+        const contrast = window.brandKitManager.checkContrast(textColorPicker.value, colorPicker.value);
+        if (!contrast) return;
+
+        let level = 'Fails WCAG AA - hard to read';
+        if (contrast.aaa) {
+            level = 'Passes WCAG AAA';
+        } else if (contrast.aa) {
+            level = 'Passes WCAG AA';
+        }
+
+        rating.textContent = `Contrast ${contrast.ratio}:1 · ${level}`;
+        rating.className = `contrast-rating ${contrast.aa ? 'pass' : 'fail'}`;
+    }
+
     /**
      * Setup logo upload controls
      */
     setupLogoUpload() {
         const logoUploadArea = document.getElementById('logo-upload');
         const logoFileInput = document.getElementById('logo-file-input');
-        const logoPreviewContainer = document.getElementById('logo-preview-container');
-        const logoPreview = document.getElementById('logo-preview');
         const removeLogoBtn = document.getElementById('remove-logo-btn');
+        const variantSelect = document.getElementById('logo-variant-select');
+
+        // Each variant is uploaded separately; icons get the square size
+        if (variantSelect) {
+            variantSelect.addEventListener('change', () => {
+                this.logoVariant = variantSelect.value;
+                this.closeLogoProcessing();
+                document.getElementById('logo-size-select').value = this.logoVariant === 'icon' ? '64x64' : '200x48';
+                this.renderLogoVariant();
+            });
+        }
 
         // Click upload area to trigger file input
         if (logoUploadArea && logoFileInput) {
@@ -256,67 +511,71 @@ class CustomizationPortal {
             });
         }
 
-        // Handle file selection
+        // Choosing a file opens the processing step; nothing is uploaded yet
         if (logoFileInput) {
-            logoFileInput.addEventListener('change', async (e) => {
+            logoFileInput.addEventListener('change', (e) => {
                 const file = e.target.files[0];
+                logoFileInput.value = '';
                 if (!file) return;
 
-                // Store original upload area content (excluding the file input)
-                const uploadAreaContent = Array.from(logoUploadArea.children)
-                    .filter(child => child !== logoFileInput)
-                    .map(child => child.outerHTML)
-                    .join('');
+                this.pendingLogoFile = file;
+                logoUploadArea.style.display = 'none';
+                document.getElementById('logo-process-panel').style.display = 'flex';
+                this.processPendingLogo();
+            });
+        }
 
-                try {
-                    // Show loading state (keep file input)
-                    Array.from(logoUploadArea.children).forEach(child => {
-                        if (child !== logoFileInput) {
-                            child.style.display = 'none';
-                        }
-                    });
-                    const loadingEl = document.createElement('p');
-                    loadingEl.textContent = 'Uploading...';
-                    logoUploadArea.appendChild(loadingEl);
+        // Re-process whenever an option changes
+        ['logo-size-select', 'logo-trim', 'logo-retina', 'logo-convert-png', 'logo-background-toggle', 'logo-background-color'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener(input.type === 'color' ? 'input' : 'change', () => this.processPendingLogo());
+            }
+        });
 
-                    // Upload logo
-                    const url = await window.brandKitManager.uploadLogo(file);
+        const cancelProcessBtn = document.getElementById('logo-process-cancel-btn');
+        if (cancelProcessBtn) {
+            cancelProcessBtn.addEventListener('click', () => {
+                this.closeLogoProcessing();
+                logoUploadArea.style.display = 'block';
+            });
+        }
 
-                    // Remove loading
-                    loadingEl.remove();
+        const uploadProcessedBtn = document.getElementById('logo-process-upload-btn');
+        if (uploadProcessedBtn) {
+            uploadProcessedBtn.addEventListener('click', async () => {
+                const processed = this.processedLogo;
+                if (!processed) return;
 
-                    // Show preview
-                    if (logoPreview && logoPreviewContainer) {
-                        logoPreview.src = url;
-                        logoPreviewContainer.style.display = 'block';
-                        logoUploadArea.style.display = 'none';
-                    }
+                uploadProcessedBtn.disabled = true;
+                uploadProcessedBtn.textContent = 'Uploading...';
+
+                try {
+                    const variant = this.logoVariant;
+                    const url = await window.brandKitManager.uploadLogo(
+                        processed.file,
+                        processed.retinaFile,
+                        { width: processed.width, height: processed.height },
+                        variant
+                    );
+
+                    this.closeLogoProcessing();
+                    this.renderLogoVariant();
 
                     this.showSuccessMessage('Logo uploaded successfully!');
+
+                    // Colors are suggested from the main logo only
+                    if (variant === 'light') {
+                        this.suggestColorsFromLogo(url);
+                    }
                     alert('Logo uploaded! Click "Apply Brand Kit" in the editor to use it.');
                 } catch (error) {
                     console.error('Error uploading logo:', error);
                     this.showError('Failed to upload logo: ' + error.message);
-
-                    // Restore upload area (remove loading, show original content)
-                    Array.from(logoUploadArea.children).forEach(child => {
-                        if (child !== logoFileInput) {
-                            child.remove();
-                        }
-                    });
-
-                    // Re-add original content
-                    const tempDiv = document.createElement('div');
-                    tempDiv.innerHTML = uploadAreaContent;
-                    Array.from(tempDiv.children).forEach(child => {
-                        logoUploadArea.appendChild(child);
-                    });
                 }
 
-                // Clear file input (use logoFileInput reference instead of e.target)
-                if (logoFileInput) {
-                    logoFileInput.value = '';
-                }
+                uploadProcessedBtn.disabled = false;
+                uploadProcessedBtn.textContent = 'Upload Logo';
             });
         }
 
@@ -330,12 +589,13 @@ class CustomizationPortal {
                 }
 
                 try {
-                    await window.brandKitManager.removeLogo();
+                    const variant = this.logoVariant;
+                    await window.brandKitManager.removeLogo(variant);
 
                     // Hide preview, show upload area
-                    if (logoPreviewContainer && logoUploadArea) {
-                        logoPreviewContainer.style.display = 'none';
-                        logoUploadArea.style.display = 'block';
+                    this.renderLogoVariant();
+                    if (variant === 'light') {
+                        this.hideColorSuggestions();
                     }
 
                     this.showSuccessMessage('Logo removed');
@@ -347,6 +607,595 @@ class CustomizationPortal {
         }
     }
 
+    /**
+     * Run the chosen logo through LogoProcessor with the panel's options and preview it
+     */
+    async processPendingLogo() {
+        const file = this.pendingLogoFile;
+        const preview = document.getElementById('logo-process-preview');
+        const info = document.getElementById('logo-process-info');
+        const uploadBtn = document.getElementById('logo-process-upload-btn');
+        if (!file || !this.logoProcessor) return;
+
+        const [maxWidth, maxHeight] = document.getElementById('logo-size-select').value.split('x').map(Number);
+        const options = {
+            maxWidth,
+            maxHeight,
+            trim: document.getElementById('logo-trim').checked,
+            retina: document.getElementById('logo-retina').checked,
+            convertToPng: document.getElementById('logo-convert-png').checked,
+            square: this.logoVariant === 'icon',
+            background: document.getElementById('logo-background-toggle').checked
+                ? document.getElementById('logo-background-color').value.toUpperCase()
+                : null
+        };
+
+        // Options can change faster than processing finishes; keep the latest result
+        const run = this.logoProcessRun + 1;
+        this.logoProcessRun = run;
+        this.processedLogo = null;
+        uploadBtn.disabled = true;
+        info.textContent = 'Processing...';
+
+        try {
+            const processed = await this.logoProcessor.process(file, options);
+            if (run !== this.logoProcessRun) return;
+
+            this.processedLogo = processed;
+
+            if (this.logoPreviewUrl) URL.revokeObjectURL(this.logoPreviewUrl);
+            this.logoPreviewUrl = URL.createObjectURL(processed.retinaFile || processed.file);
+            preview.src = this.logoPreviewUrl;
+            preview.style.width = `${processed.width}px`;
+
+            const format = processed.file.type.replace('image/', '').replace('svg+xml', 'svg').toUpperCase();
+            const details = [
+                `${processed.width} × ${processed.height} px`,
+                format,
+                `${Math.ceil(processed.file.size / 1024)} KB`
+            ];
+            if (processed.retinaFile) details.push('with 2x version');
+            if (processed.removed.length) details.push(`removed from SVG: ${processed.removed.join(', ')}`);
+
+            info.textContent = details.join(' · ');
+            uploadBtn.disabled = false;
+        } catch (error) {
+            if (run !== this.logoProcessRun) return;
+
+            console.error('Error processing logo:', error);
+            info.textContent = error.message;
+        }
+    }
+
+    /**
+     * Show the selected logo variant, or the upload area when it isn't set
+     * The dark variant is previewed on a dark background
+     */
+    renderLogoVariant() {
+        const logoPreview = document.getElementById('logo-preview');
+        const logoPreviewContainer = document.getElementById('logo-preview-container');
+        const logoUploadArea = document.getElementById('logo-upload');
+        if (!logoPreview || !logoPreviewContainer || !logoUploadArea) return;
+
+        const logo = window.brandKitManager.getLogo(this.logoVariant);
+        logoPreviewContainer.style.background = this.logoVariant === 'dark' ? '#111827' : 'white';
+
+        if (logo) {
+            logoPreview.src = logo.retinaUrl || logo.url;
+            logoPreviewContainer.style.display = 'block';
+            logoUploadArea.style.display = 'none';
+        } else {
+            logoPreviewContainer.style.display = 'none';
+            logoUploadArea.style.display = 'block';
+        }
+    }
+
+    /**
+     * Hide the logo processing step and forget the chosen file
+     */
+    closeLogoProcessing() {
+        const panel = document.getElementById('logo-process-panel');
+        if (panel) panel.style.display = 'none';
+
+        if (this.logoPreviewUrl) URL.revokeObjectURL(this.logoPreviewUrl);
+        this.logoPreviewUrl = null;
+        this.pendingLogoFile = null;
+        this.processedLogo = null;
+    }
+
+    /**
+     * Wire up one-click application of colors suggested from the logo
+     */
+    setupLogoColorSuggestions() {
+        const container = document.getElementById('logo-color-suggestions');
+        if (!container || !this.logoColors) return;
+
+        container.addEventListener('click', (e) => {
+            const swatch = e.target.closest('.suggestion-swatch');
+            if (!swatch) return;
+
+            const target = swatch.closest('[data-suggestion-target]').dataset.suggestionTarget;
+            this.applyColorSuggestion(target, swatch.dataset.color);
+            this.renderColorSuggestions();
+        });
+
+        const applyAllBtn = document.getElementById('apply-logo-colors-btn');
+        if (applyAllBtn) {
+            applyAllBtn.addEventListener('click', () => {
+                const primary = this.logoColors.suggest(this.logoColorSuggestions).primary[0];
+                if (!primary) return;
+
+                // Text colors are ranked against the primary, so pick them after it is set
+                const suggestions = this.logoColors.suggest(this.logoColorSuggestions, primary);
+                this.applyColorSuggestion('primary', primary);
+                if (suggestions.secondary[0]) this.applyColorSuggestion('secondary', suggestions.secondary[0]);
+                if (suggestions.text[0]) this.applyColorSuggestion('text', suggestions.text[0].color);
+
+                this.renderColorSuggestions();
+            });
+        }
+
+        // Re-rank text colors when the primary changes by hand
+        const colorPicker = document.getElementById('color-picker');
+        if (colorPicker) {
+            colorPicker.addEventListener('input', () => this.renderColorSuggestions());
+        }
+    }
+
+    /**
+     * Extract the logo's dominant colors and show them as suggestions
+     */
+    async suggestColorsFromLogo(url) {
+        if (!this.logoColors || !url) return;
+
+        try {
+            this.logoColorSuggestions = await this.logoColors.extract(url);
+            this.renderColorSuggestions();
+        } catch (error) {
+            // Suggestions are optional - the logo may not be readable (e.g. cross-origin)
+            console.warn('Could not extract logo colors:', error);
+            this.hideColorSuggestions();
+        }
+    }
+
+    /**
+     * Render the suggested primary, secondary and text colors
+     */
+    renderColorSuggestions() {
+        const container = document.getElementById('logo-color-suggestions');
+        const colorPicker = document.getElementById('color-picker');
+        if (!container || !colorPicker || !this.logoColors) return;
+
+        if (this.logoColorSuggestions.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const primary = colorPicker.value.toUpperCase();
+        const suggestions = this.logoColors.suggest(this.logoColorSuggestions, primary);
+
+        const swatch = (color, title) => `<button type="button" class="suggestion-swatch" data-color="${color}" title="${title}" aria-label="${title}" style="background: ${color};"></button>`;
+
+        container.querySelector('[data-suggestion-target="primary"]').innerHTML = suggestions.primary
+            .map(color => swatch(color, `Use ${color} as the primary color`)).join('');
+        container.querySelector('[data-suggestion-target="secondary"]').innerHTML = suggestions.secondary
+            .map(color => swatch(color, `Use ${color} as the secondary color`)).join('');
+
+        // Text swatches preview the text on the current primary, best contrast first
+        container.querySelector('[data-suggestion-target="text"]').innerHTML = suggestions.text
+            .map(({ color, ratio, aa, aaa }) => {
+                const level = aaa ? 'AAA' : aa ? 'AA' : 'fails AA';
+                return `<button type="button" class="suggestion-swatch${aa ? '' : ' fails-aa'}" data-color="${color}" title="${color} · ${ratio}:1 ${level}" aria-label="Use ${color} as the text color (${ratio}:1 ${level})" style="background: ${primary}; color: ${color};">${ratio}</button>`;
+            }).join('');
+
+        container.style.display = 'block';
+    }
+
+    /**
+     * Put a suggested color into the matching brand kit input (saved with the kit)
+     */
+    applyColorSuggestion(target, color) {
+        const inputs = {
+            primary: document.getElementById('color-picker'),
+            text: document.getElementById('text-color-picker'),
+            secondary: document.querySelector('#palette-color-fields [data-palette-field="secondary_color"] input[type="color"]')
+        };
+
+        const picker = inputs[target];
+        if (!picker || !window.brandKitManager.isValidHexColor(color)) return;
+
+        // Reuse the pickers' own handlers to sync hex fields and previews
+        picker.value = color.toLowerCase();
+        picker.dispatchEvent(new Event('input'));
+    }
+
+    /**
+     * Hide logo color suggestions
+     */
+    hideColorSuggestions() {
+        this.logoColorSuggestions = [];
+
+        const container = document.getElementById('logo-color-suggestions');
+        if (container) container.style.display = 'none';
+    }
+
+    /**
+     * Setup brand font selects and font upload controls
+     */
+    setupFontControls() {
+        const headingFontSelect = document.getElementById('heading-font-select');
+        const bodyFontSelect = document.getElementById('body-font-select');
+        const fontUploadArea = document.getElementById('font-upload');
+        const fontFileInput = document.getElementById('font-file-input');
+        const fontNameInput = document.getElementById('font-family-name');
+        const fallbackSelect = document.getElementById('font-fallback-select');
+        const fontList = document.getElementById('custom-font-list');
+
+        [headingFontSelect, bodyFontSelect].forEach(select => {
+            if (select) {
+                select.addEventListener('change', () => this.updateFontPreview());
+            }
+        });
+
+        // Click upload area to trigger file input
+        if (fontUploadArea && fontFileInput) {
+            fontUploadArea.addEventListener('click', (e) => {
+                if (e.target !== fontFileInput) fontFileInput.click();
+            });
+        }
+
+        // Upload as soon as a file is chosen
+        if (fontFileInput) {
+            fontFileInput.addEventListener('change', async () => {
+                const file = fontFileInput.files[0];
+                if (!file) return;
+
+                const hint = fontUploadArea.querySelector('.upload-hint');
+                const hintText = hint ? hint.textContent : '';
+                if (hint) hint.textContent = 'Uploading...';
+
+                try {
+                    const font = await window.brandKitManager.uploadFont(
+                        file,
+                        fontNameInput ? fontNameInput.value.trim() : '',
+                        fallbackSelect ? fallbackSelect.value : 'sans-serif'
+                    );
+
+                    if (fontNameInput) fontNameInput.value = '';
+                    this.renderFontControls();
+
+                    this.showSuccessMessage(`Font "${font.family}" uploaded`);
+                    alert(`Font "${font.family}" uploaded! Choose it as the heading or body font and save the brand kit.`);
+                } catch (error) {
+                    console.error('Error uploading font:', error);
+                    this.showError('Failed to upload font: ' + error.message);
+                }
+
+                if (hint) hint.textContent = hintText;
+                fontFileInput.value = '';
+            });
+        }
+
+        // Remove uploaded fonts
+        if (fontList) {
+            fontList.addEventListener('click', async (e) => {
+                const button = e.target.closest('[data-remove-font]');
+                if (!button) return;
+
+                const family = button.dataset.removeFont;
+                if (!confirm(`Remove the font "${family}" from the brand kit?`)) return;
+
+                try {
+                    await window.brandKitManager.removeFont(family);
+                    this.renderFontControls();
+                    this.showSuccessMessage('Font removed');
+                } catch (error) {
+                    console.error('Error removing font:', error);
+                    this.showError('Failed to remove font: ' + error.message);
+                }
+            });
+        }
+    }
+
+    /**
+     * Fill the font selects and uploaded font list from the brand kit
+     * Keeps unsaved selections when the list is refreshed after an upload
+     */
+    renderFontControls() {
+        if (!window.brandKitManager) return;
+
+        const manager = window.brandKitManager;
+        const customFonts = manager.getCustomFonts();
+
+        const options = `
+            ${customFonts.length ? `<optgroup label="Uploaded fonts">${customFonts.map(font => `<option value="${this.escapeHtml(font.family)}">${this.escapeHtml(font.family)}</option>`).join('')}</optgroup>` : ''}
+            <optgroup label="Web-safe fonts">${manager.getWebSafeFonts().map(font => `<option value="${this.escapeHtml(font.family)}">${this.escapeHtml(font.family)}</option>`).join('')}</optgroup>
+        `;
+
+        [
+            ['heading-font-select', manager.getHeadingFontFamily()],
+            ['body-font-select', manager.getFontFamily()]
+        ].forEach(([id, saved]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            const current = select.dataset.loaded ? select.value : saved;
+            select.innerHTML = options;
+            select.value = current;
+            if (!select.value) select.value = saved;
+            if (!select.value) select.value = manager.getWebSafeFonts()[0].family;
+            select.dataset.loaded = 'true';
+        });
+
+        const fontList = document.getElementById('custom-font-list');
+        if (fontList) {
+            fontList.innerHTML = customFonts.map(font => `
+                <div class="custom-font-item">
+                    <span>${this.escapeHtml(font.family)} <small>(${this.escapeHtml(font.format)}, ${this.escapeHtml(font.fallback)})</small></span>
+                    <button type="button" data-remove-font="${this.escapeHtml(font.family)}">Remove</button>
+                </div>
+            `).join('');
+        }
+
+        this.updateFontPreview();
+    }
+
+    /**
+     * Preview the chosen heading and body fonts, loading uploaded ones
+     */
+    updateFontPreview() {
+        const preview = document.getElementById('font-preview');
+        const headingFontSelect = document.getElementById('heading-font-select');
+        const bodyFontSelect = document.getElementById('body-font-select');
+        if (!preview || !headingFontSelect || !bodyFontSelect || !window.brandKitManager) return;
+
+        const manager = window.brandKitManager;
+        const headingStack = manager.getFontStack(headingFontSelect.value);
+        const bodyStack = manager.getFontStack(bodyFontSelect.value);
+
+        let fontFaces = document.getElementById('brand-kit-font-faces');
+        if (!fontFaces) {
+            fontFaces = document.createElement('style');
+            fontFaces.id = 'brand-kit-font-faces';
+            document.head.appendChild(fontFaces);
+        }
+        fontFaces.textContent = manager.getFontFaceCSS(manager.getCustomFonts().map(font => font.family));
+
+        preview.querySelector('.font-preview-heading').style.fontFamily = headingStack;
+        preview.querySelector('.font-preview-body').style.fontFamily = bodyStack;
+
+        const hint = document.getElementById('font-stack-hint');
+        if (hint) {
+            hint.textContent = headingStack === bodyStack
+                ? bodyStack
+                : `Headings: ${headingStack} · Body: ${bodyStack}`;
+        }
+    }
+
+    /**
+     * Set up the named brand kit selector and its actions
+     */
+    setupKitSelector() {
+        const kitSelect = document.getElementById('brand-kit-select');
+        if (!kitSelect || !window.brandKitManager) return;
+
+        const manager = window.brandKitManager;
+
+        // Switching kits discards unsaved edits in the modal
+        kitSelect.addEventListener('change', () => {
+            this.runKitAction(async () => {
+                await manager.selectKit(kitSelect.value);
+                this.loadBrandKitIntoModal();
+            }, 'Failed to load brand kit');
+        });
+
+        const actions = {
+            'new-brand-kit-btn': async () => {
+                const name = this.promptKitName('Name for the new brand kit:', '');
+                if (!name) return;
+
+                const kit = await manager.createKit(name);
+                await manager.selectKit(kit.id);
+                this.loadBrandKitIntoModal();
+                this.showSuccessMessage(`Brand kit "${name}" created`);
+            },
+            'rename-brand-kit-btn': async () => {
+                const name = this.promptKitName('Rename brand kit:', manager.getKitName());
+                if (!name) return;
+
+                await manager.renameKit(manager.getCurrentKitId(), name);
+                this.showSuccessMessage('Brand kit renamed');
+            },
+            'duplicate-brand-kit-btn': async () => {
+                const name = this.promptKitName('Name for the copy:', `${manager.getKitName()} (copy)`);
+                if (!name) return;
+
+                const kit = await manager.duplicateKit(manager.getCurrentKitId(), name);
+                await manager.selectKit(kit.id);
+                this.loadBrandKitIntoModal();
+                this.showSuccessMessage(`Brand kit "${name}" created`);
+            },
+            'default-brand-kit-btn': async () => {
+                await manager.setDefaultKit(manager.getCurrentKitId());
+                this.showSuccessMessage(`"${manager.getKitName()}" is now the default brand kit`);
+            },
+            'delete-brand-kit-btn': async () => {
+                if (!confirm(`Delete the brand kit "${manager.getKitName()}"? Templates already branded with it keep their colors.`)) return;
+
+                await manager.deleteKit(manager.getCurrentKitId());
+                this.loadBrandKitIntoModal();
+                this.showSuccessMessage('Brand kit deleted');
+            }
+        };
+
+        Object.entries(actions).forEach(([id, action]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => this.runKitAction(action, 'Brand kit action failed'));
+            }
+        });
+
+        manager.addEventListener((event) => {
+            if (['listed', 'kit_created', 'kit_renamed', 'kit_deleted', 'default_changed', 'saved'].includes(event)) {
+                this.renderKitSelector();
+            }
+        });
+    }
+
+    /**
+     * Run a kit selector action, reporting failures
+     */
+    async runKitAction(action, errorMessage) {
+        try {
+            await action();
+        } catch (error) {
+            console.error(errorMessage, error);
+            this.showError(`${errorMessage}: ${error.message}`);
+        }
+
+        this.renderKitSelector();
+    }
+
+    /**
+     * Ask for a brand kit name; returns null if cancelled or empty
+     */
+    promptKitName(message, current) {
+        const name = prompt(message, current);
+        if (name === null || !name.trim()) return null;
+
+        if (name.trim().length > 100) {
+            this.showError('Brand kit names can be up to 100 characters.');
+            return null;
+        }
+
+        return name.trim();
+    }
+
+    /**
+     * Fill the kit selector and enable the actions that apply to the current kit
+     */
+    renderKitSelector() {
+        const kitSelect = document.getElementById('brand-kit-select');
+        if (!kitSelect || !window.brandKitManager) return;
+
+        const manager = window.brandKitManager;
+        const kits = manager.getKits();
+        const currentId = manager.getCurrentKitId();
+
+        kitSelect.innerHTML = kits.length
+            ? kits.map(kit => `<option value="${this.escapeHtml(kit.id)}">${this.escapeHtml(kit.name)}${kit.is_default ? ' (default)' : ''}</option>`).join('')
+            : '<option value="">Default (not saved yet)</option>';
+        kitSelect.value = currentId || '';
+        kitSelect.disabled = kits.length === 0;
+
+        const currentKit = kits.find(kit => kit.id === currentId);
+        const isDefaultKit = !currentKit || currentKit.is_default;
+
+        const badge = document.getElementById('brand-kit-default-badge');
+        if (badge) badge.style.display = isDefaultKit ? 'inline-block' : 'none';
+
+        [
+            ['rename-brand-kit-btn', !currentKit],
+            ['duplicate-brand-kit-btn', !currentKit],
+            ['default-brand-kit-btn', isDefaultKit],
+            ['delete-brand-kit-btn', !currentKit]
+        ].forEach(([id, disabled]) => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = disabled;
+        });
+    }
+
+    /**
+     * Set up design token export and import with a review step before saving
+     */
+    setupTokenImportExport() {
+        const tokensFileInput = document.getElementById('tokens-file-input');
+        if (!tokensFileInput || !window.brandKitManager) return;
+
+        const manager = window.brandKitManager;
+
+        document.getElementById('export-tokens-btn').addEventListener('click', () => manager.exportKit('tokens'));
+        document.getElementById('export-css-btn').addEventListener('click', () => manager.exportKit('css'));
+        document.getElementById('import-tokens-btn').addEventListener('click', () => tokensFileInput.click());
+
+        tokensFileInput.addEventListener('change', async () => {
+            const file = tokensFileInput.files[0];
+            tokensFileInput.value = '';
+            if (!file) return;
+
+            const result = manager.parseDesignTokens(await file.text());
+            this.showTokenImportReview(result);
+        });
+
+        document.getElementById('cancel-token-import-btn').addEventListener('click', () => {
+            this.hideTokenImportReview();
+        });
+
+        document.getElementById('confirm-token-import-btn').addEventListener('click', async () => {
+            if (!this.pendingTokenImport) return;
+
+            try {
+                await manager.save(this.pendingTokenImport);
+                this.hideTokenImportReview();
+                this.loadBrandKitIntoModal();
+                this.showSuccessMessage('Design tokens imported');
+            } catch (error) {
+                console.error('Error importing design tokens:', error);
+                this.showError('Failed to import design tokens: ' + error.message);
+            }
+        });
+    }
+
+    /**
+     * Show what an imported tokens file would change, or why it can't be imported
+     */
+    showTokenImportReview({ data, errors, warnings }) {
+        const review = document.getElementById('token-import-review');
+        const summary = document.getElementById('token-import-summary');
+        const list = document.getElementById('token-import-diff');
+        const confirmBtn = document.getElementById('confirm-token-import-btn');
+        if (!review || !summary || !list) return;
+
+        const changes = errors.length ? [] : window.brandKitManager.diffBrandKit(data);
+        const swatch = (value) => window.brandKitManager.isValidHexColor(value)
+            ? `<span class="token-swatch" style="background: ${value};"></span>`
+            : '';
+
+        if (errors.length) {
+            summary.textContent = `This file can't be imported (${errors.length} error${errors.length === 1 ? '' : 's'}).`;
+        } else if (changes.length === 0) {
+            summary.textContent = 'The imported values already match this brand kit.';
+        } else {
+            summary.textContent = `${changes.length} value${changes.length === 1 ? '' : 's'} will change in "${window.brandKitManager.getKitName()}":`;
+        }
+
+        list.innerHTML = [
+            ...errors.map(error => `<li class="error">${this.escapeHtml(error)}</li>`),
+            ...changes.map(change => `
+                <li>
+                    <strong>${this.escapeHtml(change.label)}</strong>
+                    ${swatch(change.from)}<span>${this.escapeHtml(change.from || 'not set')}</span>
+                    <span>→</span>
+                    ${swatch(change.to)}<span>${this.escapeHtml(change.to)}</span>
+                </li>
+            `),
+            ...warnings.map(warning => `<li class="warning">${this.escapeHtml(warning)}</li>`)
+        ].join('');
+
+        this.pendingTokenImport = changes.length ? data : null;
+        confirmBtn.style.display = this.pendingTokenImport ? 'inline-flex' : 'none';
+        review.style.display = 'block';
+    }
+
+    /**
+     * Hide the token import review
+     */
+    hideTokenImportReview() {
+        const review = document.getElementById('token-import-review');
+        if (review) review.style.display = 'none';
+        this.pendingTokenImport = null;
+    }
+
     /**
      * Show success message
      */
@@ -359,25 +1208,92 @@ class CustomizationPortal {
      * Switch content tab
      */
     switchTab(tabName) {
-        // Update active tab button
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.classList.remove('active');
-            if (btn.dataset.tab === tabName) {
-                btn.classList.add('active');
-            }
-        });
+        this.router.navigate(this.getLibraryPath(tabName));
+    }
+
+    /**
+     * Show a library tab with the search and filters from the URL
+     * Coming back to a tab restores its loaded pages and scroll position
+     */
+    showLibrary(tab, query) {
+        if (!this.isLibraryTab(tab)) {
+            this.router.navigate(this.getLibraryPath('emails', query), { replace: true, force: true });
+            return;
+        }
+
+        this.hideEditor();
+        this.hideBrandKitModal();
+
+        const search = this.parseSearchParams(query);
+        const key = JSON.stringify({ q: search.q, ...search.filters });
+        if (this.libraryShown && tab === this.currentTab && key === this.getSearchKey()) return;
+
+        if (this.libraryShown) this.saveTabState();
+        if (key !== this.getSearchKey()) this.tabStates = {};
+
+        this.currentTab = tab;
+        this.searchQuery = search.q;
+        this.filters = search.filters;
+        this.libraryShown = true;
+        this.renderSearchControls();
+
+        const state = this.tabStates[tab];
+        if (state && state.key === key) {
+            this.contentRequest++;
+            this.loadingContent = false;
+            this.contentItems = state.items;
+            this.contentTotal = state.total;
+            this.nextOffset = state.nextOffset;
+            this.renderContentGrid();
+            window.scrollTo(0, state.scrollY);
+            return;
+        }
 
-        this.currentTab = tabName;
         this.loadContent();
     }
 
     /**
-     * Load content from API
+     * Check if a tab name is one of the library tabs
      */
-    async loadContent() {
+    isLibraryTab(tab) {
+        return Array.from(document.querySelectorAll('.tab-btn')).some(btn => btn.dataset.tab === tab);
+    }
+
+    /**
+     * Remember the current tab's loaded pages and scroll position
+     */
+    saveTabState() {
+        this.tabStates[this.currentTab] = {
+            key: this.getSearchKey(),
+            items: this.contentItems,
+            total: this.contentTotal,
+            nextOffset: this.nextOffset,
+            scrollY: window.scrollY
+        };
+    }
+
+    /**
+     * Load a page of content from API
+     * Without append the list starts over from the first page. Responses for a
+     * tab or search that has since changed are dropped
+     */
+    async loadContent(append = false) {
+        const request = ++this.contentRequest;
+        const params = new URLSearchParams({
+            type: this.currentTab,
+            limit: this.pageSize,
+            offset: append ? this.nextOffset : 0
+        });
+        this.getSearchParams().forEach((value, name) => {
+            if (name !== 'tab') params.set(name, value);
+        });
+
+        this.loadingContent = true;
+        this.renderPagination();
+
         try {
             const response = await window.authManager.apiCall(
-                `/api/content.php?type=${this.currentTab}`,
+                `/api/content.php?${params}`,
                 { method: 'GET' }
             );
 
@@ -386,14 +1302,89 @@ class CustomizationPortal {
             }
 
             const data = await response.json();
-            this.contentItems = data.items || [];
+            if (request !== this.contentRequest) return;
+
+            const items = data.items || [];
+            if (append) {
+                // Items created since the first page can shift a row onto the next one
+                const loaded = new Set(this.contentItems.map(item => item.id));
+                this.contentItems = this.contentItems.concat(items.filter(item => !loaded.has(item.id)));
+            } else {
+                this.contentItems = items;
+                window.scrollTo(0, 0);
+            }
+            this.contentTotal = data.total ?? this.contentItems.length;
+            this.nextOffset = data.has_more ? data.next_offset : null;
+
+            this.loadingContent = false;
             this.renderContentGrid();
         } catch (error) {
+            if (request !== this.contentRequest) return;
+
             console.error('Error loading content:', error);
+            this.loadingContent = false;
+            this.renderPagination();
             this.showError('Failed to load content. Please try again.');
         }
     }
 
+    /**
+     * Load the next page if there is one
+     */
+    loadMoreContent() {
+        if (this.loadingContent || this.nextOffset === null) return;
+        this.loadContent(true);
+    }
+
+    /**
+     * Load more content as the end of the grid scrolls into view; the
+     * Load More button does the same where IntersectionObserver is missing
+     */
+    setupInfiniteScroll() {
+        const pagination = document.getElementById('content-pagination');
+        const loadMoreBtn = document.getElementById('load-more-btn');
+        if (!pagination) return;
+
+        if (loadMoreBtn) {
+            loadMoreBtn.addEventListener('click', () => this.loadMoreContent());
+        }
+
+        if ('IntersectionObserver' in window) {
+            this.contentObserver = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadMoreContent();
+                }
+            }, { rootMargin: '400px 0px' });
+            this.contentObserver.observe(pagination);
+        }
+    }
+
+    /**
+     * Update the count and Load More control under the grid
+     * If a short page leaves the control in view, the observer won't fire
+     * again, so the next page is loaded here
+     */
+    renderPagination() {
+        const pagination = document.getElementById('content-pagination');
+        const count = document.getElementById('content-count');
+        const loadMoreBtn = document.getElementById('load-more-btn');
+        if (!pagination || !count || !loadMoreBtn) return;
+
+        const hasMore = this.nextOffset !== null;
+        pagination.style.display = this.contentItems.length > 0 || this.loadingContent ? 'flex' : 'none';
+        count.textContent = this.contentItems.length > 0
+            ? `Showing ${this.contentItems.length} of ${this.contentTotal}`
+            : '';
+        loadMoreBtn.style.display = hasMore || this.loadingContent ? 'inline-flex' : 'none';
+        loadMoreBtn.disabled = this.loadingContent;
+        loadMoreBtn.textContent = this.loadingContent ? 'Loading...' : 'Load More';
+
+        if (hasMore && !this.loadingContent && this.contentObserver &&
+            pagination.getBoundingClientRect().top < window.innerHeight + 400) {
+            this.loadMoreContent();
+        }
+    }
+
     /**
      * Render content grid
      */
@@ -404,69 +1395,231 @@ class CustomizationPortal {
         if (this.contentItems.length === 0) {
             grid.innerHTML = `
                 <div class="empty-state">
-                    <p>No ${this.currentTab} templates available.</p>
+                    <p>${this.searchQuery
+                        ? `No results found for "${this.escapeHtml(this.searchQuery)}"`
+                        : this.hasActiveFilters()
+                            ? 'No templates match these filters.'
+                            : `No ${this.currentTab === 'all' ? '' : this.currentTab + ' '}templates available.`}</p>
                 </div>
             `;
+            this.renderPagination();
             return;
         }
 
-        grid.innerHTML = this.contentItems.map(item => `
+        const canEdit = this.can('content:edit');
+
+        grid.innerHTML = this.contentItems.map(item => {
+            const stock = this.isStockContent(item);
+
+            return `
             <div class="content-card" data-id="${item.id}">
                 <div class="content-preview">
                     ${item.content_preview || '<div class="preview-placeholder">No preview</div>'}
                 </div>
                 <div class="content-info">
+                    <span class="ownership-badge ${stock ? 'ownership-stock' : 'ownership-customized'}">
+                        ${stock ? 'Stock' : 'My customized'}
+                    </span>
                     <h3 class="content-title">${this.escapeHtml(item.title)}</h3>
                     <p class="content-description">${this.escapeHtml(item.description || '')}</p>
+                    ${this.renderContentMeta(item)}
+                    ${canEdit ? `
                     <div class="content-actions">
                         <button class="btn-primary btn-small" onclick="app.customizeContent('${item.id}')">
-                            Customize
+                            ${stock ? 'Customize' : 'Edit'}
+                        </button>
+                        ${stock ? '' : `
+                        <button class="btn-secondary btn-small" onclick="app.editTags('${item.id}')">
+                            Tags
                         </button>
+                        `}
                     </div>
+                    ` : ''}
                 </div>
             </div>
-        `).join('');
+        `;
+        }).join('');
+
+        this.renderPagination();
+    }
+
+    /**
+     * Edit a customized template's tags, entered as a comma-separated list
+     * Stock templates are read-only, so their tags come with the template
+     */
+    async editTags(contentId) {
+        const item = this.contentItems.find(entry => entry.id === contentId);
+        if (!item) return;
+
+        const input = prompt('Tags, separated by commas:', (item.tags || []).join(', '));
+        if (input === null) return;
+
+        const tags = [...new Set(input.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+
+        try {
+            const response = await window.authManager.apiCall(
+                `/api/content.php?id=${encodeURIComponent(contentId)}`,
+                {
+                    method: 'PUT',
+                    body: JSON.stringify({ tags, revision_note: 'Updated tags' })
+                }
+            );
+
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Failed to save tags');
+            }
+
+            item.tags = tags;
+            item.updated_at = data.updated_at;
+            this.renderContentGrid();
+            this.showSuccessMessage('Tags saved');
+        } catch (error) {
+            console.error('Error saving tags:', error);
+            this.showError('Failed to save tags: ' + error.message);
+        }
+    }
+
+    /**
+     * Check if content is a shared stock template rather than the organization's own copy
+     */
+    isStockContent(item) {
+        return !item.company_id;
+    }
+
+    /**
+     * Content type (in the All tab) and tags shown under a card's description
+     */
+    renderContentMeta(item) {
+        const parts = [];
+
+        if (this.currentTab === 'all') {
+            const tab = document.querySelector(`.tab-btn[data-tab="${item.content_type}"]`);
+            parts.push(tab ? tab.textContent : item.content_type);
+        }
+        (item.tags || []).forEach(tag => parts.push(`#${tag}`));
+
+        return parts.length
+            ? `<p class="content-meta">${this.escapeHtml(parts.join(' · '))}</p>`
+            : '';
     }
 
     /**
      * Handle search
+     * Searches the whole library on the server, in the current tab (or every
+     * type in the All tab)
      */
     handleSearch(query) {
-        // Filter content items based on search query
-        const filtered = this.contentItems.filter(item => {
-            const searchText = `${item.title} ${item.description}`.toLowerCase();
-            return searchText.includes(query.toLowerCase());
+        const trimmed = query.trim();
+        if (trimmed === this.searchQuery) return;
+
+        this.searchQuery = trimmed;
+        this.applySearch();
+    }
+
+    /**
+     * Set one of the filters (ownership, tag, updated_from, updated_to, sort)
+     */
+    setFilter(name, value) {
+        if (this.filters[name] === value) return;
+
+        this.filters[name] = value;
+        this.applySearch();
+    }
+
+    /**
+     * Reload from the first page after the search or filters change
+     * Other tabs' saved pages belong to the old search and are reloaded when visited
+     */
+    applySearch() {
+        this.tabStates = {};
+        this.router.navigate(this.getLibraryPath(), { replace: true });
+        this.loadContent();
+    }
+
+    /**
+     * Get the filters with nothing applied
+     */
+    getDefaultFilters() {
+        return { ownership: '', tag: '', updated_from: '', updated_to: '', sort: 'newest' };
+    }
+
+    /**
+     * Check if any filter other than the sort order is set
+     */
+    hasActiveFilters() {
+        return ['ownership', 'tag', 'updated_from', 'updated_to'].some(name => this.filters[name]);
+    }
+
+    /**
+     * Identify the current search and filters, to tell whether a tab's saved pages still apply
+     */
+    getSearchKey() {
+        return JSON.stringify({ q: this.searchQuery, ...this.filters });
+    }
+
+    /**
+     * Get the search and filters that differ from the defaults as URL parameters
+     */
+    getSearchParams() {
+        const params = new URLSearchParams();
+        const defaults = this.getDefaultFilters();
+
+        if (this.searchQuery) params.set('q', this.searchQuery);
+
+        Object.keys(defaults).forEach(name => {
+            if (this.filters[name] && this.filters[name] !== defaults[name]) {
+                params.set(name, this.filters[name]);
+            }
         });
 
-        // Render filtered results
-        const grid = document.getElementById('content-grid');
-        if (!grid) return;
+        return params;
+    }
 
-        if (filtered.length === 0) {
-            grid.innerHTML = `
-                <div class="empty-state">
-                    <p>No results found for "${this.escapeHtml(query)}"</p>
-                </div>
-            `;
-            return;
-        }
+    /**
+     * Get the library URL for a tab, keeping the search and filters so they
+     * can be bookmarked (/library/emails?q=invoice&sort=edited)
+     */
+    getLibraryPath(tab = this.currentTab, params = this.getSearchParams()) {
+        const query = params.toString();
+        return `/library/${encodeURIComponent(tab)}${query ? `?${query}` : ''}`;
+    }
 
-        grid.innerHTML = filtered.map(item => `
-            <div class="content-card" data-id="${item.id}">
-                <div class="content-preview">
-                    ${item.content_preview || '<div class="preview-placeholder">No preview</div>'}
-                </div>
-                <div class="content-info">
-                    <h3 class="content-title">${this.escapeHtml(item.title)}</h3>
-                    <p class="content-description">${this.escapeHtml(item.description || '')}</p>
-                    <div class="content-actions">
-                        <button class="btn-primary btn-small" onclick="app.customizeContent('${item.id}')">
-                            Customize
-                        </button>
-                    </div>
-                </div>
-            </div>
-        `).join('');
+    /**
+     * Read the search and filters from URL parameters
+     * Unknown filter values and sort orders fall back to the defaults
+     */
+    parseSearchParams(params) {
+        const sorts = Array.from(document.querySelectorAll('#filter-sort option')).map(option => option.value);
+        const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+        return {
+            q: (params.get('q') || '').trim(),
+            filters: {
+                ...this.getDefaultFilters(),
+                ownership: ['customized', 'stock'].includes(params.get('ownership')) ? params.get('ownership') : '',
+                tag: (params.get('tag') || '').trim(),
+                updated_from: isDate(params.get('updated_from')) ? params.get('updated_from') : '',
+                updated_to: isDate(params.get('updated_to')) ? params.get('updated_to') : '',
+                sort: sorts.includes(params.get('sort')) ? params.get('sort') : 'newest'
+            }
+        };
+    }
+
+    /**
+     * Show the current tab, search and filters in the controls
+     */
+    renderSearchControls() {
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tab === this.currentTab);
+        });
+
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) searchInput.value = this.searchQuery;
+
+        document.querySelectorAll('[data-filter]').forEach(input => {
+            input.value = this.filters[input.dataset.filter];
+        });
     }
 
     /**
@@ -476,7 +1629,63 @@ class CustomizationPortal {
         console.log('Customizing content:', contentId);
 
         // Navigate to editor
-        window.location.href = `/editor.html?id=${contentId}`;
+        this.router.navigate(`/edit/${encodeURIComponent(contentId)}`);
+    }
+
+    /**
+     * Show the editor for a template in place of the library
+     */
+    showEditor(contentId) {
+        if (!this.can('content:edit')) {
+            this.router.navigate(this.getLibraryPath(), { replace: true, force: true });
+            return;
+        }
+
+        // Already open, e.g. after switching to the organization's copy of a stock template
+        if (this.editor && this.editor.contentId === contentId) return;
+
+        this.hideEditor();
+        this.hideBrandKitModal();
+
+        // Keep the library's pages and scroll position for coming back
+        if (this.libraryShown) {
+            this.saveTabState();
+            this.libraryShown = false;
+        }
+
+        const view = document.getElementById('editor-view');
+        view.replaceChildren(document.getElementById('editor-template').content.cloneNode(true));
+        view.style.display = 'block';
+        document.getElementById('app').style.display = 'none';
+        document.body.classList.add('editor-open');
+        window.scrollTo(0, 0);
+
+        this.editor = new EmailEditor(contentId, this.router);
+    }
+
+    /**
+     * Close the editor, if open, and show the portal again
+     */
+    hideEditor() {
+        if (!this.editor) return;
+
+        this.editor.destroy();
+        this.editor = null;
+
+        const view = document.getElementById('editor-view');
+        view.replaceChildren();
+        view.style.display = 'none';
+        document.getElementById('app').style.display = 'block';
+        document.body.classList.remove('editor-open');
+    }
+
+    /**
+     * Router guard: confirm before leaving the editor with unsaved changes
+     */
+    confirmLeaveEditor() {
+        if (!this.editor || !this.editor.hasUnsavedChanges) return true;
+
+        return confirm('You have unsaved changes to this template. Leave without saving?');
     }
 
     /**
@@ -493,15 +1702,77 @@ class CustomizationPortal {
     }
 
     /**
-     * Close brand kit modal
+     * Show the brand kit route: the modal over the library
+     */
+    showBrandKitRoute() {
+        if (!this.can('brand_kits:manage')) {
+            this.router.navigate(this.getLibraryPath(), { replace: true, force: true });
+            return;
+        }
+
+        // Opened from a link or bookmark, so there's no library underneath yet
+        if (!this.libraryShown) {
+            this.showLibrary(this.currentTab, new URLSearchParams());
+        }
+
+        this.showBrandKitModal();
+    }
+
+    /**
+     * Close brand kit modal, going back to the library it was opened from
      */
     closeBrandKitModal() {
+        this.router.back(this.getLibraryPath());
+    }
+
+    /**
+     * Hide the brand kit modal without changing the URL
+     */
+    hideBrandKitModal() {
         const modal = document.getElementById('brand-kit-modal');
         if (modal) {
             modal.style.display = 'none';
         }
     }
 
+    /**
+     * Router guard: confirm before leaving /brand with unsaved changes
+     */
+    confirmLeaveBrandKit(to, from) {
+        if (!from || !from.startsWith('/brand') || to.startsWith('/brand')) return true;
+        if (!this.hasUnsavedBrandKitChanges()) return true;
+
+        if (!confirm('You have unsaved brand kit changes. Leave without saving?')) {
+            return false;
+        }
+
+        this.closeLogoProcessing();
+        this.hideTokenImportReview();
+        return true;
+    }
+
+    /**
+     * Check if the open brand kit modal has edits that haven't been saved:
+     * changed colors, a logo waiting to be uploaded or a token import to review
+     */
+    hasUnsavedBrandKitChanges() {
+        const modal = document.getElementById('brand-kit-modal');
+        if (!modal || modal.style.display === 'none' || !window.brandKitManager) return false;
+        if (this.pendingLogoFile || this.pendingTokenImport) return true;
+
+        const brandKit = window.brandKitManager.getBrandKit() || {};
+        const colorPicker = document.getElementById('color-picker');
+        const textColorPicker = document.getElementById('text-color-picker');
+        const values = {
+            ...this.getPaletteValues(),
+            primary_color: colorPicker ? colorPicker.value : null,
+            text_color: textColorPicker ? textColorPicker.value : null
+        };
+
+        return Object.keys(values).some(key => values[key] && brandKit[key] &&
+            values[key].toUpperCase() !== brandKit[key].toUpperCase());
+    }
+
     /**
      * Load brand kit values into modal UI
      */
@@ -541,21 +1812,23 @@ class CustomizationPortal {
             preview.style.backgroundColor = brandKit.primary_color;
             preview.style.color = brandKit.text_color;
         }
+        this.updateContrastRating();
+        this.setPaletteValues(brandKit);
+
+        // Update font selects with the saved fonts
+        document.querySelectorAll('#heading-font-select, #body-font-select').forEach(select => {
+            delete select.dataset.loaded;
+        });
+        this.renderFontControls();
 
         // Update logo preview
-        const logoPreview = document.getElementById('logo-preview');
-        const logoPreviewContainer = document.getElementById('logo-preview-container');
-        const logoUploadArea = document.getElementById('logo-upload');
+        this.closeLogoProcessing();
+        this.renderLogoVariant();
 
-        if (brandKit.logo_url && logoPreview && logoPreviewContainer && logoUploadArea) {
-            // Show logo preview
-            logoPreview.src = brandKit.logo_url;
-            logoPreviewContainer.style.display = 'block';
-            logoUploadArea.style.display = 'none';
-        } else if (logoPreviewContainer && logoUploadArea) {
-            // Hide logo preview, show upload area
-            logoPreviewContainer.style.display = 'none';
-            logoUploadArea.style.display = 'block';
+        if (brandKit.logo_url) {
+            this.suggestColorsFromLogo(brandKit.logo_url);
+        } else {
+            this.hideColorSuggestions();
         }
 
         // Update status indicator
@@ -564,10 +1837,13 @@ class CustomizationPortal {
             if (window.brandKitManager.isUsingDefaults()) {
                 statusIndicator.textContent = 'Using Default Brand Kit';
             } else {
-                statusIndicator.textContent = 'Custom Brand Kit Active';
+                statusIndicator.textContent = `Editing "${window.brandKitManager.getKitName()}"`;
             }
         }
 
+        this.renderKitSelector();
+        this.hideTokenImportReview();
+
         console.log('Loaded brand kit into modal:', brandKit);
     }
 
@@ -588,7 +1864,7 @@ class CustomizationPortal {
             const isDefault = window.brandKitManager.isUsingDefaults();
             const message = isDefault
                 ? 'Default brand kit will be applied to this content.'
-                : `Your custom brand kit will be applied:\n- Primary Color: ${brandKit.primary_color}\n- Text Color: ${brandKit.text_color}\n- Font: ${brandKit.font_family}`;
+                : `Your brand kit "${window.brandKitManager.getKitName()}" will be applied:\n- Primary Color: ${brandKit.primary_color}\n- Text Color: ${brandKit.text_color}\n- Font: ${brandKit.font_family}`;
 
             alert(message + '\n\nNote: Full editor integration coming soon!');
 
@@ -111,12 +111,15 @@ class AuthManager {
                 console.log('Access token set for API calls');
             }
 
+            // Clean up URL, returning to the page the user asked for before
+            // signing in so deep links survive the redirect
+            const originalUri = this.authClient.getOriginalUri();
+            this.authClient.removeOriginalUri();
+            window.history.replaceState({}, document.title, this.getReturnPath(originalUri));
+
             // Get user info and show app
             await this.getUserInfo();
             this.showApp();
-
-            // Clean up URL
-            window.history.replaceState({}, document.title, window.location.pathname);
         } catch (error) {
             console.error('Error handling login redirect:', error);
             this.showLoginScreen();
@@ -166,9 +169,13 @@ class AuthManager {
                     sub: idToken.claims.sub,
                     // Custom Okta claims for organization info
                     organization: idToken.claims.organization || idToken.claims.org || 'Unknown Organization',
-                    organizationId: idToken.claims.organizationId || idToken.claims.org_id || null
+                    organizationId: idToken.claims.organizationId || idToken.claims.org_id || null,
+                    roles: [],
+                    permissions: []
                 };
 
+                await this.loadPermissions();
+
                 console.log('User authenticated:', this.currentUser);
             }
         } catch (error) {
@@ -176,8 +183,55 @@ class AuthManager {
         }
     }
 
+    /**
+     * Load the user's roles and permissions as the API resolves them, so the
+     * UI and the API can't disagree. If they can't be loaded the UI offers
+     * only browsing
+     */
+    async loadPermissions() {
+        try {
+            const response = await this.apiCall(window.API_CONFIG.endpoints.user, { method: 'GET' });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Failed to load permissions');
+            }
+
+            this.currentUser.roles = data.user.roles || [];
+            this.currentUser.permissions = data.user.permissions || [];
+        } catch (error) {
+            console.error('Error loading permissions:', error);
+        }
+    }
+
+    /**
+     * Check if the signed-in user's roles allow an action, e.g. 'content:edit'
+     * Permissions come from the API (loadPermissions), which enforces the same
+     * rules; this only decides what the UI offers
+     */
+    can(permission) {
+        return !!this.currentUser && (this.currentUser.permissions || []).includes(permission);
+    }
+
+    /**
+     * Get the same-origin path (with query and hash) to return to after login
+     */
+    getReturnPath(uri) {
+        try {
+            const url = new URL(uri, window.location.origin);
+            if (url.origin === window.location.origin) {
+                return url.pathname + url.search + url.hash;
+            }
+        } catch (error) {
+            // Fall through to the current page
+        }
+
+        return window.location.pathname;
+    }
+
     /**
      * Initiate login with Okta
+     * The current URL is kept so the redirect back can restore it
      */
     login() {
         if (!this.authClient) {
@@ -185,6 +239,8 @@ class AuthManager {
             return;
         }
 
+        this.authClient.setOriginalUri(window.location.href);
+
         this.authClient.token.getWithRedirect({
             scopes: ['openid', 'profile', 'email']
         });
@@ -264,18 +320,18 @@ class AuthManager {
      * Show login screen
      */
     showLoginScreen() {
-        document.getElementById('loading').style.display = 'none';
-        document.getElementById('login-required').style.display = 'flex';
-        document.getElementById('app').style.display = 'none';
+        this.setDisplay('loading', 'none');
+        this.setDisplay('login-required', 'flex');
+        this.setDisplay('app', 'none');
     }
 
     /**
      * Show main application
      */
     showApp() {
-        document.getElementById('loading').style.display = 'none';
-        document.getElementById('login-required').style.display = 'none';
-        document.getElementById('app').style.display = 'block';
+        this.setDisplay('loading', 'none');
+        this.setDisplay('login-required', 'none');
+        this.setDisplay('app', 'block');
 
         // Trigger custom event that app is ready
         window.dispatchEvent(new CustomEvent('auth:ready', {
@@ -283,6 +339,16 @@ class AuthManager {
         }));
     }
 
+    /**
+     * Set an element's display if the page has it
+     */
+    setDisplay(id, display) {
+        const element = document.getElementById(id);
+        if (element) {
+            element.style.display = display;
+        }
+    }
+
     /**
      * Handle configuration error
      */
@@ -0,0 +1,412 @@
+/**
+ * Block Composer Module
+ * Adds, removes and reorders template sections in the email editor
+ */
+
+class BlockComposer {
+    constructor(editor) {
+        this.editor = editor;
+        this.toolbar = null;
+        this.indicator = null;
+        this.activeBlock = null;
+        this.draggingBlock = null;
+        this.dropTarget = null;
+
+        this.blockTypes = {
+            heading: 'Heading',
+            paragraph: 'Paragraph',
+            button: 'Button',
+            image: 'Image',
+            divider: 'Divider',
+            spacer: 'Spacer',
+            columns: 'Two Columns'
+        };
+
+        this.init();
+    }
+
+    /**
+     * Initialize palette, toolbar and drop handling
+     */
+    init() {
+        this.toolbar = document.getElementById('block-toolbar');
+        this.indicator = document.getElementById('block-drop-indicator');
+
+        this.setupPalette();
+        this.setupToolbar();
+        this.setupDropZone();
+
+        // Keep the toolbar attached to its block while scrolling
+        const container = document.querySelector('.editor-preview');
+        if (container) {
+            container.addEventListener('scroll', () => this.positionToolbar());
+        }
+        this.handleResize = () => this.positionToolbar();
+        window.addEventListener('resize', this.handleResize);
+    }
+
+    /**
+     * Remove the resize listener when the editor closes
+     */
+    destroy() {
+        window.removeEventListener('resize', this.handleResize);
+    }
+
+    /**
+     * Setup block palette items
+     */
+    setupPalette() {
+        document.querySelectorAll('.block-palette-item').forEach(item => {
+            item.addEventListener('dragstart', (e) => {
+                e.dataTransfer.effectAllowed = 'copy';
+                e.dataTransfer.setData('application/x-block-type', item.dataset.blockType);
+                e.dataTransfer.setData('text/plain', item.dataset.blockType);
+            });
+
+            item.addEventListener('dragend', () => this.hideIndicator());
+
+            // Click to add after the current block (or at the end)
+            item.addEventListener('click', () => {
+                const reference = this.activeBlock || this.getLastBlock();
+                this.insertBlock(item.dataset.blockType, reference, 'after');
+            });
+        });
+    }
+
+    /**
+     * Setup floating block toolbar
+     */
+    setupToolbar() {
+        if (!this.toolbar) return;
+
+        const handle = this.toolbar.querySelector('[data-block-action="drag"]');
+        if (handle) {
+            handle.addEventListener('dragstart', (e) => {
+                if (!this.activeBlock) {
+                    e.preventDefault();
+                    return;
+                }
+                this.draggingBlock = this.activeBlock;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('application/x-block-move', '1');
+                e.dataTransfer.setData('text/plain', 'block');
+                e.dataTransfer.setDragImage(this.activeBlock, 0, 0);
+            });
+
+            handle.addEventListener('dragend', () => {
+                this.draggingBlock = null;
+                this.hideIndicator();
+            });
+        }
+
+        this.toolbar.querySelectorAll('[data-block-action]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+
+                switch (btn.dataset.blockAction) {
+                    case 'up':
+                        this.moveBlock(this.activeBlock, -1);
+                        break;
+                    case 'down':
+                        this.moveBlock(this.activeBlock, 1);
+                        break;
+                    case 'delete':
+                        this.deleteBlock(this.activeBlock);
+                        break;
+                }
+            });
+        });
+    }
+
+    /**
+     * Setup drag and drop onto the preview
+     */
+    setupDropZone() {
+        const preview = document.getElementById('email-preview');
+        if (!preview) return;
+
+        preview.addEventListener('dragover', (e) => {
+            const types = Array.from(e.dataTransfer.types);
+            if (!types.includes('application/x-block-type') && !types.includes('application/x-block-move')) {
+                return;
+            }
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = this.draggingBlock ? 'move' : 'copy';
+
+            this.dropTarget = this.getDropTarget(e);
+            if (this.dropTarget) {
+                this.showIndicator(this.dropTarget);
+            } else {
+                this.hideIndicator();
+            }
+        });
+
+        preview.addEventListener('dragleave', (e) => {
+            if (!preview.contains(e.relatedTarget)) {
+                this.hideIndicator();
+            }
+        });
+
+        preview.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const target = this.dropTarget;
+            this.hideIndicator();
+
+            if (!target) return;
+
+            if (this.draggingBlock) {
+                this.moveBlockTo(this.draggingBlock, target.block, target.position);
+                this.draggingBlock = null;
+                return;
+            }
+
+            const type = e.dataTransfer.getData('application/x-block-type');
+            if (type) {
+                this.insertBlock(type, target.block, target.position);
+            }
+        });
+    }
+
+    /**
+     * Get all blocks in the preview
+     * Blocks are elements with data-block, plus editable elements that are
+     * not nested inside another editable element or block
+     */
+    getBlocks() {
+        const preview = document.getElementById('email-preview');
+        return Array.from(preview.querySelectorAll('[data-block], .editable-element')).filter(el => {
+            const parent = el.parentElement && el.parentElement.closest('[data-block], .editable-element');
+            return !parent || !preview.contains(parent);
+        });
+    }
+
+    /**
+     * Get the block that contains an element
+     */
+    getBlockFor(element) {
+        if (!element) return null;
+        return this.getBlocks().find(block => block === element || block.contains(element)) || null;
+    }
+
+    /**
+     * Get the last block in the template
+     */
+    getLastBlock() {
+        const blocks = this.getBlocks();
+        return blocks[blocks.length - 1] || null;
+    }
+
+    /**
+     * Work out where a dragged block would be dropped
+     */
+    getDropTarget(e) {
+        let block = this.getBlockFor(e.target);
+
+        // Fall back to the nearest block by vertical position
+        if (!block) {
+            const blocks = this.getBlocks();
+            block = blocks.reduce((closest, candidate) => {
+                const rect = candidate.getBoundingClientRect();
+                const distance = Math.min(Math.abs(e.clientY - rect.top), Math.abs(e.clientY - rect.bottom));
+                return !closest || distance < closest.distance ? { block: candidate, distance } : closest;
+            }, null)?.block || null;
+        }
+
+        if (!block) {
+            return { block: null, position: 'inside' };
+        }
+
+        // Can't drop a block into itself
+        if (this.draggingBlock && (this.draggingBlock === block || this.draggingBlock.contains(block))) {
+            return null;
+        }
+
+        const rect = block.getBoundingClientRect();
+        const position = e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+
+        return { block, position };
+    }
+
+    /**
+     * Build a new block element
+     */
+    createBlock(type) {
+        const templates = {
+            heading: `<h2 data-block="heading" class="editable-element" style="color: #111827; font-size: 24px; margin: 0 0 16px 0;">New heading</h2>`,
+            paragraph: `<p data-block="paragraph" class="editable-element" style="color: #4b5563; font-size: 16px; line-height: 1.6; margin: 0 0 24px 0;">Write your message here.</p>`,
+            button: `<div data-block="button" style="margin: 0 0 24px 0;"><a href="#" class="editable-element" data-brand-role="cta" style="display: inline-block; background-color: #2563eb; color: #ffffff; padding: 12px 32px; text-decoration: none; border-radius: 6px; font-weight: 600; font-size: 16px;">Button text</a></div>`,
+            image: `<div data-block="image" style="margin: 0 0 24px 0; text-align: center;"><img class="editable-element" src="${this.getPlaceholderImage()}" alt="" style="max-width: 100%; width: 520px; height: auto; display: inline-block;"></div>`,
+            divider: `<hr data-block="divider" class="editable-element" style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;">`,
+            spacer: `<div data-block="spacer" class="editable-element" style="height: 32px; line-height: 32px; font-size: 0;">&nbsp;</div>`,
+            columns: `<div data-block="columns" style="display: flex; gap: 24px; margin: 0 0 24px 0;">
+                <div style="flex: 1;"><p class="editable-element" style="color: #4b5563; font-size: 16px; line-height: 1.6; margin: 0;">Left column text.</p></div>
+                <div style="flex: 1;"><p class="editable-element" style="color: #4b5563; font-size: 16px; line-height: 1.6; margin: 0;">Right column text.</p></div>
+            </div>`
+        };
+
+        if (!templates[type]) return null;
+
+        const tmp = document.createElement('div');
+        tmp.innerHTML = templates[type].trim();
+        return tmp.firstElementChild;
+    }
+
+    /**
+     * Placeholder image shown until a real image is chosen
+     */
+    getPlaceholderImage() {
+        const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="520" height="200"><rect width="100%" height="100%" fill="#e5e7eb"/><text x="50%" y="50%" fill="#6b7280" font-family="Arial" font-size="18" text-anchor="middle" dominant-baseline="middle">Image</text></svg>';
+        return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+    }
+
+    /**
+     * Insert a new block relative to a reference block
+     */
+    insertBlock(type, reference, position = 'after') {
+        const block = this.createBlock(type);
+        if (!block) return null;
+
+        if (reference && position === 'before') {
+            reference.before(block);
+        } else if (reference) {
+            reference.after(block);
+        } else {
+            this.getFallbackContainer().appendChild(block);
+        }
+
+        this.editor.markEditableElements();
+        this.editor.recordChange(`Add ${this.blockTypes[type].toLowerCase()} block`);
+
+        // Select the new block's first editable element
+        const editable = block.classList.contains('editable-element') ? block : block.querySelector('.editable-element');
+        if (editable) {
+            this.editor.selectElement(editable);
+        }
+
+        return block;
+    }
+
+    /**
+     * Container used when the template has no blocks yet
+     */
+    getFallbackContainer() {
+        const preview = document.getElementById('email-preview');
+        return preview.firstElementChild || preview;
+    }
+
+    /**
+     * Move a block up (-1) or down (1) among its siblings in reading order
+     */
+    moveBlock(block, direction) {
+        if (!block) return;
+
+        const blocks = this.getBlocks();
+        const index = blocks.indexOf(block);
+        const neighbour = blocks[index + direction];
+
+        if (!neighbour) return;
+
+        this.moveBlockTo(block, neighbour, direction < 0 ? 'before' : 'after');
+    }
+
+    /**
+     * Move a block next to another block
+     */
+    moveBlockTo(block, reference, position) {
+        if (!block || !reference || block === reference || block.contains(reference)) return;
+
+        if (position === 'before') {
+            reference.before(block);
+        } else {
+            reference.after(block);
+        }
+
+        this.editor.recordChange('Move block');
+        this.positionToolbar();
+    }
+
+    /**
+     * Delete a block
+     */
+    deleteBlock(block) {
+        if (!block) return;
+
+        this.editor.deselectElement();
+        block.remove();
+        this.editor.recordChange('Delete block');
+    }
+
+    /**
+     * Show the toolbar for the block containing an element
+     */
+    showToolbar(element) {
+        this.activeBlock = this.getBlockFor(element);
+
+        if (!this.toolbar || !this.activeBlock) {
+            this.hideToolbar();
+            return;
+        }
+
+        this.toolbar.style.display = 'flex';
+        this.positionToolbar();
+    }
+
+    /**
+     * Hide the block toolbar
+     */
+    hideToolbar() {
+        this.activeBlock = null;
+        if (this.toolbar) {
+            this.toolbar.style.display = 'none';
+        }
+    }
+
+    /**
+     * Position the toolbar above the active block
+     */
+    positionToolbar() {
+        if (!this.toolbar || !this.activeBlock || !this.activeBlock.isConnected) return;
+
+        const container = document.querySelector('.editor-preview');
+        const containerRect = container.getBoundingClientRect();
+        const rect = this.activeBlock.getBoundingClientRect();
+
+        const top = rect.top - containerRect.top + container.scrollTop - this.toolbar.offsetHeight - 6;
+        const left = rect.right - containerRect.left + container.scrollLeft - this.toolbar.offsetWidth;
+
+        this.toolbar.style.top = `${Math.max(top, container.scrollTop)}px`;
+        this.toolbar.style.left = `${Math.max(left, 0)}px`;
+    }
+
+    /**
+     * Show the drop indicator line
+     */
+    showIndicator({ block, position }) {
+        if (!this.indicator) return;
+
+        const container = document.querySelector('.editor-preview');
+        const containerRect = container.getBoundingClientRect();
+        const target = block || this.getFallbackContainer();
+        const rect = target.getBoundingClientRect();
+        const y = position === 'before' ? rect.top : rect.bottom;
+
+        this.indicator.style.display = 'block';
+        this.indicator.style.top = `${y - containerRect.top + container.scrollTop - 2}px`;
+        this.indicator.style.left = `${rect.left - containerRect.left + container.scrollLeft}px`;
+        this.indicator.style.width = `${rect.width}px`;
+    }
+
+    /**
+     * Hide the drop indicator line
+     */
+    hideIndicator() {
+        this.dropTarget = null;
+        if (this.indicator) {
+            this.indicator.style.display = 'none';
+        }
+    }
+}
+
+// Export for use in other modules
+window.BlockComposer = BlockComposer;
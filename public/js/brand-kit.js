@@ -6,17 +6,55 @@
 class BrandKitManager {
     constructor() {
         this.brandKit = null;
+        this.brandKits = [];
         this.isDefault = true;
         this.listeners = [];
+        this.paletteFields = [
+            { key: 'primary_color', label: 'Primary', defaultValue: '#4F46E5' },
+            { key: 'text_color', label: 'Text on primary', defaultValue: '#FFFFFF' },
+            { key: 'secondary_color', label: 'Secondary', defaultValue: '#0EA5E9' },
+            { key: 'accent_color', label: 'Accent', defaultValue: '#F59E0B' },
+            { key: 'background_color', label: 'Background', defaultValue: '#FFFFFF' },
+            { key: 'heading_color', label: 'Heading text', defaultValue: '#111827' },
+            { key: 'body_text_color', label: 'Body text', defaultValue: '#4B5563' },
+            { key: 'link_color', label: 'Link', defaultValue: '#2563EB' }
+        ];
+
+        // The light-background logo is logo_url; the others live in logo_variants
+        this.logoVariants = [
+            { key: 'light', label: 'For light backgrounds' },
+            { key: 'dark', label: 'For dark backgrounds' },
+            { key: 'icon', label: 'Square icon' }
+        ];
+
+        // Fonts that render in every major email client without downloading
+        this.webSafeFonts = [
+            { family: 'Inter', stack: 'Inter, Arial, Helvetica, sans-serif' },
+            { family: 'Arial', stack: 'Arial, Helvetica, sans-serif' },
+            { family: 'Helvetica', stack: 'Helvetica, Arial, sans-serif' },
+            { family: 'Verdana', stack: 'Verdana, Geneva, sans-serif' },
+            { family: 'Tahoma', stack: 'Tahoma, Verdana, sans-serif' },
+            { family: 'Trebuchet MS', stack: "'Trebuchet MS', Helvetica, Arial, sans-serif" },
+            { family: 'Georgia', stack: "Georgia, 'Times New Roman', Times, serif" },
+            { family: 'Times New Roman', stack: "'Times New Roman', Times, serif" },
+            { family: 'Courier New', stack: "'Courier New', Courier, monospace" }
+        ];
+
+        // Fallback stacks for uploaded fonts, by generic family
+        this.fontFallbacks = {
+            'sans-serif': 'Arial, Helvetica, sans-serif',
+            'serif': "Georgia, 'Times New Roman', Times, serif",
+            'monospace': "'Courier New', Courier, monospace"
+        };
     }
 
     /**
-     * Fetch brand kit from API
+     * Fetch a brand kit from API (the organization's default kit unless an ID is given)
      */
-    async fetch() {
+    async fetch(id = null) {
         try {
             const response = await window.authManager.apiCall(
-                window.API_CONFIG.endpoints.brandKit,
+                this.getEndpoint(id ? { id } : {}),
                 { method: 'GET' }
             );
 
@@ -43,6 +81,9 @@ class BrandKitManager {
         } catch (error) {
             console.error('Error fetching brand kit:', error);
 
+            // A specific kit was asked for, so don't silently swap in the defaults
+            if (id) throw error;
+
             // Return default brand kit on error
             this.brandKit = this.getDefaultBrandKit();
             this.isDefault = true;
@@ -57,16 +98,17 @@ class BrandKitManager {
     async save(brandKitData) {
         try {
             // Validate colors before saving
-            if (brandKitData.primary_color && !this.isValidHexColor(brandKitData.primary_color)) {
-                throw new Error('Invalid primary color format. Must be hex (e.g., #4F46E5)');
-            }
-
-            if (brandKitData.text_color && !this.isValidHexColor(brandKitData.text_color)) {
-                throw new Error('Invalid text color format. Must be hex (e.g., #FFFFFF)');
-            }
+            this.paletteFields.forEach(field => {
+                const color = brandKitData[field.key];
+                if (color && !this.isValidHexColor(color)) {
+                    throw new Error(`Invalid ${field.label.toLowerCase()} color format. Must be hex (e.g., ${field.defaultValue})`);
+                }
+            });
 
+            // Save to the selected kit, or the organization's default kit
+            const id = this.getCurrentKitId();
             const response = await window.authManager.apiCall(
-                window.API_CONFIG.endpoints.brandKit,
+                this.getEndpoint(id ? { id } : {}),
                 {
                     method: 'PUT',
                     body: JSON.stringify(brandKitData)
@@ -85,10 +127,18 @@ class BrandKitManager {
                 this.brandKit = {
                     ...this.brandKit,
                     ...brandKitData,
+                    id: data.id || id,
                     updated_at: new Date().toISOString()
                 };
                 this.isDefault = false;
 
+                if (id) {
+                    this.updateKitInList(this.brandKit);
+                } else {
+                    // Saving over the built-in defaults creates the first named kit
+                    await this.listKits().catch(() => {});
+                }
+
                 console.log('Brand kit saved:', this.brandKit);
 
                 // Notify listeners
@@ -123,29 +173,35 @@ class BrandKitManager {
 
     /**
      * Upload logo file
+     * retinaFile and size come from LogoProcessor: an optional 2x version and
+     * the display size ({ width, height }) in pixels. variant is 'light'
+     * (the main logo), 'dark' or 'icon'
      */
-    async uploadLogo(file) {
+    async uploadLogo(file, retinaFile = null, size = null, variant = 'light') {
         try {
             // Validate file
             if (!file) {
                 throw new Error('No file provided');
             }
 
-            // Check file type
+            // Check file type and size (5MB max)
             const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml'];
-            if (!allowedTypes.includes(file.type)) {
-                throw new Error('Invalid file type. Only images are allowed (JPG, PNG, GIF, WebP, SVG)');
-            }
-
-            // Check file size (5MB max)
             const maxSize = 5 * 1024 * 1024;
-            if (file.size > maxSize) {
-                throw new Error(`File size exceeds 5MB limit. File is ${(file.size / 1024 / 1024).toFixed(2)}MB`);
-            }
+
+            [file, retinaFile].filter(Boolean).forEach(upload => {
+                if (!allowedTypes.includes(upload.type)) {
+                    throw new Error('Invalid file type. Only images are allowed (JPG, PNG, GIF, WebP, SVG)');
+                }
+
+                if (upload.size > maxSize) {
+                    throw new Error(`File size exceeds 5MB limit. File is ${(upload.size / 1024 / 1024).toFixed(2)}MB`);
+                }
+            });
 
             // Create form data
             const formData = new FormData();
             formData.append('logo', file);
+            if (retinaFile) formData.append('logo_2x', retinaFile);
 
             // Get access token
             const accessToken = window.authManager.getAccessToken();
@@ -172,13 +228,32 @@ class BrandKitManager {
             const data = await response.json();
 
             if (data.success && data.url) {
-                // Save logo URL to brand kit
-                await this.updateProperty('logo_url', data.url);
+                // Save logo URL, 2x version and display size to brand kit
+                if (variant === 'light') {
+                    await this.save({
+                        logo_url: data.url,
+                        logo_retina_url: data.retina_url || null,
+                        logo_width: size ? size.width : null,
+                        logo_height: size ? size.height : null
+                    });
+                } else {
+                    await this.save({
+                        logo_variants: {
+                            ...this.getLogoVariants(),
+                            [variant]: {
+                                url: data.url,
+                                retina_url: data.retina_url || null,
+                                width: size ? size.width : null,
+                                height: size ? size.height : null
+                            }
+                        }
+                    });
+                }
 
                 console.log('Logo uploaded successfully:', data.url);
 
                 // Notify listeners
-                this.notifyListeners('logo_uploaded', { url: data.url });
+                this.notifyListeners('logo_uploaded', { url: data.url, variant });
 
                 return data.url;
             } else {
@@ -191,14 +266,123 @@ class BrandKitManager {
     }
 
     /**
-     * Remove logo
+     * Upload a WOFF, WOFF2 or TTF font and add it to the brand kit
+     * fallback is the generic family used when the font can't load
      */
-    async removeLogo() {
+    async uploadFont(file, family = '', fallback = 'sans-serif') {
         try {
-            await this.updateProperty('logo_url', null);
+            if (!file) {
+                throw new Error('No file provided');
+            }
+
+            // Browsers report font MIME types inconsistently, so check the extension
+            const extension = file.name.split('.').pop().toLowerCase();
+            if (!['woff', 'woff2', 'ttf'].includes(extension)) {
+                throw new Error('Invalid file type. Only fonts are allowed (WOFF, WOFF2, TTF)');
+            }
+
+            // Check file size (2MB max)
+            const maxSize = 2 * 1024 * 1024;
+            if (file.size > maxSize) {
+                throw new Error(`File size exceeds 2MB limit. File is ${(file.size / 1024 / 1024).toFixed(2)}MB`);
+            }
+
+            if (family && !this.isValidFontFamily(family)) {
+                throw new Error('Font name may only contain letters, numbers, spaces and hyphens');
+            }
+
+            const formData = new FormData();
+            formData.append('font', file);
+            formData.append('family', family);
+
+            const accessToken = window.authManager.getAccessToken();
+            if (!accessToken) {
+                throw new Error('Not authenticated');
+            }
+
+            // Let the browser set the multipart Content-Type (see uploadLogo)
+            const response = await fetch('/api/upload-font.php', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                },
+                body: formData
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.error || 'Failed to upload font');
+            }
+
+            const data = await response.json();
+
+            if (data.success && data.url) {
+                const font = {
+                    family: data.family,
+                    url: data.url,
+                    format: data.format,
+                    fallback: this.fontFallbacks[fallback] ? fallback : 'sans-serif'
+                };
+
+                // Uploading a font with an existing name replaces it
+                const customFonts = this.getCustomFonts().filter(f => f.family !== font.family);
+                await this.updateProperty('custom_fonts', [...customFonts, font]);
+
+                this.notifyListeners('font_uploaded', font);
+
+                return font;
+            } else {
+                throw new Error('Upload failed');
+            }
+        } catch (error) {
+            console.error('Error uploading font:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove an uploaded font; headings or body text using it go back to the default
+     */
+    async removeFont(family) {
+        try {
+            const update = {
+                custom_fonts: this.getCustomFonts().filter(font => font.family !== family)
+            };
+
+            if (this.getFontFamily() === family) update.font_family = 'Inter';
+            if (this.getHeadingFontFamily() === family) update.heading_font_family = 'Inter';
+
+            await this.save(update);
+
+            this.notifyListeners('font_removed', { family });
+
+            return true;
+        } catch (error) {
+            console.error('Error removing font:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove logo ('light' is the main logo; other variants are kept)
+     */
+    async removeLogo(variant = 'light') {
+        try {
+            if (variant === 'light') {
+                await this.save({
+                    logo_url: null,
+                    logo_retina_url: null,
+                    logo_width: null,
+                    logo_height: null
+                });
+            } else {
+                const variants = this.getLogoVariants();
+                delete variants[variant];
+                await this.save({ logo_variants: variants });
+            }
 
             // Notify listeners
-            this.notifyListeners('logo_removed', {});
+            this.notifyListeners('logo_removed', { variant });
 
             return true;
         } catch (error) {
@@ -208,39 +392,171 @@ class BrandKitManager {
     }
 
     /**
-     * Delete brand kit (reset to defaults)
+     * Fetch the organization's named brand kits (default first)
      */
-    async reset() {
+    async listKits() {
         try {
             const response = await window.authManager.apiCall(
-                window.API_CONFIG.endpoints.brandKit,
-                { method: 'DELETE' }
+                this.getEndpoint({ list: 1 }),
+                { method: 'GET' }
             );
 
             if (!response.ok) {
-                throw new Error('Failed to reset brand kit');
+                throw new Error('Failed to fetch brand kits');
             }
 
             const data = await response.json();
+            this.brandKits = data.brand_kits || [];
 
-            if (data.success) {
-                // Reset to defaults
-                this.brandKit = this.getDefaultBrandKit();
-                this.isDefault = true;
+            this.notifyListeners('listed', this.brandKits);
 
-                console.log('Brand kit reset to defaults');
+            return this.brandKits;
+        } catch (error) {
+            console.error('Error fetching brand kits:', error);
+            throw error;
+        }
+    }
 
-                // Notify listeners
-                this.notifyListeners('reset', this.brandKit);
+    /**
+     * Load a named brand kit and make it the current one
+     */
+    async selectKit(id) {
+        return this.fetch(id);
+    }
 
-                return this.brandKit;
+    /**
+     * Create a named brand kit, starting from the given values or the defaults
+     */
+    async createKit(name, brandKitData = {}) {
+        const { id, company_id, created_at, updated_at, is_default, ...values } = brandKitData;
+        const data = await this.sendKitRequest({}, 'POST', { ...values, name }, 'Failed to create brand kit');
+
+        this.brandKits.push(data.brand_kit);
+        this.notifyListeners('kit_created', data.brand_kit);
+
+        return data.brand_kit;
+    }
+
+    /**
+     * Rename a brand kit
+     */
+    async renameKit(id, name) {
+        await this.sendKitRequest({ id }, 'PUT', { name }, 'Failed to rename brand kit');
+
+        this.updateKitInList({ id, name });
+        if (this.getCurrentKitId() === id) {
+            this.brandKit = { ...this.brandKit, name };
+        }
+
+        this.notifyListeners('kit_renamed', { id, name });
+
+        return true;
+    }
+
+    /**
+     * Copy a brand kit under a new name (defaults to "<name> (copy)")
+     */
+    async duplicateKit(id, name = null) {
+        const body = name ? { name } : {};
+        const data = await this.sendKitRequest({ duplicate: id }, 'POST', body, 'Failed to duplicate brand kit');
+
+        this.brandKits.push(data.brand_kit);
+        this.notifyListeners('kit_created', data.brand_kit);
+
+        return data.brand_kit;
+    }
+
+    /**
+     * Delete a brand kit; if it was current, the default kit is loaded instead
+     */
+    async deleteKit(id) {
+        await this.sendKitRequest({ id }, 'DELETE', null, 'Failed to delete brand kit');
+
+        // The server may have promoted another kit to default
+        await this.listKits();
+        this.notifyListeners('kit_deleted', { id });
+
+        if (this.getCurrentKitId() === id) {
+            await this.fetch();
+        }
+
+        return true;
+    }
+
+    /**
+     * Make a brand kit the organization's default
+     */
+    async setDefaultKit(id) {
+        await this.sendKitRequest({ id }, 'PUT', { is_default: true }, 'Failed to set default brand kit');
+
+        this.brandKits.forEach(kit => {
+            kit.is_default = kit.id === id;
+        });
+
+        this.notifyListeners('default_changed', { id });
+
+        return true;
+    }
+
+    /**
+     * Send a request for a named kit and return the parsed response
+     */
+    async sendKitRequest(params, method, body, errorMessage) {
+        try {
+            const options = { method };
+            if (body) options.body = JSON.stringify(body);
+
+            const response = await window.authManager.apiCall(this.getEndpoint(params), options);
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || errorMessage);
             }
+
+            return data;
         } catch (error) {
-            console.error('Error resetting brand kit:', error);
+            console.error(`${errorMessage}:`, error);
             throw error;
         }
     }
 
+    /**
+     * Build the brand kit endpoint URL with query parameters
+     */
+    getEndpoint(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return window.API_CONFIG.endpoints.brandKit + (query ? `?${query}` : '');
+    }
+
+    /**
+     * Merge changed fields into the matching entry of the kit list
+     */
+    updateKitInList(brandKit) {
+        const kit = this.brandKits.find(k => k.id === brandKit.id);
+        if (kit) Object.assign(kit, brandKit);
+    }
+
+    /**
+     * Get the named brand kits loaded by listKits()
+     */
+    getKits() {
+        return this.brandKits;
+    }
+
+    /**
+     * Get the ID of the current brand kit (null when using the built-in defaults)
+     */
+    getCurrentKitId() {
+        return this.brandKit ? this.brandKit.id || null : null;
+    }
+
+    /**
+     * Get the name of the current brand kit
+     */
+    getKitName() {
+        return (this.brandKit && this.brandKit.name) || 'Default';
+    }
+
     /**
      * Get current brand kit
      */
@@ -262,6 +578,36 @@ class BrandKitManager {
         return this.brandKit?.text_color || '#FFFFFF';
     }
 
+    /**
+     * Get the palette color fields with labels and defaults
+     */
+    getPaletteFields() {
+        return this.paletteFields;
+    }
+
+    /**
+     * Get a palette color by key, falling back to its default
+     * (kits saved before the extended palette have no value for the new colors)
+     */
+    getColor(key) {
+        const field = this.paletteFields.find(f => f.key === key);
+        const color = this.brandKit?.[key];
+
+        if (color && this.isValidHexColor(color)) return color;
+        return field ? field.defaultValue : null;
+    }
+
+    /**
+     * Get the full palette as [{ key, label, color }]
+     */
+    getPalette() {
+        return this.paletteFields.map(field => ({
+            key: field.key,
+            label: field.label,
+            color: this.getColor(field.key)
+        }));
+    }
+
     /**
      * Get logo URL
      */
@@ -269,6 +615,96 @@ class BrandKitManager {
         return this.brandKit?.logo_url || null;
     }
 
+    /**
+     * Get a logo variant with its 2x version and display size
+     * Returns { url, retinaUrl, width, height } or null; size fields are null for
+     * logos uploaded without processing
+     */
+    getLogo(variant = 'light') {
+        if (variant !== 'light') {
+            const logo = this.getLogoVariants()[variant];
+            return logo && logo.url ? {
+                url: logo.url,
+                retinaUrl: logo.retina_url || null,
+                width: logo.width || null,
+                height: logo.height || null
+            } : null;
+        }
+
+        const url = this.getLogoUrl();
+        if (!url) return null;
+
+        return {
+            url,
+            retinaUrl: this.brandKit.logo_retina_url || null,
+            width: this.brandKit.logo_width || null,
+            height: this.brandKit.logo_height || null
+        };
+    }
+
+    /**
+     * Get the logo for light backgrounds (the main logo)
+     */
+    getLightLogo() {
+        return this.getLogo('light');
+    }
+
+    /**
+     * Get the logo for dark backgrounds
+     */
+    getDarkLogo() {
+        return this.getLogo('dark');
+    }
+
+    /**
+     * Get the square icon logo
+     */
+    getIconLogo() {
+        return this.getLogo('icon');
+    }
+
+    /**
+     * Get the stored dark and icon variants (a copy, keyed by variant)
+     */
+    getLogoVariants() {
+        return { ...(this.brandKit?.logo_variants || {}) };
+    }
+
+    /**
+     * Get the logo variant definitions
+     */
+    getLogoVariantFields() {
+        return this.logoVariants;
+    }
+
+    /**
+     * Check if the brand kit has any logo
+     */
+    hasLogo() {
+        return this.logoVariants.some(variant => this.getLogo(variant.key));
+    }
+
+    /**
+     * Pick the logo for a background color: the dark variant where white text
+     * reads better, otherwise the light one, falling back to whichever exists.
+     * A requested variant (e.g. 'icon') wins when the kit has it.
+     */
+    getLogoForBackground(background, requested = null) {
+        if (requested && this.getLogo(requested)) {
+            return this.getLogo(requested);
+        }
+
+        const isDark = !!background && this.getReadableTextColor(background) === '#FFFFFF';
+        const order = isDark ? ['dark', 'light', 'icon'] : ['light', 'dark', 'icon'];
+
+        for (const variant of order) {
+            const logo = this.getLogo(variant);
+            if (logo) return logo;
+        }
+
+        return null;
+    }
+
     /**
      * Get font family
      */
@@ -276,6 +712,64 @@ class BrandKitManager {
         return this.brandKit?.font_family || 'Inter';
     }
 
+    /**
+     * Get heading font family (defaults to the body font)
+     */
+    getHeadingFontFamily() {
+        return this.brandKit?.heading_font_family || this.getFontFamily();
+    }
+
+    /**
+     * Get the curated web-safe fonts
+     */
+    getWebSafeFonts() {
+        return this.webSafeFonts;
+    }
+
+    /**
+     * Get uploaded fonts as [{ family, url, format, fallback }]
+     */
+    getCustomFonts() {
+        const fonts = this.brandKit?.custom_fonts;
+        return Array.isArray(fonts) ? fonts : [];
+    }
+
+    /**
+     * Get a CSS font-family stack with fallbacks for email clients
+     */
+    getFontStack(family) {
+        const webSafe = this.webSafeFonts.find(font => font.family === family);
+        if (webSafe) return webSafe.stack;
+
+        const custom = this.getCustomFonts().find(font => font.family === family);
+        if (custom) {
+            return `'${custom.family}', ${this.fontFallbacks[custom.fallback] || this.fontFallbacks['sans-serif']}`;
+        }
+
+        return this.webSafeFonts[0].stack;
+    }
+
+    /**
+     * Get @font-face rules for the uploaded fonts among the given families
+     * URLs are absolute so the rules keep working in exported emails
+     */
+    getFontFaceCSS(families) {
+        return this.getCustomFonts()
+            .filter(font => families.includes(font.family))
+            .map(font => {
+                const url = font.url.startsWith('/') ? window.location.origin + font.url : font.url;
+                return `@font-face { font-family: '${font.family}'; src: url('${url}') format('${font.format}'); font-display: swap; }`;
+            })
+            .join('\n');
+    }
+
+    /**
+     * Validate a font family name
+     */
+    isValidFontFamily(family) {
+        return /^[A-Za-z0-9][A-Za-z0-9 -]{0,62}$/.test(family);
+    }
+
     /**
      * Check if using default brand kit
      */
@@ -287,18 +781,216 @@ class BrandKitManager {
      * Get default brand kit values
      */
     getDefaultBrandKit() {
+        const palette = {};
+        this.paletteFields.forEach(field => {
+            palette[field.key] = field.defaultValue;
+        });
+
         return {
             id: null,
             company_id: null,
-            primary_color: '#4F46E5',
-            text_color: '#FFFFFF',
+            name: 'Default',
+            is_default: true,
+            ...palette,
             logo_url: null,
+            logo_retina_url: null,
+            logo_width: null,
+            logo_height: null,
+            logo_variants: {},
             font_family: 'Inter',
+            heading_font_family: 'Inter',
+            custom_fonts: [],
             created_at: null,
             updated_at: null
         };
     }
 
+    /**
+     * Get the design token name for a palette field (e.g. body_text_color -> body-text)
+     */
+    getTokenName(key) {
+        return key.replace(/_color$/, '').replace(/_/g, '-');
+    }
+
+    /**
+     * Export a brand kit in the W3C Design Tokens format
+     */
+    toDesignTokens(brandKit = this.brandKit || this.getDefaultBrandKit()) {
+        const color = {};
+        this.paletteFields.forEach(field => {
+            color[this.getTokenName(field.key)] = {
+                $type: 'color',
+                $value: (brandKit[field.key] || field.defaultValue).toUpperCase(),
+                $description: field.label
+            };
+        });
+
+        // Font stacks become arrays of families, without CSS quoting
+        const fontFamilyToken = (family, description) => ({
+            $type: 'fontFamily',
+            $value: this.getFontStack(family).split(',').map(name => name.trim().replace(/^'|'$/g, '')),
+            $description: description
+        });
+
+        return {
+            $description: `Brand kit "${brandKit.name || 'Default'}"`,
+            brand: {
+                color,
+                font: {
+                    heading: fontFamilyToken(brandKit.heading_font_family || brandKit.font_family || 'Inter', 'Heading font'),
+                    body: fontFamilyToken(brandKit.font_family || 'Inter', 'Body font')
+                }
+            },
+            $extensions: {
+                'brand-kit': {
+                    name: brandKit.name || 'Default',
+                    logo_url: brandKit.logo_url || null
+                }
+            }
+        };
+    }
+
+    /**
+     * Export a brand kit as a stylesheet of CSS custom properties
+     */
+    toCSSVariables(brandKit = this.brandKit || this.getDefaultBrandKit()) {
+        const lines = this.paletteFields.map(field => {
+            return `    --brand-color-${this.getTokenName(field.key)}: ${(brandKit[field.key] || field.defaultValue).toUpperCase()};`;
+        });
+
+        lines.push(`    --brand-font-heading: ${this.getFontStack(brandKit.heading_font_family || brandKit.font_family || 'Inter')};`);
+        lines.push(`    --brand-font-body: ${this.getFontStack(brandKit.font_family || 'Inter')};`);
+
+        if (brandKit.logo_url) {
+            lines.push(`    --brand-logo-url: url("${new URL(brandKit.logo_url, window.location.origin).href}");`);
+        }
+
+        const fontFaces = this.getFontFaceCSS([brandKit.heading_font_family, brandKit.font_family]);
+
+        return `/* Brand kit "${(brandKit.name || 'Default').replace(/\*\//g, '')}" */\n`
+            + (fontFaces ? `${fontFaces}\n\n` : '')
+            + `:root {\n${lines.join('\n')}\n}\n`;
+    }
+
+    /**
+     * Download the current brand kit as design tokens ('tokens') or CSS variables ('css')
+     */
+    exportKit(format = 'tokens') {
+        const slug = this.getKitName().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'brand-kit';
+
+        if (format === 'css') {
+            this.downloadFile(`${slug}.css`, this.toCSSVariables(), 'text/css;charset=utf-8');
+        } else {
+            this.downloadFile(`${slug}.tokens.json`, JSON.stringify(this.toDesignTokens(), null, 2), 'application/json');
+        }
+    }
+
+    /**
+     * Trigger a file download in the browser
+     */
+    downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Read a design tokens file into brand kit values
+     * Colors must pass isValidHexColor(); fonts must be web-safe or already uploaded.
+     * Returns { data, errors, warnings } - data is only safe to save when errors is empty
+     */
+    parseDesignTokens(text) {
+        const data = {};
+        const errors = [];
+        const warnings = [];
+
+        let tokens;
+        try {
+            tokens = JSON.parse(text);
+        } catch (error) {
+            return { data, errors: ['File is not valid JSON'], warnings };
+        }
+
+        const brand = tokens && tokens.brand;
+        if (!brand || typeof brand !== 'object') {
+            return { data, errors: ['No "brand" token group found'], warnings };
+        }
+
+        const colors = brand.color || {};
+        const knownColors = this.paletteFields.map(field => this.getTokenName(field.key));
+
+        this.paletteFields.forEach(field => {
+            const token = colors[this.getTokenName(field.key)];
+            if (!token) return;
+
+            const value = typeof token === 'object' ? token.$value : token;
+            if (!this.isValidHexColor(value)) {
+                errors.push(`brand.color.${this.getTokenName(field.key)}: "${value}" is not a 6-digit hex color (e.g. ${field.defaultValue})`);
+                return;
+            }
+
+            data[field.key] = value.toUpperCase();
+        });
+
+        Object.keys(colors).filter(name => !name.startsWith('$') && !knownColors.includes(name)).forEach(name => {
+            warnings.push(`brand.color.${name} is not part of the brand kit and was ignored`);
+        });
+
+        const fonts = brand.font || {};
+        [['heading', 'heading_font_family'], ['body', 'font_family']].forEach(([name, key]) => {
+            const token = fonts[name];
+            if (!token) return;
+
+            const value = typeof token === 'object' ? token.$value : token;
+            const family = (Array.isArray(value) ? value[0] : String(value).split(',')[0] || '').trim().replace(/^['"]|['"]$/g, '');
+
+            if (!this.isValidFontFamily(family)) {
+                errors.push(`brand.font.${name}: "${family}" is not a valid font name`);
+            } else if (!this.getWebSafeFonts().some(font => font.family === family) &&
+                !this.getCustomFonts().some(font => font.family === family)) {
+                warnings.push(`brand.font.${name}: "${family}" isn't uploaded to this brand kit and was ignored`);
+            } else {
+                data[key] = family;
+            }
+        });
+
+        if (Object.keys(data).length === 0 && errors.length === 0) {
+            errors.push('No brand kit colors or fonts found in the file');
+        }
+
+        return { data, errors, warnings };
+    }
+
+    /**
+     * List the values that would change if data were saved over a brand kit
+     */
+    diffBrandKit(data, brandKit = this.brandKit || this.getDefaultBrandKit()) {
+        const labels = {
+            font_family: 'Body font',
+            heading_font_family: 'Heading font'
+        };
+        this.paletteFields.forEach(field => {
+            labels[field.key] = field.label;
+        });
+
+        return Object.keys(data)
+            .filter(key => String(brandKit[key] || '').toUpperCase() !== String(data[key]).toUpperCase())
+            .map(key => ({
+                key,
+                label: labels[key] || key,
+                from: brandKit[key] || null,
+                to: data[key]
+            }));
+    }
+
     /**
      * Validate hex color format
      */
@@ -308,7 +1000,7 @@ class BrandKitManager {
 
     /**
      * Add event listener for brand kit changes
-     * Events: 'loaded', 'saved', 'reset', 'error'
+     * Events: 'loaded', 'saved', 'error'
      */
     addEventListener(callback) {
         this.listeners.push(callback);
@@ -353,6 +1045,58 @@ class BrandKitManager {
         return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1).toUpperCase();
     }
 
+    /**
+     * Get WCAG relative luminance of a hex color
+     */
+    getLuminance(hex) {
+        const rgb = this.hexToRgb(hex);
+        if (!rgb) return null;
+
+        const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(channel => {
+            const value = channel / 255;
+            return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+        });
+
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    /**
+     * Get WCAG contrast ratio between two hex colors (1 to 21)
+     */
+    getContrastRatio(foreground, background) {
+        const l1 = this.getLuminance(foreground);
+        const l2 = this.getLuminance(background);
+        if (l1 === null || l2 === null) return null;
+
+        return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+    }
+
+    /**
+     * Check a color pair against WCAG AA and AAA
+     * Large text is 24px+, or 18.66px+ bold
+     */
+    checkContrast(foreground, background, largeText = false) {
+        const ratio = this.getContrastRatio(foreground, background);
+        if (ratio === null) return null;
+
+        return {
+            ratio: Math.round(ratio * 100) / 100,
+            aa: ratio >= (largeText ? 3 : 4.5),
+            aaa: ratio >= (largeText ? 4.5 : 7)
+        };
+    }
+
+    /**
+     * Pick white or near-black text, whichever reads better on a background
+     */
+    getReadableTextColor(background) {
+        const light = '#FFFFFF';
+        const dark = '#111827';
+        return (this.getContrastRatio(light, background) || 0) >= (this.getContrastRatio(dark, background) || 0)
+            ? light
+            : dark;
+    }
+
     /**
      * Debounce helper for auto-save
      */
@@ -384,4 +1128,10 @@ window.brandKitManager = brandKitManager;
 window.addEventListener('auth:ready', async () => {
     console.log('Auth ready, loading brand kit...');
     await brandKitManager.fetch();
+
+    try {
+        await brandKitManager.listKits();
+    } catch (error) {
+        // The kit selectors stay hidden without a list
+    }
 });
@@ -0,0 +1,464 @@
+/**
+ * Brand Roles Module
+ * Maps brand kit colors, fonts and logo onto elements tagged with data-brand-role
+ */
+
+class BrandRoles {
+    constructor(editor) {
+        this.editor = editor;
+        this.roles = [
+            { key: 'primary-bg', label: 'Primary background', hint: 'Primary color background with text on primary' },
+            { key: 'cta', label: 'Call to action', hint: 'Primary color button' },
+            { key: 'secondary-cta', label: 'Secondary button', hint: 'Secondary color button' },
+            { key: 'heading', label: 'Heading', hint: 'Heading text color' },
+            { key: 'body-text', label: 'Body text', hint: 'Body text color' },
+            { key: 'link', label: 'Link', hint: 'Link color' },
+            { key: 'logo', label: 'Logo', hint: 'Brand logo image, or a container to place it in' },
+            { key: 'background', label: 'Email background', hint: 'Background color' },
+            { key: 'divider', label: 'Divider / accent', hint: 'Accent color rule or bar' }
+        ];
+
+        // Stored templates that predate roles use fixed IDs and the logo slot attribute
+        this.legacyRoles = [
+            { selector: '#email-header', role: 'primary-bg' },
+            { selector: '#email-button', role: 'cta' },
+            { selector: '[data-logo-slot]', role: 'logo' }
+        ];
+
+        this.init();
+    }
+
+    /**
+     * Initialize sidebar controls
+     */
+    init() {
+        const select = document.getElementById('brand-role-select');
+        if (select) {
+            select.innerHTML = '<option value="">None</option>' + this.roles
+                .map(role => `<option value="${role.key}">${role.label}</option>`)
+                .join('');
+
+            select.addEventListener('change', (e) => {
+                const element = this.editor.selectedElement;
+                if (!element) return;
+
+                this.setRole(element, e.target.value);
+                this.showElementRole(element);
+                this.editor.recordChange('Brand role');
+            });
+        }
+
+        const toggle = document.getElementById('show-brand-roles');
+        if (toggle) {
+            toggle.addEventListener('change', (e) => {
+                document.getElementById('email-preview').classList.toggle('show-brand-roles', e.target.checked);
+            });
+        }
+    }
+
+    /**
+     * Get an element's brand role, explicit or implied by legacy markup
+     * data-brand-role="none" opts a legacy element out
+     */
+    getRole(element) {
+        if (element.hasAttribute('data-brand-role')) {
+            const role = element.getAttribute('data-brand-role');
+            return this.isKnownRole(role) ? role : null;
+        }
+
+        const legacy = this.legacyRoles.find(entry => element.matches(entry.selector));
+        return legacy ? legacy.role : null;
+    }
+
+    /**
+     * Assign a role to an element, or clear it with an empty role
+     */
+    setRole(element, role) {
+        if (role) {
+            element.setAttribute('data-brand-role', role);
+            return;
+        }
+
+        element.removeAttribute('data-brand-role');
+        if (this.getRole(element)) {
+            element.setAttribute('data-brand-role', 'none');
+        }
+    }
+
+    /**
+     * Check if a role key is supported
+     */
+    isKnownRole(role) {
+        return this.roles.some(entry => entry.key === role);
+    }
+
+    /**
+     * Show the selected element's role in the sidebar
+     */
+    showElementRole(element) {
+        const select = document.getElementById('brand-role-select');
+        const hint = document.getElementById('brand-role-hint');
+        const role = this.getRole(element);
+        const definition = this.roles.find(entry => entry.key === role);
+
+        if (select) select.value = role || '';
+        if (hint) {
+            hint.textContent = definition
+                ? `${definition.hint}${element.hasAttribute('data-brand-role') ? '' : ' (from template markup)'}`
+                : 'Apply Brand Kit leaves this element alone unless it is body content.';
+        }
+    }
+
+    /**
+     * Get every element with a role, in document order
+     */
+    getRoleElements(preview) {
+        const candidates = preview.querySelectorAll(
+            ['[data-brand-role]', ...this.legacyRoles.map(entry => entry.selector)].join(', ')
+        );
+
+        return Array.from(candidates)
+            .map(element => ({ element, role: this.getRole(element) }))
+            .filter(entry => entry.role);
+    }
+
+    /**
+     * Apply the brand kit to the template
+     * Returns a snapshot of everything replaced, for restore()
+     */
+    apply(preview) {
+        const manager = window.brandKitManager;
+        const fontFaces = preview.querySelector('style[data-brand-fonts]');
+        const snapshot = {
+            fontFaceCSS: fontFaces ? fontFaces.textContent : null,
+            changes: []
+        };
+
+        // Fonts first so the positions recorded below include the <style> it may add
+        this.setFontFaces(preview, manager.getFontFaceCSS([
+            manager.getHeadingFontFamily(),
+            manager.getFontFamily()
+        ]));
+
+        this.getStyleTargets(preview).forEach(target => {
+            this.remember(snapshot, preview, target.element, {
+                kind: 'style',
+                property: target.property,
+                value: target.element.style.getPropertyValue(target.property)
+            });
+            target.element.style.setProperty(target.property, target.value);
+        });
+
+        // Logos last: inserting a slot shifts the positions recorded above, and
+        // the variant depends on the backgrounds just applied
+        if (manager.hasLogo()) {
+            this.getLogoSlots(preview, snapshot).forEach(slot => {
+                const logo = this.pickLogo(slot);
+                if (logo) this.placeLogo(preview, slot, logo, snapshot);
+            });
+        }
+
+        this.editor.markEditableElements();
+
+        return snapshot;
+    }
+
+    /**
+     * Undo an apply() using its snapshot
+     * Elements replaced by undo/redo since are found again by position
+     */
+    restore(preview, snapshot) {
+        if (!snapshot) return;
+
+        snapshot.changes.slice().reverse().forEach(change => {
+            const element = change.element.isConnected
+                ? change.element
+                : this.resolveElementPath(preview, change.path);
+            if (!element || element.tagName !== change.tagName) return;
+
+            if (change.kind === 'inserted') {
+                if (this.editor.selectedElement && element.contains(this.editor.selectedElement)) {
+                    this.editor.deselectElement();
+                }
+                element.remove();
+            } else if (change.kind === 'attribute') {
+                if (change.value === null) {
+                    element.removeAttribute(change.name);
+                } else {
+                    element.setAttribute(change.name, change.value);
+                }
+            } else if (change.value) {
+                element.style.setProperty(change.property, change.value);
+            } else {
+                element.style.removeProperty(change.property);
+                if (element.getAttribute('style') === '') {
+                    element.removeAttribute('style');
+                }
+            }
+        });
+
+        // Last, so the positions recorded by apply() still line up above
+        this.setFontFaces(preview, snapshot.fontFaceCSS);
+    }
+
+    /**
+     * Record a change to an element in a snapshot
+     */
+    remember(snapshot, preview, element, change) {
+        snapshot.changes.push({
+            ...change,
+            element,
+            path: this.getElementPath(preview, element),
+            tagName: element.tagName
+        });
+    }
+
+    /**
+     * Map the palette and fonts onto template elements
+     * Returns [{ element, property, value }]. Elements with a role get its
+     * colors; other content keeps the palette defaults from before roles
+     * existed, but only where text sits on the template background so colored
+     * panels keep their contrast.
+     */
+    getStyleTargets(preview) {
+        const manager = window.brandKitManager;
+        const color = (key) => manager.getColor(key);
+        const root = Array.from(preview.children).find(el => !['STYLE', 'SCRIPT', 'META', 'TITLE', 'LINK'].includes(el.tagName));
+        const roleElements = this.getRoleElements(preview);
+        const targets = [];
+        const add = (element, property, value) => targets.push({ element, property, value });
+
+        roleElements.forEach(({ element, role }) => {
+            switch (role) {
+                case 'primary-bg':
+                    add(element, 'background-color', color('primary_color'));
+                    add(element, 'color', color('text_color'));
+
+                    // Text inside keeps readable on the primary color
+                    element.querySelectorAll('.editable-element, h1, h2, h3, h4, h5, h6, p, li, a').forEach(el => {
+                        if (el.tagName !== 'IMG' && this.getRoleOwner(el) === element && !this.editor.exporter.isButton(el)) {
+                            add(el, 'color', color('text_color'));
+                        }
+                    });
+                    break;
+
+                case 'cta':
+                    add(element, 'background-color', color('primary_color'));
+                    add(element, 'color', color('text_color'));
+                    break;
+
+                case 'secondary-cta':
+                    add(element, 'background-color', color('secondary_color'));
+                    add(element, 'color', manager.getReadableTextColor(color('secondary_color')));
+                    break;
+
+                case 'heading':
+                    add(element, 'color', color('heading_color'));
+                    break;
+
+                case 'body-text':
+                    add(element, 'color', color('body_text_color'));
+                    break;
+
+                case 'link':
+                    add(element, 'color', color('link_color'));
+                    break;
+
+                case 'background':
+                    add(element, 'background-color', color('background_color'));
+                    break;
+
+                case 'divider':
+                    add(element, element.tagName === 'HR' ? 'border-top-color' : 'background-color', color('accent_color'));
+                    break;
+            }
+        });
+
+        // Palette defaults for content without a role
+        const claimed = (el) => roleElements.some(({ element }) => element.contains(el));
+        const onBackground = (el) => {
+            for (let node = el.parentElement; node && node !== root && node !== preview; node = node.parentElement) {
+                if (node.style.backgroundColor || node.style.backgroundImage) return false;
+            }
+            return true;
+        };
+
+        if (root && !claimed(root) && !roleElements.some(({ role }) => role === 'background')) {
+            add(root, 'background-color', color('background_color'));
+        }
+
+        preview.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+            if (!claimed(heading) && onBackground(heading)) {
+                add(heading, 'color', color('heading_color'));
+            }
+        });
+
+        preview.querySelectorAll('p, li').forEach(el => {
+            if (!claimed(el) && onBackground(el) && !el.closest('a')) {
+                add(el, 'color', color('body_text_color'));
+            }
+        });
+
+        preview.querySelectorAll('a').forEach(link => {
+            if (claimed(link)) return;
+
+            if (this.editor.exporter.isButton(link)) {
+                add(link, 'background-color', color('secondary_color'));
+                add(link, 'color', manager.getReadableTextColor(color('secondary_color')));
+            } else if (onBackground(link)) {
+                add(link, 'color', color('link_color'));
+            }
+        });
+
+        preview.querySelectorAll('hr').forEach(hr => {
+            if (!claimed(hr)) {
+                add(hr, 'border-top-color', color('accent_color'));
+            }
+        });
+
+        // Fonts apply everywhere; the root sets the body font and text with
+        // its own inline font is switched to match
+        const headingStack = manager.getFontStack(manager.getHeadingFontFamily());
+        const bodyStack = manager.getFontStack(manager.getFontFamily());
+        const isHeading = (el) => /^H[1-6]$/.test(el.tagName) || this.getRole(el) === 'heading';
+
+        if (root) {
+            add(root, 'font-family', bodyStack);
+        }
+
+        preview.querySelectorAll('*').forEach(el => {
+            if (el === root || ['STYLE', 'SCRIPT'].includes(el.tagName)) return;
+
+            if (isHeading(el)) {
+                add(el, 'font-family', headingStack);
+            } else if (el.style.fontFamily && !el.closest('h1, h2, h3, h4, h5, h6, [data-brand-role="heading"]')) {
+                add(el, 'font-family', bodyStack);
+            }
+        });
+
+        return targets;
+    }
+
+    /**
+     * Get the nearest element with a role, starting from the element itself
+     */
+    getRoleOwner(element) {
+        for (let node = element; node && node.id !== 'email-preview'; node = node.parentElement) {
+            if (this.getRole(node)) return node;
+        }
+        return null;
+    }
+
+    /**
+     * Get the elements that should hold the logo
+     * Without a logo role, a slot is created at the top of the first primary
+     * background (recorded in the snapshot so undo removes it)
+     */
+    getLogoSlots(preview, snapshot) {
+        const slots = this.getRoleElements(preview)
+            .filter(({ role }) => role === 'logo')
+            .map(({ element }) => element);
+        if (slots.length > 0) return slots;
+
+        const primary = this.getRoleElements(preview).find(({ role }) => role === 'primary-bg');
+        if (!primary) return [];
+
+        const slot = document.createElement('div');
+        slot.setAttribute('data-brand-role', 'logo');
+        slot.style.margin = '0 0 24px 0';
+        primary.element.prepend(slot);
+        this.remember(snapshot, preview, slot, { kind: 'inserted' });
+
+        return [slot];
+    }
+
+    /**
+     * Pick the logo variant for a slot from the luminance of its computed
+     * background; data-logo-variant="light|dark|icon" on the slot overrides it.
+     * Over a background image the light (main) logo is used
+     */
+    pickLogo(slot) {
+        const manager = window.brandKitManager;
+        const requested = slot.getAttribute('data-logo-variant');
+        const background = this.editor.accessibilityChecker.getBackgroundColor(slot);
+
+        return manager.getLogoForBackground(
+            background ? this.editor.accessibilityChecker.toHex(background) : null,
+            requested
+        );
+    }
+
+    /**
+     * Show the logo in a slot - either the slot image itself or an image inside it
+     * Processed logos use the 2x file shown at their display width, which
+     * Outlook needs as a width attribute
+     */
+    placeLogo(preview, slot, brandLogo, snapshot) {
+        let logo = slot.tagName === 'IMG' ? slot : slot.querySelector('img');
+
+        if (!logo) {
+            logo = document.createElement('img');
+            logo.className = 'editable-element';
+            logo.style.cssText = brandLogo.width
+                ? `width: ${brandLogo.width}px; max-width: 100%; height: auto; display: inline-block; border: 0;`
+                : 'max-height: 48px; width: auto; display: inline-block; border: 0;';
+            slot.appendChild(logo);
+            this.remember(snapshot, preview, logo, { kind: 'inserted' });
+        } else {
+            ['src', 'alt', 'width'].forEach(name => {
+                this.remember(snapshot, preview, logo, { kind: 'attribute', name, value: logo.getAttribute(name) });
+            });
+        }
+
+        logo.setAttribute('src', brandLogo.retinaUrl || brandLogo.url);
+        if (brandLogo.width) {
+            logo.setAttribute('width', brandLogo.width);
+        }
+        if (!logo.getAttribute('alt')) {
+            const user = window.authManager ? window.authManager.getCurrentUser() : null;
+            logo.setAttribute('alt', user && user.organization ? `${user.organization} logo` : 'Company logo');
+        }
+    }
+
+    /**
+     * Set the template's brand @font-face rules, removing them when css is empty
+     * They live in a <style data-brand-fonts> at the top of the template so
+     * they are saved and exported with it
+     */
+    setFontFaces(preview, css) {
+        let fontFaces = preview.querySelector('style[data-brand-fonts]');
+
+        if (!css) {
+            if (fontFaces) fontFaces.remove();
+            return;
+        }
+
+        if (!fontFaces) {
+            fontFaces = document.createElement('style');
+            fontFaces.setAttribute('data-brand-fonts', '');
+            preview.prepend(fontFaces);
+        }
+        fontFaces.textContent = css;
+    }
+
+    /**
+     * Get the child-index path from the preview to an element
+     */
+    getElementPath(root, element) {
+        const path = [];
+        for (let node = element; node && node !== root; node = node.parentElement) {
+            path.unshift(Array.prototype.indexOf.call(node.parentElement.children, node));
+        }
+        return path;
+    }
+
+    /**
+     * Find an element by its child-index path from the preview
+     */
+    resolveElementPath(root, path) {
+        return path.reduce((node, index) => (node ? node.children[index] : null), root) || null;
+    }
+}
+
+// Export for use in other modules
+window.BrandRoles = BrandRoles;
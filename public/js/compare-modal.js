@@ -0,0 +1,124 @@
+/**
+ * Compare Modal Module
+ * Shows two versions of a template side by side in sandboxed iframes
+ */
+
+class CompareModal {
+    constructor() {
+        this.modal = null;
+        this.onClose = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize modal elements and event listeners
+     */
+    init() {
+        this.modal = document.getElementById('compare-modal');
+        if (!this.modal) {
+            console.warn('Compare modal markup not found');
+            return;
+        }
+
+        const closeBtn = document.getElementById('compare-close-btn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.close());
+        }
+
+        this.handleKeydown = (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        };
+        document.addEventListener('keydown', this.handleKeydown);
+    }
+
+    /**
+     * Remove the Escape listener when the editor closes
+     */
+    destroy() {
+        document.removeEventListener('keydown', this.handleKeydown);
+    }
+
+    /**
+     * Open the comparison
+     * actions: [{ label, primary, onClick }] rendered in the footer; the
+     * modal closes before an action's onClick runs
+     */
+    open({ title, left, right, actions = [], onClose = null }) {
+        if (!this.modal) return;
+
+        this.onClose = onClose;
+
+        document.getElementById('compare-title').textContent = title || 'Compare Versions';
+        this.renderPane('left', left);
+        this.renderPane('right', right);
+        this.renderActions(actions);
+
+        this.modal.style.display = 'flex';
+    }
+
+    /**
+     * Close the comparison
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        this.modal.style.display = 'none';
+        document.getElementById('compare-left-frame').srcdoc = '';
+        document.getElementById('compare-right-frame').srcdoc = '';
+
+        const onClose = this.onClose;
+        this.onClose = null;
+        if (onClose) onClose();
+    }
+
+    /**
+     * Check if the comparison is open
+     */
+    isOpen() {
+        return !!this.modal && this.modal.style.display !== 'none';
+    }
+
+    /**
+     * Render one side of the comparison
+     */
+    renderPane(side, { label, meta, html }) {
+        document.getElementById(`compare-${side}-label`).textContent = label || '';
+        document.getElementById(`compare-${side}-meta`).textContent = meta || '';
+        document.getElementById(`compare-${side}-frame`).srcdoc = `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <base target="_blank">
+    <style>body { margin: 0; padding: 16px 0; background: #ffffff; } img { max-width: 100%; height: auto; }</style>
+</head>
+<body>${html || ''}</body>
+</html>`;
+    }
+
+    /**
+     * Render footer action buttons
+     */
+    renderActions(actions) {
+        const footer = document.getElementById('compare-actions');
+        footer.innerHTML = '';
+
+        actions.forEach(action => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = action.primary ? 'btn btn-primary' : 'btn';
+            btn.textContent = action.label;
+            btn.addEventListener('click', () => {
+                this.onClose = null;
+                this.close();
+                action.onClick();
+            });
+            footer.appendChild(btn);
+        });
+    }
+}
+
+// Export for use in other modules
+window.CompareModal = CompareModal;
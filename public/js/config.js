@@ -36,6 +36,9 @@ window.API_CONFIG = {
     // Endpoints
     endpoints: {
         content: '/api/content.php',
-        brandKit: '/api/brand-kit.php'
+        brandKit: '/api/brand-kit.php',
+        uploadImage: '/api/upload-image.php',
+        settings: '/api/settings.php',
+        user: '/api/user.php'
     }
 };
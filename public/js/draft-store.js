@@ -0,0 +1,111 @@
+/**
+ * Draft Store Module
+ * Keeps local editor drafts in IndexedDB for crash recovery
+ */
+
+class DraftStore {
+    constructor() {
+        this.dbName = 'customization-portal';
+        this.storeName = 'drafts';
+        this.version = 1;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check if IndexedDB is available
+     */
+    isSupported() {
+        return typeof window.indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and upgrade) the database
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!this.isSupported()) {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
+                    store.createIndex('userId', 'userId', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a retry after a failed open
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Build the storage key for a user's draft of a content item
+     */
+    getKey(userId, contentId) {
+        return `${userId}:${contentId}`;
+    }
+
+    /**
+     * Run a request against the drafts store
+     */
+    async run(mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = callback(tx.objectStore(this.storeName));
+
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Get a draft
+     */
+    async get(userId, contentId) {
+        const draft = await this.run('readonly', store => store.get(this.getKey(userId, contentId)));
+        return draft || null;
+    }
+
+    /**
+     * Save a draft
+     */
+    async put(userId, contentId, draft) {
+        const record = {
+            ...draft,
+            key: this.getKey(userId, contentId),
+            userId,
+            contentId,
+            savedAt: Date.now()
+        };
+
+        await this.run('readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Delete a draft
+     */
+    async delete(userId, contentId) {
+        await this.run('readwrite', store => store.delete(this.getKey(userId, contentId)));
+    }
+}
+
+// Export for use in other modules
+window.DraftStore = DraftStore;
@@ -0,0 +1,180 @@
+/**
+ * Editor History Module
+ * Snapshot-based undo/redo stack for the email editor
+ */
+
+class EditorHistory {
+    constructor(options = {}) {
+        this.limit = options.limit || 100;
+        this.coalesceWindow = options.coalesceWindow || 1000;
+        this.states = [];
+        this.index = -1;
+        this.savedIndex = -1;
+        this.listeners = [];
+    }
+
+    /**
+     * Reset history with an initial state
+     * The initial state is treated as the saved state
+     */
+    reset(state) {
+        this.states = [{ ...state, label: 'Initial state', timestamp: Date.now() }];
+        this.index = 0;
+        this.savedIndex = 0;
+        this.notifyListeners('reset');
+    }
+
+    /**
+     * Record a new state after a mutation
+     * Consecutive records with the same coalesceKey inside the coalesce
+     * window replace each other (e.g. dragging a color picker)
+     */
+    record(state, label = 'Edit', coalesceKey = null) {
+        const current = this.states[this.index];
+
+        // Skip no-op changes
+        if (current && this.isSameState(current, state)) {
+            return false;
+        }
+
+        // Drop any redo states
+        this.states = this.states.slice(0, this.index + 1);
+        if (this.savedIndex > this.index) {
+            this.savedIndex = -1;
+        }
+
+        const now = Date.now();
+        const canCoalesce = coalesceKey &&
+            current &&
+            this.index > 0 &&
+            this.index !== this.savedIndex &&
+            current.coalesceKey === coalesceKey &&
+            now - current.timestamp < this.coalesceWindow;
+
+        const entry = { ...state, label, coalesceKey, timestamp: now };
+
+        if (canCoalesce) {
+            this.states[this.index] = entry;
+        } else {
+            this.states.push(entry);
+            this.index++;
+        }
+
+        // Enforce size limit
+        while (this.states.length > this.limit) {
+            this.states.shift();
+            this.index--;
+            this.savedIndex = this.savedIndex > 0 ? this.savedIndex - 1 : -1;
+        }
+
+        this.notifyListeners('record');
+        return true;
+    }
+
+    /**
+     * Check whether two states hold the same content
+     */
+    isSameState(a, b) {
+        return a.html === b.html &&
+            a.brandKitApplied === b.brandKitApplied &&
+            JSON.stringify(a.envelope || null) === JSON.stringify(b.envelope || null);
+    }
+
+    /**
+     * Step back one state
+     */
+    undo() {
+        if (!this.canUndo()) return null;
+
+        this.index--;
+        this.notifyListeners('undo');
+        return this.states[this.index];
+    }
+
+    /**
+     * Step forward one state
+     */
+    redo() {
+        if (!this.canRedo()) return null;
+
+        this.index++;
+        this.notifyListeners('redo');
+        return this.states[this.index];
+    }
+
+    /**
+     * Check if undo is available
+     */
+    canUndo() {
+        return this.index > 0;
+    }
+
+    /**
+     * Check if redo is available
+     */
+    canRedo() {
+        return this.index < this.states.length - 1;
+    }
+
+    /**
+     * Label of the change that undo would revert
+     */
+    getUndoLabel() {
+        return this.canUndo() ? this.states[this.index].label : null;
+    }
+
+    /**
+     * Label of the change that redo would reapply
+     */
+    getRedoLabel() {
+        return this.canRedo() ? this.states[this.index + 1].label : null;
+    }
+
+    /**
+     * Get the current state
+     */
+    getCurrent() {
+        return this.states[this.index] || null;
+    }
+
+    /**
+     * Mark a state as saved (defaults to the current state)
+     * Pass the state captured when the save started so edits made while
+     * the request was in flight still count as unsaved
+     */
+    markSaved(state = null) {
+        this.savedIndex = state ? this.states.indexOf(state) : this.index;
+        this.notifyListeners('saved');
+    }
+
+    /**
+     * Check if the current state matches the last saved state
+     */
+    isAtSavedState() {
+        return this.index === this.savedIndex;
+    }
+
+    /**
+     * Add event listener for history changes
+     * Events: 'reset', 'record', 'undo', 'redo', 'saved'
+     */
+    addEventListener(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Notify all listeners of an event
+     */
+    notifyListeners(event) {
+        this.listeners.forEach(callback => {
+            try {
+                callback(event, this);
+            } catch (error) {
+                console.error('Error in history listener:', error);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+window.EditorHistory = EditorHistory;
@@ -4,15 +4,42 @@
  */
 
 class EmailEditor {
-    constructor() {
-        this.contentId = null;
+    constructor(contentId, router) {
+        this.contentId = contentId;
+        this.router = router;
+        this.destroyed = false;
         this.content = null;
         this.selectedElement = null;
         this.textEditMode = false;
-        this.originalStyles = {};
         this.originalTextHTML = '';
         this.brandKitApplied = false;
+        this.brandKitUndo = null;
         this.hasUnsavedChanges = false;
+        this.history = new EditorHistory();
+        this.boundElements = new WeakSet();
+        this.previewListenerBound = false;
+        this.mergeTags = new MergeTags();
+        this.previewModal = new PreviewModal(this.mergeTags);
+        this.exporter = new EmailExporter();
+        this.blockComposer = new BlockComposer(this);
+        this.imageControls = new ImageControls(this);
+        this.linkControls = new LinkControls(this);
+        this.brandRoles = new BrandRoles(this);
+        this.envelopeControls = new EnvelopeControls(this);
+        this.compareModal = new CompareModal();
+        this.revisionHistory = new RevisionHistory(this);
+        this.accessibilityChecker = new AccessibilityChecker(this);
+        this.draftStore = new DraftStore();
+        this.draftTimer = null;
+        this.pendingDraft = null;
+        this.conflict = null;
+
+        // Keep a local draft in step with every history change
+        this.history.addEventListener((event) => {
+            if (event !== 'reset') {
+                this.scheduleDraftSave();
+            }
+        });
 
         this.init();
     }
@@ -21,60 +48,192 @@ class EmailEditor {
      * Initialize the editor
      */
     async init() {
-        // Get content ID from URL
-        const urlParams = new URLSearchParams(window.location.search);
-        this.contentId = urlParams.get('id');
+        const backBtn = document.getElementById('back-btn');
+        if (backBtn) {
+            backBtn.addEventListener('click', () => this.goBackToLibrary());
+        }
 
         if (!this.contentId) {
             this.showError('No content ID provided');
             return;
         }
 
-        // Wait for authentication
-        if (!window.authManager || !window.authManager.getCurrentUser()) {
-            window.addEventListener('auth:ready', async () => {
-                await this.loadContent();
-                this.setupEventListeners();
-            });
-        } else {
-            await this.loadContent();
+        // The portal opens the editor once the user is signed in
+        await this.loadContent();
+        if (!this.destroyed) {
             this.setupEventListeners();
         }
     }
 
+    /**
+     * Return to the library - to the same tab and search when the editor was
+     * opened from it. The router's guard asks about unsaved changes
+     */
+    goBackToLibrary() {
+        this.router.back('/library/emails');
+    }
+
+    /**
+     * Tear down the editor when the portal leaves it: keep the pending draft,
+     * close inline editors and remove the listeners outside the editor markup
+     */
+    destroy() {
+        this.destroyed = true;
+
+        if (this.draftTimer) {
+            this.saveDraft();
+        }
+
+        this.removeInlineEditors();
+        this.previewModal.destroy();
+        this.compareModal.destroy();
+        this.blockComposer.destroy();
+
+        document.removeEventListener('keydown', this.handleKeydown);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        document.removeEventListener('click', this.closeExportMenu);
+        window.removeEventListener('beforeunload', this.handleBeforeUnload);
+
+        if (window.brandKitManager) {
+            [this.handleBrandKitEvent, this.handlePaletteEvent]
+                .filter(Boolean)
+                .forEach(listener => window.brandKitManager.removeEventListener(listener));
+        }
+    }
+
     /**
      * Load content from API
      */
     async loadContent() {
+        if (!window.authManager.can('content:edit')) {
+            this.showError('Your role lets you browse templates but not customize them');
+            return;
+        }
+
         try {
-            const response = await window.authManager.apiCall(
-                `/api/content.php?id=${this.contentId}`,
-                { method: 'GET' }
-            );
+            this.content = await this.fetchContent();
 
-            if (!response.ok) {
-                throw new Error('Failed to load content');
+            // Stock templates are shared, so edits go to the organization's own copy
+            if (!this.content.company_id) {
+                await this.forkStockContent();
             }
 
-            const data = await response.json();
+            // The user left the editor while the template loaded
+            if (this.destroyed) return;
 
-            if (data.success && data.content) {
-                this.content = data.content;
-                this.renderContent();
+            this.renderContent();
 
-                // Load brand kit
-                await this.loadBrandKit();
+            // Load brand kit
+            await this.loadBrandKit();
 
-                this.hideLoading();
-            } else {
-                throw new Error('Content not found');
-            }
+            // Load organization link tracking defaults
+            await this.linkControls.loadTrackingDefaults();
+
+            // Offer to recover a newer local draft
+            await this.checkForDraft();
+
+            // Load saved revisions
+            await this.revisionHistory.load();
+
+            if (this.destroyed) return;
+            this.hideLoading();
         } catch (error) {
             console.error('Error loading content:', error);
             this.showError('Failed to load content: ' + error.message);
         }
     }
 
+    /**
+     * Fetch the current content from the API
+     */
+    async fetchContent() {
+        const response = await window.authManager.apiCall(
+            `/api/content.php?id=${this.contentId}`,
+            { method: 'GET' }
+        );
+
+        if (!response.ok) {
+            throw new Error('Failed to load content');
+        }
+
+        const data = await response.json();
+
+        if (!data.success || !data.content) {
+            throw new Error('Content not found');
+        }
+
+        return data.content;
+    }
+
+    /**
+     * Switch to the organization's customized copy of the loaded stock
+     * template, creating it on first use
+     */
+    async forkStockContent() {
+        const response = await window.authManager.apiCall(
+            `/api/content.php?fork=${encodeURIComponent(this.contentId)}`,
+            { method: 'POST' }
+        );
+
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || 'Could not create your customized copy');
+        }
+
+        if (this.destroyed) return;
+
+        this.contentId = data.id;
+        this.content = data.content;
+        this.router.navigate(`/edit/${encodeURIComponent(this.contentId)}${window.location.search}${window.location.hash}`,
+            { replace: true, force: true });
+
+        if (data.created) {
+            this.showToast('Created your customized copy of this template');
+        }
+    }
+
+    /**
+     * Replace the customized copy with its stock template, as a new revision
+     */
+    async resetToOriginal() {
+        const message = this.hasUnsavedChanges
+            ? 'Reset this template to the original? Your unsaved changes will be lost.'
+            : 'Reset this template to the original? Your customizations stay in the revision history.';
+
+        if (!confirm(message)) return;
+
+        try {
+            const response = await window.authManager.apiCall(
+                `/api/content.php?id=${encodeURIComponent(this.contentId)}&reset`,
+                { method: 'POST' }
+            );
+
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Reset failed');
+            }
+
+            this.reloadContent(data.content);
+            this.showToast('Template reset to the original');
+            await this.revisionHistory.load();
+        } catch (error) {
+            console.error('Error resetting content:', error);
+            this.showError('Failed to reset template: ' + error.message);
+        }
+    }
+
+    /**
+     * Show when the content was last edited, and whether it is a customized copy
+     */
+    renderContentMeta(updated) {
+        const metaEl = document.getElementById('content-meta');
+        if (!metaEl) return;
+
+        metaEl.textContent = this.content.source_id
+            ? `Customized from a stock template · Last edited ${updated.toLocaleString()}`
+            : `Last edited ${updated.toLocaleString()}`;
+    }
+
     /**
      * Load brand kit
      */
@@ -86,6 +245,7 @@ class EmailEditor {
             }
 
             await window.brandKitManager.fetch();
+            await window.brandKitManager.listKits();
             console.log('Brand kit loaded in editor:', window.brandKitManager.getBrandKit());
         } catch (error) {
             console.error('Error loading brand kit:', error);
@@ -98,16 +258,18 @@ class EmailEditor {
     renderContent() {
         const preview = document.getElementById('email-preview');
         const titleEl = document.getElementById('content-title');
-        const metaEl = document.getElementById('content-meta');
 
         // Update header
         if (titleEl) {
             titleEl.textContent = this.content.title || 'Email Template';
         }
 
-        if (metaEl) {
-            const updated = new Date(this.content.updated_at).toLocaleString();
-            metaEl.textContent = `Last edited ${updated}`;
+        this.renderContentMeta(new Date(this.content.updated_at));
+
+        // Only customized copies have an original to go back to
+        const resetBtn = document.getElementById('reset-original-btn');
+        if (resetBtn) {
+            resetBtn.style.display = this.content.source_id ? '' : 'none';
         }
 
         // Load email HTML
@@ -121,8 +283,13 @@ class EmailEditor {
         // Mark elements as editable
         this.markEditableElements();
 
-        // Save original styles for undo
-        this.saveOriginalStyles();
+        // Load subject, sender and preheader
+        this.envelopeControls.load(this.content);
+
+        // Start a fresh undo/redo history from the loaded state
+        this.history.reset(this.getSnapshot());
+        this.hasUnsavedChanges = false;
+        this.updateHistoryButtons();
     }
 
     /**
@@ -131,7 +298,7 @@ class EmailEditor {
     getDefaultTemplate() {
         return `
             <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                <div id="email-header" class="editable-element" style="background-color: #2563eb; color: white; padding: 48px; text-align: center; border-radius: 8px 8px 0 0;">
+                <div id="email-header" class="editable-element" data-brand-role="primary-bg" style="background-color: #2563eb; color: white; padding: 48px; text-align: center; border-radius: 8px 8px 0 0;">
                     <h1 class="editable-element" style="margin: 0; font-size: 36px; font-weight: bold;">${this.content.title || 'Email Title'}</h1>
                     <p class="editable-element" style="margin: 16px 0 0 0; font-size: 18px;">Essential information for your team</p>
                 </div>
@@ -144,7 +311,7 @@ class EmailEditor {
                     <p class="editable-element" style="color: #4b5563; font-size: 16px; line-height: 1.6; margin: 0 0 32px 0;">
                         Add more content here. You can customize colors, fonts, and text using the editor tools.
                     </p>
-                    <a href="#" id="email-button" class="editable-element" style="display: inline-block; background-color: #2563eb; color: white; padding: 12px 32px; text-decoration: none; border-radius: 6px; font-weight: 600; font-size: 16px;">
+                    <a href="#" id="email-button" class="editable-element" data-brand-role="cta" style="display: inline-block; background-color: #2563eb; color: white; padding: 12px 32px; text-decoration: none; border-radius: 6px; font-weight: 600; font-size: 16px;">
                         Take Action
                     </a>
                 </div>
@@ -158,14 +325,31 @@ class EmailEditor {
 
     /**
      * Mark elements as editable
+     * Safe to call repeatedly - elements are only wired up once
      */
     markEditableElements() {
         const preview = document.getElementById('email-preview');
 
+        // Show merge tags as protected tokens
+        this.mergeTags.protect(preview);
+
+        // Content inside composer blocks is always editable
+        preview.querySelectorAll('[data-block] :is(h1, h2, h3, h4, h5, h6, p, a, img)').forEach(el => {
+            if (!el.closest('.editable-element')) {
+                el.classList.add('editable-element');
+            }
+        });
+
+        // Images are always selectable
+        preview.querySelectorAll('img').forEach(img => img.classList.add('editable-element'));
+
         // Find all elements with .editable-element class
         const editableElements = preview.querySelectorAll('.editable-element');
 
         editableElements.forEach(el => {
+            if (this.boundElements.has(el)) return;
+            this.boundElements.add(el);
+
             // Add click handler for selection
             el.addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -175,36 +359,25 @@ class EmailEditor {
             // Add double-click handler for inline editing
             el.addEventListener('dblclick', (e) => {
                 e.stopPropagation();
-                if (this.textEditMode) {
+                if (this.textEditMode && !['IMG', 'HR'].includes(el.tagName)) {
                     this.startInlineEdit(el);
                 }
             });
         });
 
         // Click outside to deselect
-        preview.addEventListener('click', (e) => {
-            if (e.target === preview || !e.target.closest('.editable-element')) {
-                this.deselectElement();
-            }
-        });
-    }
-
-    /**
-     * Save original styles for undo functionality
-     */
-    saveOriginalStyles() {
-        const preview = document.getElementById('email-preview');
-        const header = preview.querySelector('#email-header');
-        const button = preview.querySelector('#email-button');
-
-        if (header) {
-            this.originalStyles.headerBG = header.style.backgroundColor || '#2563eb';
-            this.originalStyles.headerColor = header.style.color || '#ffffff';
-        }
+        if (!this.previewListenerBound) {
+            this.previewListenerBound = true;
+            preview.addEventListener('click', (e) => {
+                // Never follow template links while editing
+                if (e.target.closest('a')) {
+                    e.preventDefault();
+                }
 
-        if (button) {
-            this.originalStyles.buttonBG = button.style.backgroundColor || '#2563eb';
-            this.originalStyles.buttonColor = button.style.color || '#ffffff';
+                if (e.target === preview || !e.target.closest('.editable-element')) {
+                    this.deselectElement();
+                }
+            });
         }
     }
 
@@ -224,12 +397,41 @@ class EmailEditor {
             saveBtn.addEventListener('click', () => this.saveContent());
         }
 
+        const resetOriginalBtn = document.getElementById('reset-original-btn');
+        if (resetOriginalBtn) {
+            resetOriginalBtn.addEventListener('click', () => this.resetToOriginal());
+        }
+
+        // Save conflict dialog
+        const conflictOverwriteBtn = document.getElementById('conflict-overwrite-btn');
+        if (conflictOverwriteBtn) {
+            conflictOverwriteBtn.addEventListener('click', () => this.resolveConflict('overwrite'));
+        }
+
+        const conflictReloadBtn = document.getElementById('conflict-reload-btn');
+        if (conflictReloadBtn) {
+            conflictReloadBtn.addEventListener('click', () => this.resolveConflict('reload'));
+        }
+
+        const conflictCompareBtn = document.getElementById('conflict-compare-btn');
+        if (conflictCompareBtn) {
+            conflictCompareBtn.addEventListener('click', () => this.resolveConflict('compare'));
+        }
+
+        const conflictCloseBtn = document.getElementById('conflict-close-btn');
+        if (conflictCloseBtn) {
+            conflictCloseBtn.addEventListener('click', () => this.hideConflictDialog());
+        }
+
         // Preview button
         const previewBtn = document.getElementById('preview-btn');
         if (previewBtn) {
             previewBtn.addEventListener('click', () => this.showPreview());
         }
 
+        // Export menu
+        this.setupExportMenu();
+
         // Brand kit buttons
         const applyBrandBtn = document.getElementById('apply-brand-kit-btn');
         if (applyBrandBtn) {
@@ -241,19 +443,108 @@ class EmailEditor {
             undoBrandBtn.addEventListener('click', () => this.undoBrandKit());
         }
 
+        const brandKitChooser = document.getElementById('brand-kit-chooser');
+        if (brandKitChooser && window.brandKitManager) {
+            brandKitChooser.addEventListener('change', (e) => this.chooseBrandKit(e.target.value));
+            this.handleBrandKitEvent = (event) => {
+                if (['listed', 'loaded'].includes(event)) {
+                    this.renderBrandKitChooser();
+                }
+            };
+            window.brandKitManager.addEventListener(this.handleBrandKitEvent);
+        }
+
+        // Undo/redo buttons
+        const undoBtn = document.getElementById('undo-btn');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.undo());
+        }
+
+        const redoBtn = document.getElementById('redo-btn');
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => this.redo());
+        }
+
+        // Undo/redo keyboard shortcuts
+        this.handleKeydown = (e) => this.handleHistoryShortcut(e);
+        document.addEventListener('keydown', this.handleKeydown);
+
         // Element styling controls
         this.setupStylingControls();
 
         // Text content controls
         this.setupTextControls();
 
-        // Warn before leaving with unsaved changes
-        window.addEventListener('beforeunload', (e) => {
+        // Merge tag bar for native inline editing and the text box
+        this.setupMergeTagBar();
+
+        // Draft recovery banner
+        const restoreDraftBtn = document.getElementById('draft-restore-btn');
+        if (restoreDraftBtn) {
+            restoreDraftBtn.addEventListener('click', () => this.restoreDraft());
+        }
+
+        const compareDraftBtn = document.getElementById('draft-compare-btn');
+        if (compareDraftBtn) {
+            compareDraftBtn.addEventListener('click', () => this.compareDraft());
+        }
+
+        const discardDraftBtn = document.getElementById('draft-discard-btn');
+        if (discardDraftBtn) {
+            discardDraftBtn.addEventListener('click', () => this.discardDraft());
+        }
+
+        // Flush the pending draft when the tab is hidden
+        this.handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden' && this.draftTimer) {
+                this.saveDraft();
+            }
+        };
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+        // Warn before closing the tab with unsaved changes; leaving for another
+        // page of the portal is caught by the router's guard instead
+        this.handleBeforeUnload = (e) => {
             if (this.hasUnsavedChanges) {
                 e.preventDefault();
                 e.returnValue = '';
             }
+        };
+        window.addEventListener('beforeunload', this.handleBeforeUnload);
+    }
+
+    /**
+     * Setup export dropdown menu
+     */
+    setupExportMenu() {
+        const exportBtn = document.getElementById('export-btn');
+        const exportMenu = document.getElementById('export-menu');
+
+        if (!exportBtn || !exportMenu) return;
+
+        const setOpen = (open) => {
+            exportMenu.classList.toggle('show', open);
+            exportBtn.setAttribute('aria-expanded', String(open));
+        };
+
+        exportBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            setOpen(!exportMenu.classList.contains('show'));
+        });
+
+        exportMenu.querySelectorAll('[data-export]').forEach(item => {
+            item.addEventListener('click', () => {
+                setOpen(false);
+                if (item.dataset.export === 'eml') {
+                    this.exportEML();
+                } else {
+                    this.exportHTML();
+                }
+            });
         });
+
+        this.closeExportMenu = () => setOpen(false);
+        document.addEventListener('click', this.closeExportMenu);
     }
 
     /**
@@ -262,8 +553,8 @@ class EmailEditor {
     setupStylingControls() {
         const bgColorPicker = document.getElementById('bg-color-picker');
         const bgColorHex = document.getElementById('bg-color-hex');
-        const textColorPicker = document.getElementById('text-color-picker');
-        const textColorHex = document.getElementById('text-color-hex');
+        const textColorPicker = document.getElementById('element-text-color-picker');
+        const textColorHex = document.getElementById('element-text-color-hex');
         const fontSizeSelect = document.getElementById('font-size-select');
         const fontWeightSelect = document.getElementById('font-weight-select');
 
@@ -273,7 +564,7 @@ class EmailEditor {
                 if (this.selectedElement) {
                     this.selectedElement.style.backgroundColor = e.target.value;
                     bgColorHex.value = e.target.value.toUpperCase();
-                    this.markUnsaved();
+                    this.recordChange('Background color', 'bg-color');
                 }
             });
         }
@@ -285,7 +576,7 @@ class EmailEditor {
                     if (color) {
                         this.selectedElement.style.backgroundColor = color;
                         bgColorPicker.value = color;
-                        this.markUnsaved();
+                        this.recordChange('Background color');
                     }
                 }
             });
@@ -297,7 +588,7 @@ class EmailEditor {
                 if (this.selectedElement) {
                     this.selectedElement.style.color = e.target.value;
                     textColorHex.value = e.target.value.toUpperCase();
-                    this.markUnsaved();
+                    this.recordChange('Text color', 'text-color');
                 }
             });
         }
@@ -309,18 +600,49 @@ class EmailEditor {
                     if (color) {
                         this.selectedElement.style.color = color;
                         textColorPicker.value = color;
-                        this.markUnsaved();
+                        this.recordChange('Text color');
                     }
                 }
             });
         }
 
+        // Brand palette swatches
+        document.querySelectorAll('.palette-swatches').forEach(container => {
+            container.addEventListener('click', (e) => {
+                const swatch = e.target.closest('.palette-swatch');
+                if (!swatch || !this.selectedElement) return;
+
+                const color = swatch.dataset.color;
+                if (container.dataset.paletteTarget === 'background') {
+                    this.selectedElement.style.backgroundColor = color;
+                    bgColorPicker.value = color;
+                    bgColorHex.value = color;
+                    this.recordChange('Background color');
+                } else {
+                    this.selectedElement.style.color = color;
+                    textColorPicker.value = color;
+                    textColorHex.value = color;
+                    this.recordChange('Text color');
+                }
+            });
+        });
+
+        if (window.brandKitManager) {
+            this.handlePaletteEvent = (event) => {
+                if (['loaded', 'saved'].includes(event)) {
+                    this.renderPaletteSwatches();
+                }
+            };
+            window.brandKitManager.addEventListener(this.handlePaletteEvent);
+        }
+        this.renderPaletteSwatches();
+
         // Font size
         if (fontSizeSelect) {
             fontSizeSelect.addEventListener('change', (e) => {
                 if (this.selectedElement) {
                     this.selectedElement.style.fontSize = e.target.value;
-                    this.markUnsaved();
+                    this.recordChange('Font size');
                 }
             });
         }
@@ -330,12 +652,37 @@ class EmailEditor {
             fontWeightSelect.addEventListener('change', (e) => {
                 if (this.selectedElement) {
                     this.selectedElement.style.fontWeight = e.target.value;
-                    this.markUnsaved();
+                    this.recordChange('Font weight');
                 }
             });
         }
     }
 
+    /**
+     * Show the brand palette as swatches under the element color pickers
+     * Colors shared by several palette entries get a single swatch
+     */
+    renderPaletteSwatches() {
+        const palette = window.brandKitManager ? window.brandKitManager.getPalette() : [];
+        const swatches = [];
+
+        palette.forEach(({ label, color }) => {
+            const existing = swatches.find(swatch => swatch.color === color.toUpperCase());
+            if (existing) {
+                existing.labels.push(label);
+            } else {
+                swatches.push({ color: color.toUpperCase(), labels: [label] });
+            }
+        });
+
+        document.querySelectorAll('.palette-swatches').forEach(container => {
+            container.innerHTML = swatches.map(swatch => {
+                const title = `${swatch.labels.join(', ')} (${swatch.color})`;
+                return `<button type="button" class="palette-swatch" data-color="${swatch.color}" title="${title}" aria-label="${title}" style="background-color: ${swatch.color};"></button>`;
+            }).join('');
+        });
+    }
+
     /**
      * Setup text content controls
      */
@@ -349,8 +696,9 @@ class EmailEditor {
                 if (this.selectedElement && textInput) {
                     const cleaned = this.sanitizeHTML(textInput.value);
                     this.selectedElement.innerHTML = cleaned;
+                    this.mergeTags.protect(this.selectedElement);
                     this.showToast('Text updated');
-                    this.markUnsaved();
+                    this.recordChange('Edit text');
                 }
             });
         }
@@ -359,13 +707,93 @@ class EmailEditor {
             resetBtn.addEventListener('click', () => {
                 if (this.selectedElement) {
                     this.selectedElement.innerHTML = this.originalTextHTML;
-                    textInput.value = this.originalTextHTML;
+                    textInput.value = this.mergeTags.unprotectHTML(this.originalTextHTML);
                     this.showToast('Text reverted');
+                    this.recordChange('Revert text');
                 }
             });
         }
     }
 
+    /**
+     * Set up the merge tag buttons shown while text editing is on
+     */
+    setupMergeTagBar() {
+        const bar = document.getElementById('merge-tag-bar');
+        if (!bar) return;
+
+        this.mergeTags.getTags().forEach(tag => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'merge-tag-option';
+            btn.textContent = tag.label;
+            btn.title = `Insert {{${tag.key}}}`;
+
+            // Keep focus (and the caret) in the text being edited
+            btn.addEventListener('mousedown', (e) => e.preventDefault());
+            btn.addEventListener('click', () => this.insertMergeTag(tag.key));
+
+            bar.appendChild(btn);
+        });
+    }
+
+    /**
+     * Insert a merge tag at the caret of the text being edited
+     */
+    insertMergeTag(key) {
+        // TinyMCE inline editor
+        if (window.tinymce && tinymce.activeEditor && tinymce.activeEditor.hasFocus()) {
+            tinymce.activeEditor.insertContent(this.mergeTags.createTokenHTML(key));
+            return;
+        }
+
+        // Native contentEditable fallback
+        const editing = document.querySelector('#email-preview [data-editing]');
+        const selection = document.getSelection();
+        if (editing && selection.rangeCount > 0 && editing.contains(selection.anchorNode)) {
+            const range = selection.getRangeAt(0);
+            const token = this.mergeTags.createToken(key);
+            range.deleteContents();
+            range.insertNode(token);
+            range.setStartAfter(token);
+            range.collapse(true);
+            selection.removeAllRanges();
+            selection.addRange(range);
+            return;
+        }
+
+        // Sidebar text box
+        const textInput = document.getElementById('text-content-input');
+        if (textInput && document.activeElement === textInput) {
+            const tag = `{{${key}}}`;
+            const start = textInput.selectionStart;
+            textInput.setRangeText(tag, start, textInput.selectionEnd, 'end');
+            return;
+        }
+
+        this.showToast('Place the cursor in the text you are editing first');
+    }
+
+    /**
+     * Check merge tags in the body and envelope, returning an error message or null
+     */
+    validateMergeTags(html, envelope) {
+        // Minified CSS can legitimately contain }}
+        const text = html.replace(/<style[\s\S]*?<\/style>/gi, '');
+        const result = this.mergeTags.validate([text, ...Object.values(envelope)]);
+        if (result.valid) return null;
+
+        const problems = [];
+        if (result.unknown.length) {
+            problems.push(`unknown merge tags ${result.unknown.map(key => `{{${key}}}`).join(', ')}`);
+        }
+        if (result.malformed.length) {
+            problems.push(`incomplete merge tags ${result.malformed.map(tag => `"${tag}"`).join(', ')}`);
+        }
+
+        return `Please fix ${problems.join(' and ')} before saving`;
+    }
+
     /**
      * Select an element
      */
@@ -382,6 +810,25 @@ class EmailEditor {
         // Update sidebar
         this.updateSidebar(element);
 
+        // Show image controls instead of text controls for images
+        const isImage = element.tagName === 'IMG';
+        document.getElementById('text-content-group').style.display = isImage ? 'none' : 'block';
+        if (isImage) {
+            this.imageControls.show(element);
+        } else {
+            this.imageControls.hide();
+        }
+
+        // Show link controls for links and buttons
+        if (element.tagName === 'A') {
+            this.linkControls.show(element);
+        } else {
+            this.linkControls.hide();
+        }
+
+        // Show block toolbar (drag, move, delete)
+        this.blockComposer.showToolbar(element);
+
         // Show element editor
         document.getElementById('brand-kit-section').style.display = 'none';
         document.getElementById('element-editor-section').style.display = 'block';
@@ -396,6 +843,10 @@ class EmailEditor {
             this.selectedElement = null;
         }
 
+        this.blockComposer.hideToolbar();
+        this.imageControls.hide();
+        this.linkControls.hide();
+
         // Show brand kit section
         document.getElementById('brand-kit-section').style.display = 'block';
         document.getElementById('element-editor-section').style.display = 'none';
@@ -414,8 +865,8 @@ class EmailEditor {
 
         // Text color
         const textColor = this.rgbToHex(styles.color);
-        document.getElementById('text-color-picker').value = textColor;
-        document.getElementById('text-color-hex').value = textColor;
+        document.getElementById('element-text-color-picker').value = textColor;
+        document.getElementById('element-text-color-hex').value = textColor;
 
         // Font size
         document.getElementById('font-size-select').value = styles.fontSize;
@@ -425,7 +876,13 @@ class EmailEditor {
 
         // Text content
         this.originalTextHTML = element.innerHTML;
-        document.getElementById('text-content-input').value = element.innerHTML;
+        document.getElementById('text-content-input').value = this.mergeTags.unprotectHTML(element.innerHTML);
+
+        // Contrast of the current color pair
+        this.accessibilityChecker.showElementContrast(element);
+
+        // Brand role
+        this.brandRoles.showElementRole(element);
     }
 
     /**
@@ -448,9 +905,7 @@ class EmailEditor {
             toggleBtn.classList.remove('active');
 
             // Close any open TinyMCE editors
-            if (window.tinymce) {
-                tinymce.editors.slice().forEach(ed => ed.remove());
-            }
+            this.removeInlineEditors();
         }
     }
 
@@ -480,10 +935,23 @@ class EmailEditor {
             menubar: false,
             toolbar_persist: true,
             plugins: 'link lists autolink',
-            toolbar: 'undo redo | bold italic underline | bullist numlist | link removeformat',
-            valid_elements: 'a[href|title|target|rel],strong/b,em/i,u,span[style],p,br,h1,h2,h3,h4,h5,h6',
+            toolbar: 'undo redo | bold italic underline | bullist numlist | link removeformat | mergetags',
+            valid_elements: 'a[href|title|target|rel],strong/b,em/i,u,span[style|class|contenteditable|data-merge-tag],p,br,h1,h2,h3,h4,h5,h6',
+            noneditable_class: 'merge-tag',
             branding: false,
             setup: (editor) => {
+                editor.ui.registry.addMenuButton('mergetags', {
+                    text: 'Merge Tags',
+                    tooltip: 'Insert personalization',
+                    fetch: (callback) => {
+                        callback(this.mergeTags.getTags().map(tag => ({
+                            type: 'menuitem',
+                            text: tag.label,
+                            onAction: () => editor.insertContent(this.mergeTags.createTokenHTML(tag.key))
+                        })));
+                    }
+                });
+
                 editor.on('init', () => {
                     editor.focus();
                 });
@@ -491,9 +959,12 @@ class EmailEditor {
                 editor.on('blur', () => {
                     const cleaned = this.sanitizeHTML(editor.getContent());
                     element.innerHTML = cleaned;
-                    setTimeout(() => editor.remove(), 0);
+                    this.mergeTags.protect(element);
+                    setTimeout(() => {
+                        editor.remove();
+                        this.recordChange('Edit text');
+                    }, 0);
                     this.showToast('Text updated');
-                    this.markUnsaved();
                 });
 
                 editor.on('keydown', (e) => {
@@ -530,11 +1001,12 @@ class EmailEditor {
         const blurHandler = () => {
             const cleaned = this.sanitizeHTML(element.innerHTML);
             element.innerHTML = cleaned;
+            this.mergeTags.protect(element);
             element.contentEditable = 'false';
             element.removeAttribute('data-editing');
             element.removeEventListener('blur', blurHandler);
             this.showToast('Text updated');
-            this.markUnsaved();
+            this.recordChange('Edit text');
         };
 
         element.addEventListener('blur', blurHandler);
@@ -570,67 +1042,90 @@ class EmailEditor {
 
         const preview = document.getElementById('email-preview');
 
-        // Apply to header
-        const header = preview.querySelector('#email-header');
-        if (header) {
-            console.log('Applying to header:', brandKit.primary_color, brandKit.text_color);
-            header.style.backgroundColor = brandKit.primary_color;
-            header.style.color = brandKit.text_color;
-
-            // Apply to nested editable elements in header
-            header.querySelectorAll('.editable-element').forEach(el => {
-                el.style.color = brandKit.text_color;
-            });
-        } else {
-            console.warn('Header element #email-header not found');
-        }
+        // Map the kit onto every brand role, remembering what it replaced
+        this.brandKitUndo = this.brandRoles.apply(preview);
 
-        // Apply to button
-        const button = preview.querySelector('#email-button');
-        if (button) {
-            console.log('Applying to button:', brandKit.primary_color, brandKit.text_color);
-            button.style.backgroundColor = brandKit.primary_color;
-            button.style.color = brandKit.text_color;
-        } else {
-            console.warn('Button element #email-button not found');
+        if (this.brandKitUndo.changes.length === 0) {
+            console.warn('No brand roles or brandable content found in template');
         }
 
         // Update UI
         this.brandKitApplied = true;
         this.updateBrandKitStatus(true);
         this.showToast('Brand kit applied');
-        this.markUnsaved();
+        this.recordChange('Apply brand kit');
     }
 
     /**
-     * Undo brand kit changes
+     * Switch to another named brand kit
+     * If a kit is already applied, its changes are undone and the new kit applied instead
      */
-    undoBrandKit() {
-        const preview = document.getElementById('email-preview');
+    async chooseBrandKit(id) {
+        try {
+            await window.brandKitManager.selectKit(id);
+        } catch (error) {
+            this.showError('Failed to load brand kit: ' + error.message);
+            this.renderBrandKitChooser();
+            return;
+        }
 
-        // Restore header
-        const header = preview.querySelector('#email-header');
-        if (header) {
-            header.style.backgroundColor = this.originalStyles.headerBG;
-            header.style.color = this.originalStyles.headerColor;
+        if (this.brandKitApplied) {
+            const preview = document.getElementById('email-preview');
 
-            header.querySelectorAll('.editable-element').forEach(el => {
-                el.style.color = this.originalStyles.headerColor;
-            });
-        }
+            this.brandRoles.restore(preview, this.brandKitUndo);
+            this.brandKitUndo = this.brandRoles.apply(preview);
 
-        // Restore button
-        const button = preview.querySelector('#email-button');
-        if (button) {
-            button.style.backgroundColor = this.originalStyles.buttonBG;
-            button.style.color = this.originalStyles.buttonColor;
+            this.showToast(`Brand kit "${window.brandKitManager.getKitName()}" applied`);
+            this.recordChange('Apply brand kit');
         }
 
+        this.updateBrandKitStatus(this.brandKitApplied);
+    }
+
+    /**
+     * Fill the brand kit chooser; hidden unless the organization has several kits
+     */
+    renderBrandKitChooser() {
+        const group = document.getElementById('brand-kit-chooser-group');
+        const chooser = document.getElementById('brand-kit-chooser');
+        if (!group || !chooser) return;
+
+        const kits = window.brandKitManager.getKits();
+        group.style.display = kits.length > 1 ? 'block' : 'none';
+
+        chooser.innerHTML = '';
+        kits.forEach(kit => {
+            const option = document.createElement('option');
+            option.value = kit.id;
+            option.textContent = kit.is_default ? `${kit.name} (default)` : kit.name;
+            chooser.appendChild(option);
+        });
+        chooser.value = window.brandKitManager.getCurrentKitId() || '';
+    }
+
+    /**
+     * Undo brand kit changes
+     */
+    undoBrandKit() {
+        const preview = document.getElementById('email-preview');
+
+        this.brandRoles.restore(preview, this.brandKitUndo);
+        this.brandKitUndo = null;
+
         // Update UI
         this.brandKitApplied = false;
         this.updateBrandKitStatus(false);
         this.showToast('Brand kit changes undone');
-        this.markUnsaved();
+        this.recordChange('Undo brand kit');
+    }
+
+    /**
+     * Check that a URL is safe to place in the template
+     * Shared by sanitizeHTML(), the link panel and image controls
+     */
+    isSafeUrl(url) {
+        const value = (url || '').trim().toLowerCase();
+        return !!value && !/^(javascript|vbscript|data):/.test(value.replace(/[\s\u0000-\u001f]/g, ''));
     }
 
     /**
@@ -649,7 +1144,9 @@ class EmailEditor {
             statusIcon.classList.add('success');
             statusIcon.textContent = '✓';
             statusTitle.textContent = 'Brand Kit Applied';
-            statusMessage.textContent = 'Your template has been updated with your brand colors.';
+            statusMessage.textContent = window.brandKitManager.getKits().length > 1
+                ? `Your template has been updated with the "${window.brandKitManager.getKitName()}" brand kit.`
+                : 'Your template has been updated with your brand colors.';
             applyBtn.style.display = 'none';
             undoBtn.style.display = 'block';
         } else {
@@ -666,39 +1163,64 @@ class EmailEditor {
     /**
      * Save content to database
      */
-    async saveContent() {
+    async saveContent(expectedUpdatedAt = this.content.updated_at) {
+        if (!this.envelopeControls.validate()) {
+            this.showError('Please fix the highlighted email details before saving');
+            return;
+        }
+
+        const updatedHTML = this.getCleanHTML();
+        const envelope = this.envelopeControls.getSaveValues();
+
+        const mergeTagError = this.validateMergeTags(updatedHTML, envelope);
+        if (mergeTagError) {
+            this.showError(mergeTagError);
+            return;
+        }
+
         try {
-            const preview = document.getElementById('email-preview');
-            const updatedHTML = preview.innerHTML;
+            const savedState = this.history.getCurrent();
 
             const response = await window.authManager.apiCall(
                 `/api/content.php?id=${this.contentId}`,
                 {
                     method: 'PUT',
                     body: JSON.stringify({
-                        email_body_html: updatedHTML
+                        ...envelope,
+                        email_body_html: updatedHTML,
+                        revision_note: this.revisionHistory.getNote(),
+                        expected_updated_at: expectedUpdatedAt
                     })
                 }
             );
 
-            if (!response.ok) {
-                throw new Error('Failed to save content');
-            }
-
             const data = await response.json();
 
-            if (data.success) {
-                this.hasUnsavedChanges = false;
-                this.showToast('Template saved successfully');
+            // Someone else saved since this version was loaded
+            if (response.status === 409) {
+                this.showConflictDialog(data.current);
+                return;
+            }
 
-                // Update meta
-                const metaEl = document.getElementById('content-meta');
-                if (metaEl) {
-                    metaEl.textContent = `Last edited ${new Date().toLocaleString()}`;
-                }
-            } else {
-                throw new Error('Save failed');
+            // Validation errors name the field to fix
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Failed to save content');
             }
+
+            Object.assign(this.content, envelope);
+            this.content.email_body_html = updatedHTML;
+            this.content.updated_at = data.updated_at;
+
+            this.history.markSaved(savedState);
+            this.hasUnsavedChanges = !this.history.isAtSavedState();
+            this.updateHistoryButtons();
+            this.showToast('Template saved successfully');
+
+            // Update meta
+            this.renderContentMeta(new Date());
+
+            this.revisionHistory.clearNote();
+            this.revisionHistory.load();
         } catch (error) {
             console.error('Error saving content:', error);
             this.showError('Failed to save: ' + error.message);
@@ -706,18 +1228,512 @@ class EmailEditor {
     }
 
     /**
-     * Show preview (placeholder)
+     * Show the save conflict dialog
+     */
+    showConflictDialog(current) {
+        this.conflict = current;
+
+        const message = document.getElementById('conflict-message');
+        if (message) {
+            const time = this.parseServerDate(current.updated_at);
+            const who = current.updated_by || 'Someone else';
+            message.textContent = `${who} saved this template${time ? ` at ${new Date(time).toLocaleString()}` : ''}, after you opened it.`;
+        }
+
+        document.getElementById('conflict-modal').style.display = 'flex';
+    }
+
+    /**
+     * Hide the save conflict dialog
+     */
+    hideConflictDialog() {
+        const modal = document.getElementById('conflict-modal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Resolve a save conflict: overwrite, reload or compare
+     */
+    async resolveConflict(choice) {
+        const current = this.conflict;
+        if (!current) return;
+
+        this.hideConflictDialog();
+
+        if (choice === 'overwrite') {
+            this.conflict = null;
+            // Overwrite only the version we were just shown
+            await this.saveContent(current.updated_at);
+        } else if (choice === 'reload') {
+            this.conflict = null;
+            try {
+                this.reloadContent(await this.fetchContent());
+                await this.revisionHistory.load();
+                this.showToast('Loaded the latest version');
+            } catch (error) {
+                console.error('Error reloading content:', error);
+                this.showError('Failed to reload: ' + error.message);
+            }
+        } else if (choice === 'compare') {
+            this.compareModal.open({
+                title: 'Compare Versions',
+                left: {
+                    label: 'Saved version',
+                    meta: `Saved by ${current.updated_by || 'someone else'}`,
+                    html: this.exporter.stripEditorArtifacts(current.email_body_html || '')
+                },
+                right: {
+                    label: 'Your version',
+                    meta: 'Unsaved changes',
+                    html: this.getPreviewHTML()
+                },
+                actions: [
+                    { label: 'Discard Mine & Reload', onClick: () => this.resolveConflict('reload') },
+                    { label: 'Overwrite with Mine', primary: true, onClick: () => this.resolveConflict('overwrite') }
+                ],
+                onClose: () => this.showConflictDialog(current)
+            });
+        }
+    }
+
+    /**
+     * Show preview modal
      */
     showPreview() {
-        // TODO: Open preview in new window/modal
-        alert('Preview functionality coming soon!');
+        this.previewModal.open({
+            html: this.getPreviewHTML(),
+            subject: this.envelopeControls.getSaveValues().email_subject,
+            fromAddress: this.envelopeControls.getSender()
+        });
+    }
+
+    /**
+     * Get preview HTML with all editor chrome removed
+     */
+    getPreviewHTML() {
+        return this.exporter.stripEditorArtifacts(this.getCleanHTML());
     }
 
     /**
-     * Mark content as having unsaved changes
+     * Get the email-client-safe export document
      */
-    markUnsaved() {
-        this.hasUnsavedChanges = true;
+    getExportHTML() {
+        const envelope = this.envelopeControls.getSaveValues();
+
+        return this.exporter.toEmailHTML(this.getCleanHTML(), {
+            title: envelope.email_subject || this.content?.title || '',
+            preheader: envelope.email_preheader
+        });
+    }
+
+    /**
+     * Download the template as a standalone HTML file
+     */
+    exportHTML() {
+        try {
+            const html = this.getExportHTML();
+            const filename = this.exporter.toFilename(this.content?.title, 'html');
+            this.exporter.download(filename, html, 'text/html;charset=utf-8');
+            this.showToast('HTML exported');
+        } catch (error) {
+            console.error('Error exporting HTML:', error);
+            this.showError('Failed to export HTML: ' + error.message);
+        }
+    }
+
+    /**
+     * Download the template as an RFC 822 .eml message
+     */
+    exportEML() {
+        try {
+            const envelope = this.envelopeControls.getSaveValues();
+            const eml = this.exporter.buildEML({
+                html: this.getExportHTML(),
+                subject: envelope.email_subject || this.content?.title || '',
+                from: this.exporter.formatAddress(envelope.email_from_name, envelope.email_from_address),
+                attachmentFilename: envelope.email_attachment_filename || this.content?.email_attachment_filename,
+                attachmentContent: this.content?.email_attachment_content
+            });
+            const filename = this.exporter.toFilename(this.content?.title, 'eml');
+            this.exporter.download(filename, eml, 'message/rfc822');
+            this.showToast('Email exported');
+        } catch (error) {
+            console.error('Error exporting email:', error);
+            this.showError('Failed to export email: ' + error.message);
+        }
+    }
+
+    /**
+     * Record a mutation in the undo history and update the unsaved flag
+     */
+    recordChange(label, coalesceKey = null) {
+        this.history.record(this.getSnapshot(), label, coalesceKey);
+        this.hasUnsavedChanges = !this.history.isAtSavedState();
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Get the user ID local drafts are stored under
+     */
+    getDraftUserId() {
+        const user = window.authManager ? window.authManager.getCurrentUser() : null;
+        return user ? (user.sub || user.email) : 'anonymous';
+    }
+
+    /**
+     * Debounce saving the local draft
+     */
+    scheduleDraftSave() {
+        // Don't overwrite a draft the user hasn't decided about yet
+        if (this.pendingDraft) return;
+
+        clearTimeout(this.draftTimer);
+        this.draftTimer = setTimeout(() => this.saveDraft(), 1000);
+    }
+
+    /**
+     * Save (or clear) the local draft for this content
+     */
+    async saveDraft() {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = null;
+
+        if (!this.content || !this.draftStore.isSupported()) return;
+
+        const userId = this.getDraftUserId();
+
+        try {
+            if (!this.hasUnsavedChanges) {
+                await this.draftStore.delete(userId, this.contentId);
+                this.updateDraftStatus(null);
+                return;
+            }
+
+            const draft = await this.draftStore.put(userId, this.contentId, {
+                ...this.getSnapshot(),
+                serverUpdatedAt: this.content.updated_at
+            });
+            this.updateDraftStatus(draft.savedAt);
+        } catch (error) {
+            console.error('Error saving local draft:', error);
+        }
+    }
+
+    /**
+     * Look for a local draft newer than the server version
+     */
+    async checkForDraft() {
+        if (!this.draftStore.isSupported()) return;
+
+        let draft;
+        try {
+            draft = await this.draftStore.get(this.getDraftUserId(), this.contentId);
+        } catch (error) {
+            console.error('Error reading local draft:', error);
+            return;
+        }
+
+        if (!draft) return;
+
+        if (this.history.isSameState(draft, this.getSnapshot())) {
+            await this.discardDraft(false);
+            return;
+        }
+
+        // A draft based on the loaded server version is always newer
+        const serverTime = this.parseServerDate(this.content.updated_at);
+        const isNewer = draft.serverUpdatedAt === this.content.updated_at ||
+            !serverTime ||
+            draft.savedAt > serverTime;
+
+        if (!isNewer) {
+            await this.discardDraft(false);
+            return;
+        }
+
+        this.pendingDraft = draft;
+
+        const banner = document.getElementById('draft-banner');
+        const message = document.getElementById('draft-banner-message');
+        if (message) {
+            message.textContent = `You have unsaved changes from ${new Date(draft.savedAt).toLocaleString()} that are newer than the saved version.`;
+        }
+        if (banner) {
+            banner.style.display = 'flex';
+        }
+    }
+
+    /**
+     * Restore the pending local draft
+     */
+    restoreDraft() {
+        const draft = this.pendingDraft;
+        if (!draft) return;
+
+        this.pendingDraft = null;
+        this.hideDraftBanner();
+
+        this.restoreSnapshot(draft);
+        this.recordChange('Restore draft');
+        this.showToast('Draft restored');
+    }
+
+    /**
+     * Discard the local draft
+     */
+    async discardDraft(notify = true) {
+        this.pendingDraft = null;
+        this.hideDraftBanner();
+
+        try {
+            await this.draftStore.delete(this.getDraftUserId(), this.contentId);
+        } catch (error) {
+            console.error('Error deleting local draft:', error);
+        }
+
+        this.updateDraftStatus(null);
+        if (notify) {
+            this.showToast('Draft discarded');
+        }
+
+        // Start protecting any edits made while the draft was pending
+        if (this.hasUnsavedChanges) {
+            this.scheduleDraftSave();
+        }
+    }
+
+    /**
+     * Compare the pending draft with the saved version
+     */
+    compareDraft() {
+        const draft = this.pendingDraft;
+        if (!draft) return;
+
+        this.compareModal.open({
+            title: 'Compare Draft with Saved Version',
+            left: {
+                label: 'Saved version',
+                meta: `Last saved ${new Date(this.parseServerDate(this.content.updated_at) || Date.now()).toLocaleString()}`,
+                html: this.exporter.stripEditorArtifacts(this.getCleanHTML())
+            },
+            right: {
+                label: 'Local draft',
+                meta: `Draft from ${new Date(draft.savedAt).toLocaleString()}`,
+                html: this.exporter.stripEditorArtifacts(draft.html)
+            },
+            actions: [
+                { label: 'Discard Draft', onClick: () => this.discardDraft() },
+                { label: 'Restore Draft', primary: true, onClick: () => this.restoreDraft() }
+            ]
+        });
+    }
+
+    /**
+     * Hide the draft recovery banner
+     */
+    hideDraftBanner() {
+        const banner = document.getElementById('draft-banner');
+        if (banner) {
+            banner.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show when the local draft was last written
+     */
+    updateDraftStatus(savedAt) {
+        const status = document.getElementById('draft-status');
+        if (!status) return;
+
+        status.textContent = savedAt
+            ? ` · Draft saved locally at ${new Date(savedAt).toLocaleTimeString()}`
+            : '';
+    }
+
+    /**
+     * Parse a server timestamp; values without a timezone are UTC, since the
+     * API runs its database sessions in UTC (see api/db.php)
+     */
+    parseServerDate(value) {
+        if (!value) return null;
+
+        let iso = String(value).replace(' ', 'T');
+        if (!/([zZ]|[+-]\d{2}:?\d{2})$/.test(iso)) {
+            iso += 'Z';
+        }
+
+        const time = Date.parse(iso);
+        return isNaN(time) ? null : time;
+    }
+
+    /**
+     * Capture the current editor state for the history stack
+     */
+    getSnapshot() {
+        return {
+            html: this.getCleanHTML(),
+            brandKitApplied: this.brandKitApplied,
+            envelope: this.envelopeControls.getValues()
+        };
+    }
+
+    /**
+     * Get preview HTML without selection and inline-editing artifacts
+     */
+    getCleanHTML() {
+        const preview = document.getElementById('email-preview');
+        const clone = preview.cloneNode(true);
+
+        clone.querySelectorAll('.selected').forEach(el => el.classList.remove('selected'));
+        clone.querySelectorAll('.mce-content-body, .mce-edit-focus').forEach(el => {
+            el.classList.remove('mce-content-body', 'mce-edit-focus');
+        });
+        this.mergeTags.unprotect(clone);
+        clone.querySelectorAll('[contenteditable], [data-editing], [spellcheck]').forEach(el => {
+            el.removeAttribute('contenteditable');
+            el.removeAttribute('data-editing');
+            el.removeAttribute('spellcheck');
+        });
+
+        return clone.innerHTML;
+    }
+
+    /**
+     * Restore a history snapshot into the preview
+     */
+    restoreSnapshot(state) {
+        const preview = document.getElementById('email-preview');
+
+        // Close any open TinyMCE editors before replacing their targets
+        this.removeInlineEditors();
+
+        this.deselectElement();
+        preview.innerHTML = state.html;
+        this.markEditableElements();
+
+        this.brandKitApplied = state.brandKitApplied;
+        this.updateBrandKitStatus(this.brandKitApplied);
+
+        if (state.envelope) {
+            this.envelopeControls.setValues(state.envelope);
+        }
+    }
+
+    /**
+     * Replace the editor content with a fresh copy from the server
+     * Clears undo history and the local draft
+     */
+    reloadContent(content) {
+        this.removeInlineEditors();
+
+        this.deselectElement();
+        this.content = content;
+        this.brandKitApplied = false;
+        this.renderContent();
+        this.updateBrandKitStatus(false);
+        this.saveDraft();
+    }
+
+    /**
+     * Undo the last change
+     */
+    undo() {
+        if (this.isInlineEditing()) return;
+
+        const label = this.history.getUndoLabel();
+        const state = this.history.undo();
+        if (!state) return;
+
+        this.restoreSnapshot(state);
+        this.hasUnsavedChanges = !this.history.isAtSavedState();
+        this.updateHistoryButtons();
+        this.showToast(`Undo: ${label}`);
+    }
+
+    /**
+     * Redo the last undone change
+     */
+    redo() {
+        if (this.isInlineEditing()) return;
+
+        const label = this.history.getRedoLabel();
+        const state = this.history.redo();
+        if (!state) return;
+
+        this.restoreSnapshot(state);
+        this.hasUnsavedChanges = !this.history.isAtSavedState();
+        this.updateHistoryButtons();
+        this.showToast(`Redo: ${label}`);
+    }
+
+    /**
+     * Handle Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y
+     */
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+
+        // Ignore while a preview is covering the editor
+        if (this.previewModal.isOpen() || this.revisionHistory.isPreviewing()) return;
+
+        // Let form fields and inline editors use their own undo
+        const active = document.activeElement;
+        if (active && (active.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(active.tagName))) {
+            return;
+        }
+        if (this.isInlineEditing()) return;
+
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
+        }
+    }
+
+    /**
+     * Get the open TinyMCE editors
+     * tinymce.editors was removed in TinyMCE 6; get() without an id returns them all
+     */
+    getInlineEditors() {
+        return window.tinymce ? tinymce.get() : [];
+    }
+
+    /**
+     * Close every open TinyMCE editor
+     */
+    removeInlineEditors() {
+        this.getInlineEditors().forEach(ed => ed.remove());
+    }
+
+    /**
+     * Check if an inline text editor is currently open
+     */
+    isInlineEditing() {
+        if (this.getInlineEditors().length > 0) return true;
+        return !!document.querySelector('#email-preview [data-editing]');
+    }
+
+    /**
+     * Update undo/redo toolbar buttons
+     */
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+
+        if (undoBtn) {
+            undoBtn.disabled = !this.history.canUndo();
+            undoBtn.title = this.history.canUndo() ? `Undo ${this.history.getUndoLabel()} (Ctrl+Z)` : 'Nothing to undo';
+        }
+
+        if (redoBtn) {
+            redoBtn.disabled = !this.history.canRedo();
+            redoBtn.title = this.history.canRedo() ? `Redo ${this.history.getRedoLabel()} (Ctrl+Shift+Z)` : 'Nothing to redo';
+        }
     }
 
     /**
@@ -751,12 +1767,9 @@ class EmailEditor {
                 }
             }
 
-            // Special handling for links
-            if (el.tagName === 'A') {
-                const href = (el.getAttribute('href') || '').trim();
-                if (href.toLowerCase().startsWith('javascript:')) {
-                    el.removeAttribute('href');
-                }
+            // Special handling for links (same rule as the link panel)
+            if (el.tagName === 'A' && el.hasAttribute('href') && !this.isSafeUrl(el.getAttribute('href'))) {
+                el.removeAttribute('href');
             }
         }
 
@@ -795,7 +1808,7 @@ class EmailEditor {
      * Hide loading screen
      */
     hideLoading() {
-        document.getElementById('loading').classList.add('hidden');
+        document.getElementById('editor-loading').classList.add('hidden');
         document.getElementById('editor-container').style.display = 'flex';
     }
 
@@ -821,7 +1834,5 @@ class EmailEditor {
     }
 }
 
-// Initialize editor when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    window.emailEditor = new EmailEditor();
-});
+// Export for use in other modules
+window.EmailEditor = EmailEditor;
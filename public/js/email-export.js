@@ -0,0 +1,650 @@
+/**
+ * Email Export Module
+ * Converts editor HTML into email-client-safe HTML and .eml files
+ */
+
+class EmailExporter {
+    constructor() {
+        // Classes the editor adds to template markup
+        this.editorClasses = ['editable-element', 'selected', 'text-edit-mode', 'mce-content-body', 'mce-edit-focus'];
+
+        // Attributes the editor and TinyMCE add to template markup
+        this.editorAttributes = ['contenteditable', 'data-editing', 'spellcheck', 'data-mce-style', 'data-mce-href', 'data-mce-selected', 'data-block', 'data-brand-role', 'data-logo-variant', 'data-brand-fonts'];
+
+        // Styles that make a div a layout container worth converting to a table
+        this.layoutProperties = ['background-color', 'background-image', 'padding', 'max-width', 'width', 'border', 'border-top', 'border-bottom', 'display'];
+
+        this.contentTypes = {
+            pdf: 'application/pdf',
+            htm: 'text/html',
+            html: 'text/html',
+            txt: 'text/plain',
+            csv: 'text/csv',
+            zip: 'application/zip',
+            doc: 'application/msword',
+            docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            xls: 'application/vnd.ms-excel',
+            xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            png: 'image/png',
+            jpg: 'image/jpeg',
+            jpeg: 'image/jpeg'
+        };
+    }
+
+    /**
+     * Remove editor-only classes and attributes from markup
+     */
+    stripEditorArtifacts(html) {
+        const tmp = document.createElement('div');
+        tmp.innerHTML = html;
+
+        tmp.querySelectorAll('*').forEach(el => {
+            this.editorClasses.forEach(cls => el.classList.remove(cls));
+            if (el.hasAttribute('class') && !el.className.trim()) {
+                el.removeAttribute('class');
+            }
+
+            this.editorAttributes.forEach(attr => el.removeAttribute(attr));
+
+            // IDs generated for TinyMCE targets
+            if (el.id && el.id.startsWith('editable-')) {
+                el.removeAttribute('id');
+            }
+        });
+
+        return tmp.innerHTML;
+    }
+
+    /**
+     * Convert editor HTML into a standalone email-client-safe document
+     */
+    toEmailHTML(html, options = {}) {
+        const root = document.createElement('div');
+        root.innerHTML = this.stripEditorArtifacts(html);
+
+        const retainedCSS = this.inlineCSS(root);
+        const outlookCSS = this.getOutlookFontCSS(root, retainedCSS);
+        this.absolutizeUrls(root);
+        this.convertLayoutToTables(root);
+        this.prepareImages(root);
+
+        return this.buildDocument(root.innerHTML, {
+            title: options.title || '',
+            preheader: options.preheader || '',
+            css: retainedCSS,
+            outlookCSS
+        });
+    }
+
+    /**
+     * Inline rules from <style> blocks into style attributes
+     * Existing inline declarations win; rules that cannot be inlined
+     * (media queries, pseudo-classes) are returned to keep in the <head>
+     */
+    inlineCSS(root) {
+        const retained = [];
+        const locked = new WeakMap();
+
+        root.querySelectorAll('style').forEach(styleEl => {
+            const sheet = new CSSStyleSheet();
+
+            try {
+                sheet.replaceSync(styleEl.textContent);
+            } catch (error) {
+                console.warn('Could not parse template styles:', error);
+                retained.push(styleEl.textContent);
+                styleEl.remove();
+                return;
+            }
+
+            Array.from(sheet.cssRules).forEach(rule => {
+                if (!(rule instanceof CSSStyleRule) || rule.selectorText.includes(':')) {
+                    retained.push(rule.cssText);
+                    return;
+                }
+
+                let targets;
+                try {
+                    targets = root.querySelectorAll(rule.selectorText);
+                } catch (error) {
+                    retained.push(rule.cssText);
+                    return;
+                }
+
+                targets.forEach(el => {
+                    if (!locked.has(el)) {
+                        locked.set(el, new Set(Array.from(el.style)));
+                    }
+                    const inlineProps = locked.get(el);
+
+                    for (let i = 0; i < rule.style.length; i++) {
+                        const prop = rule.style[i];
+                        if (inlineProps.has(prop)) continue;
+                        el.style.setProperty(prop, rule.style.getPropertyValue(prop), rule.style.getPropertyPriority(prop));
+                    }
+                });
+            });
+
+            styleEl.remove();
+        });
+
+        return retained.join('\n');
+    }
+
+    /**
+     * Build Outlook-only rules that swap web fonts for their fallback stacks
+     * Desktop Outlook ignores @font-face and shows Times New Roman instead of
+     * moving down the font stack, so the fallbacks are forced with !important
+     */
+    getOutlookFontCSS(root, css) {
+        const webFonts = Array.from(css.matchAll(/@font-face\s*\{[^}]*font-family:\s*["']?([^;"'}]+)/g))
+            .map(match => match[1].trim().toLowerCase());
+        if (webFonts.length === 0) return '';
+
+        // Fallback stack of the first element in the selector that uses a web font
+        const findFallback = (selector) => {
+            for (const el of root.querySelectorAll(selector)) {
+                const families = el.style.fontFamily.split(',').map(family => family.trim());
+                const first = families[0].replace(/^["']|["']$/g, '').toLowerCase();
+                if (families.length > 1 && webFonts.includes(first)) {
+                    return families.slice(1).join(', ');
+                }
+            }
+            return null;
+        };
+
+        const bodyFallback = findFallback('div, p, li, a, span, td');
+        const headingFallback = findFallback('h1, h2, h3, h4, h5, h6');
+        const rules = [];
+
+        if (bodyFallback) {
+            rules.push(`body, table, td, div, p, li, a, span { font-family: ${bodyFallback} !important; }`);
+        }
+        if (headingFallback) {
+            rules.push(`h1, h2, h3, h4, h5, h6 { font-family: ${headingFallback} !important; }`);
+        }
+
+        return rules.join('\n');
+    }
+
+    /**
+     * Make relative image and link URLs absolute so they resolve in mail clients
+     */
+    absolutizeUrls(root) {
+        const origin = window.location.origin;
+
+        root.querySelectorAll('img[src], a[href]').forEach(el => {
+            const attr = el.tagName === 'IMG' ? 'src' : 'href';
+            const value = el.getAttribute(attr);
+
+            if (value && value.startsWith('/') && !value.startsWith('//')) {
+                el.setAttribute(attr, origin + value);
+            }
+        });
+    }
+
+    /**
+     * Convert div-based layout and buttons to tables for Outlook and Gmail
+     */
+    convertLayoutToTables(root) {
+        root.querySelectorAll('a').forEach(link => {
+            if (this.isButton(link)) {
+                this.wrapButton(link);
+            }
+        });
+
+        // Deepest first so parents receive already-converted children
+        Array.from(root.querySelectorAll('div')).reverse().forEach(div => {
+            if (div.style.display === 'flex') {
+                this.convertFlexRow(div);
+            } else if (this.isLayoutDiv(div)) {
+                this.convertDiv(div);
+            }
+        });
+    }
+
+    /**
+     * Check if a div carries layout styles
+     */
+    isLayoutDiv(div) {
+        return this.layoutProperties.some(prop => div.style.getPropertyValue(prop));
+    }
+
+    /**
+     * Check if a link is styled as a button
+     */
+    isButton(link) {
+        const style = link.style;
+        return !!style.backgroundColor && (style.display === 'inline-block' || !!style.padding);
+    }
+
+    /**
+     * Create an empty presentation table with a single row
+     */
+    createLayoutTable() {
+        const table = document.createElement('table');
+        table.setAttribute('role', 'presentation');
+        table.setAttribute('border', '0');
+        table.setAttribute('cellpadding', '0');
+        table.setAttribute('cellspacing', '0');
+
+        const tbody = document.createElement('tbody');
+        const row = document.createElement('tr');
+        tbody.appendChild(row);
+        table.appendChild(tbody);
+
+        return { table, row };
+    }
+
+    /**
+     * Replace a styled div with a single-cell table
+     */
+    convertDiv(div) {
+        const { table, row } = this.createLayoutTable();
+        const cell = document.createElement('td');
+        row.appendChild(cell);
+
+        const style = div.style;
+        const maxWidth = style.maxWidth;
+
+        // Width and centering live on the table
+        if (maxWidth && maxWidth.endsWith('px')) {
+            table.setAttribute('width', parseInt(maxWidth, 10));
+            table.style.width = '100%';
+            table.style.maxWidth = maxWidth;
+        } else {
+            table.setAttribute('width', '100%');
+        }
+
+        if (style.marginLeft === 'auto' && style.marginRight === 'auto') {
+            table.setAttribute('align', 'center');
+            table.style.margin = '0 auto';
+        }
+
+        // Everything else moves to the cell
+        ['max-width', 'width', 'margin', 'margin-left', 'margin-right', 'margin-top', 'margin-bottom', 'display'].forEach(prop => {
+            style.removeProperty(prop);
+        });
+        cell.style.cssText = style.cssText;
+
+        const bgColor = this.toHex(style.backgroundColor);
+        if (bgColor) {
+            cell.setAttribute('bgcolor', bgColor);
+        }
+
+        if (style.textAlign) {
+            cell.setAttribute('align', style.textAlign);
+        }
+
+        if (div.id) {
+            table.id = div.id;
+        }
+
+        while (div.firstChild) {
+            cell.appendChild(div.firstChild);
+        }
+
+        div.replaceWith(table);
+    }
+
+    /**
+     * Replace a flex row with a multi-column table
+     */
+    convertFlexRow(div) {
+        const { table, row } = this.createLayoutTable();
+        table.setAttribute('width', '100%');
+
+        const columns = Array.from(div.children);
+        const gap = parseInt(div.style.gap || div.style.columnGap, 10) || 0;
+        const share = columns.length ? Math.floor(100 / columns.length) : 100;
+
+        columns.forEach((column, index) => {
+            const cell = document.createElement('td');
+            cell.setAttribute('valign', 'top');
+            cell.setAttribute('width', `${share}%`);
+            cell.style.width = `${share}%`;
+            cell.style.verticalAlign = 'top';
+
+            if (gap && index > 0) {
+                cell.style.paddingLeft = `${gap}px`;
+            }
+
+            cell.appendChild(column);
+            row.appendChild(cell);
+        });
+
+        // Keep the row's own decoration on a wrapping div so it can be converted too
+        ['display', 'gap', 'column-gap', 'flex-wrap', 'align-items', 'justify-content'].forEach(prop => {
+            div.style.removeProperty(prop);
+        });
+
+        div.appendChild(table);
+
+        if (this.isLayoutDiv(div)) {
+            this.convertDiv(div);
+        } else {
+            div.replaceWith(table);
+        }
+    }
+
+    /**
+     * Wrap a button link in a "bulletproof" table cell
+     */
+    wrapButton(link) {
+        const { table, row } = this.createLayoutTable();
+        const cell = document.createElement('td');
+        row.appendChild(cell);
+
+        const bgColor = this.toHex(link.style.backgroundColor);
+        if (bgColor) {
+            cell.setAttribute('bgcolor', bgColor);
+            cell.style.backgroundColor = bgColor;
+        }
+
+        if (link.style.borderRadius) {
+            cell.style.borderRadius = link.style.borderRadius;
+        }
+
+        const parent = link.parentElement;
+        if (parent && parent.style.textAlign === 'center') {
+            table.setAttribute('align', 'center');
+        }
+
+        link.style.display = 'inline-block';
+
+        // Tables are not allowed inside paragraphs; replace a paragraph that only holds the button
+        if (parent && parent.tagName === 'P') {
+            if (parent.textContent.trim() !== link.textContent.trim()) return;
+            parent.replaceWith(table);
+        } else {
+            link.replaceWith(table);
+        }
+
+        cell.appendChild(link);
+    }
+
+    /**
+     * Add attributes that older clients rely on for images
+     */
+    prepareImages(root) {
+        root.querySelectorAll('img').forEach(img => {
+            img.setAttribute('border', '0');
+
+            const width = parseInt(img.style.width, 10);
+            if (width && img.style.width.endsWith('px') && !img.hasAttribute('width')) {
+                img.setAttribute('width', width);
+            }
+
+            if (!img.hasAttribute('alt')) {
+                img.setAttribute('alt', '');
+            }
+        });
+    }
+
+    /**
+     * Wrap body markup in a complete email document
+     */
+    buildDocument(bodyHTML, { title, preheader, css, outlookCSS = '' }) {
+        const preheaderHTML = preheader
+            ? `<div style="display:none;max-height:0;overflow:hidden;mso-hide:all;">${this.escapeHtml(preheader)}</div>\n`
+            : '';
+
+        return `<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml" lang="en">
+<head>
+<meta http-equiv="Content-Type" content="text/html; charset=UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta http-equiv="X-UA-Compatible" content="IE=edge">
+<title>${this.escapeHtml(title)}</title>
+<!--[if mso]>
+<style>table, td { border-collapse: collapse; mso-table-lspace: 0pt; mso-table-rspace: 0pt; }${outlookCSS ? `\n${outlookCSS}` : ''}</style>
+<![endif]-->
+${css ? `<style>\n${css}\n</style>\n` : ''}</head>
+<body style="margin:0;padding:0;">
+${preheaderHTML}${bodyHTML}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Build an RFC 822 message with HTML and plain text parts
+     */
+    buildEML({ html, subject, from, attachmentFilename, attachmentContent }) {
+        const mixedBoundary = this.createBoundary('mixed');
+        const altBoundary = this.createBoundary('alt');
+        const hasAttachment = !!(attachmentFilename && attachmentContent);
+
+        const headers = [
+            `From: ${from || ''}`,
+            `Subject: ${this.encodeHeader(subject || '')}`,
+            `Date: ${new Date().toUTCString()}`,
+            'MIME-Version: 1.0',
+            'X-Unsent: 1'
+        ];
+
+        const alternative = [
+            `--${altBoundary}`,
+            'Content-Type: text/plain; charset=UTF-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            this.wrapBase64(this.utf8ToBase64(this.htmlToText(html))),
+            `--${altBoundary}`,
+            'Content-Type: text/html; charset=UTF-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            this.wrapBase64(this.utf8ToBase64(html)),
+            `--${altBoundary}--`
+        ];
+
+        let lines;
+
+        if (hasAttachment) {
+            const extension = attachmentFilename.split('.').pop().toLowerCase();
+            const contentType = this.contentTypes[extension] || 'application/octet-stream';
+            const filename = attachmentFilename.replace(/"/g, '');
+
+            lines = [
+                ...headers,
+                `Content-Type: multipart/mixed; boundary="${mixedBoundary}"`,
+                '',
+                `--${mixedBoundary}`,
+                `Content-Type: multipart/alternative; boundary="${altBoundary}"`,
+                '',
+                ...alternative,
+                `--${mixedBoundary}`,
+                `Content-Type: ${contentType}; name="${filename}"`,
+                `Content-Disposition: attachment; filename="${filename}"`,
+                'Content-Transfer-Encoding: base64',
+                '',
+                this.wrapBase64(this.attachmentToBase64(attachmentContent)),
+                `--${mixedBoundary}--`
+            ];
+        } else {
+            lines = [
+                ...headers,
+                `Content-Type: multipart/alternative; boundary="${altBoundary}"`,
+                '',
+                ...alternative
+            ];
+        }
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Normalize stored attachment content to base64
+     * Accepts base64 text, PostgreSQL hex bytea output or plain text
+     */
+    attachmentToBase64(content) {
+        if (content.startsWith('\\x')) {
+            const hex = content.slice(2);
+            let binary = '';
+            for (let i = 0; i < hex.length; i += 2) {
+                binary += String.fromCharCode(parseInt(hex.substr(i, 2), 16));
+            }
+            return btoa(binary);
+        }
+
+        const compact = content.replace(/\s/g, '');
+        if (compact.length % 4 === 0 && /^[A-Za-z0-9+/]+={0,2}$/.test(compact)) {
+            return compact;
+        }
+
+        return this.utf8ToBase64(content);
+    }
+
+    /**
+     * Convert HTML to a readable plain text alternative
+     */
+    htmlToText(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        doc.querySelectorAll('style, script, title').forEach(el => el.remove());
+
+        doc.querySelectorAll('a[href]').forEach(link => {
+            const href = link.getAttribute('href');
+            if (href && !href.startsWith('#') && link.textContent.trim() !== href) {
+                link.append(` (${href})`);
+            }
+        });
+
+        doc.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+        doc.querySelectorAll('p, div, h1, h2, h3, h4, h5, h6, li, tr').forEach(el => el.append('\n'));
+
+        return (doc.body ? doc.body.textContent : '')
+            .split('\n')
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * RFC 2047 encode a header value when it contains non-ASCII characters
+     * Encoded words are limited to 75 characters, so long values are split
+     * between whole characters and folded onto continuation lines
+     */
+    encodeHeader(value) {
+        if (/^[\x20-\x7E]*$/.test(value)) {
+            return value;
+        }
+
+        // 45 bytes encode to 60 base64 characters, plus 12 for =?UTF-8?B? and ?=
+        const maxBytes = 45;
+        const encoder = new TextEncoder();
+        const words = [];
+        let chunk = '';
+        let chunkBytes = 0;
+
+        for (const char of value) {
+            const bytes = encoder.encode(char).length;
+            if (chunkBytes + bytes > maxBytes) {
+                words.push(chunk);
+                chunk = '';
+                chunkBytes = 0;
+            }
+            chunk += char;
+            chunkBytes += bytes;
+        }
+        words.push(chunk);
+
+        return words.map(word => `=?UTF-8?B?${this.utf8ToBase64(word)}?=`).join('\r\n ');
+    }
+
+    /**
+     * Format a From header mailbox, e.g. "IT Support" <it@example.com>
+     */
+    formatAddress(name, address) {
+        if (!name) return address || '';
+        if (!address) return this.encodeHeader(name);
+
+        const displayName = /^[\x20-\x7E]*$/.test(name) ? `"${name.replace(/["\\]/g, '\\$&')}"` : this.encodeHeader(name);
+        return `${displayName} <${address}>`;
+    }
+
+    /**
+     * Base64 encode a UTF-8 string
+     */
+    utf8ToBase64(str) {
+        const bytes = new TextEncoder().encode(str);
+        let binary = '';
+        const chunkSize = 0x8000;
+
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+
+        return btoa(binary);
+    }
+
+    /**
+     * Wrap base64 at 76 characters per line
+     */
+    wrapBase64(base64) {
+        return (base64.match(/.{1,76}/g) || []).join('\r\n');
+    }
+
+    /**
+     * Create a unique MIME boundary
+     */
+    createBoundary(prefix) {
+        return `----=_${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2)}`;
+    }
+
+    /**
+     * Convert a CSS color to hex for bgcolor attributes
+     * Fully transparent colors return null so no bgcolor is set
+     */
+    toHex(color) {
+        if (!color) return null;
+        if (/^#[0-9A-Fa-f]{6}$/.test(color)) return color.toUpperCase();
+
+        const match = color.match(/rgba?\(([^)]+)\)/);
+        if (!match) return null;
+
+        const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(n => parseFloat(n));
+        if ([r, g, b].some(isNaN) || a === 0) return null;
+
+        return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1).toUpperCase();
+    }
+
+    /**
+     * Build a safe filename from a title
+     */
+    toFilename(title, extension) {
+        const slug = (title || 'email')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'email';
+        return `${slug}.${extension}`;
+    }
+
+    /**
+     * Trigger a file download in the browser
+     */
+    download(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Escape HTML special characters
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export for use in other modules
+window.EmailExporter = EmailExporter;
@@ -0,0 +1,238 @@
+/**
+ * Envelope Controls Module
+ * Sidebar panel for the subject, sender, preheader and attachment name
+ */
+
+class EnvelopeControls {
+    constructor(editor) {
+        this.editor = editor;
+        this.container = null;
+        this.hasAttachment = false;
+        this.fields = [
+            'email_subject',
+            'email_from_name',
+            'email_from_address',
+            'email_preheader',
+            'email_attachment_filename'
+        ];
+        this.labels = {
+            email_subject: 'Edit subject',
+            email_from_name: 'Edit sender name',
+            email_from_address: 'Edit sender address',
+            email_preheader: 'Edit preheader',
+            email_attachment_filename: 'Rename attachment'
+        };
+        this.maxLengths = {
+            email_subject: 255,
+            email_from_name: 100,
+            email_from_address: 255,
+            email_preheader: 150,
+            email_attachment_filename: 255
+        };
+
+        this.init();
+    }
+
+    /**
+     * Initialize sidebar controls
+     */
+    init() {
+        this.container = document.getElementById('envelope-controls');
+        if (!this.container) return;
+
+        this.container.querySelectorAll('[data-envelope-field]').forEach(input => {
+            const field = input.dataset.envelopeField;
+
+            input.addEventListener('input', () => {
+                this.showValidation(field, null);
+                this.updateCounter();
+                this.updateHeader();
+                this.editor.recordChange(this.labels[field], `envelope-${field}`);
+            });
+
+            input.addEventListener('blur', () => {
+                this.showValidation(field, this.validateField(field, input.value.trim()));
+            });
+        });
+    }
+
+    /**
+     * Load envelope fields from content
+     */
+    load(content) {
+        const values = {};
+        this.fields.forEach(field => {
+            values[field] = content[field] || '';
+        });
+        this.setValues(values);
+
+        // Only templates that ship with an attachment can rename it
+        this.hasAttachment = !!(content.email_attachment_filename || content.email_attachment_content);
+        const attachmentGroup = document.getElementById('envelope-attachment-group');
+        if (attachmentGroup) {
+            attachmentGroup.style.display = this.hasAttachment ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Get raw field values (used for undo snapshots)
+     */
+    getValues() {
+        const values = {};
+        this.fields.forEach(field => {
+            const input = this.getInput(field);
+            values[field] = input ? input.value : '';
+        });
+        return values;
+    }
+
+    /**
+     * Get trimmed field values ready to save
+     * The attachment name is left out when there is no attachment, so saving
+     * doesn't turn a missing filename into an empty one
+     */
+    getSaveValues() {
+        const values = this.getValues();
+        Object.keys(values).forEach(field => {
+            values[field] = values[field].trim();
+        });
+
+        if (!this.hasAttachment) {
+            delete values.email_attachment_filename;
+        }
+
+        return values;
+    }
+
+    /**
+     * Set field values
+     */
+    setValues(values) {
+        this.fields.forEach(field => {
+            const input = this.getInput(field);
+            if (input) {
+                input.value = values[field] || '';
+            }
+            this.showValidation(field, null);
+        });
+
+        this.updateCounter();
+        this.updateHeader();
+    }
+
+    /**
+     * Validate all fields, showing errors, and return whether they are valid
+     */
+    validate() {
+        const values = this.getSaveValues();
+        let valid = true;
+
+        Object.keys(values).forEach(field => {
+            const error = this.validateField(field, values[field]);
+            this.showValidation(field, error);
+            if (error) valid = false;
+        });
+
+        return valid;
+    }
+
+    /**
+     * Validate a single field, returning an error message or null
+     */
+    validateField(field, value) {
+        if (field === 'email_subject' && !value) {
+            return 'Subject is required';
+        }
+
+        if (value.length > this.maxLengths[field]) {
+            return `Must be ${this.maxLengths[field]} characters or fewer`;
+        }
+
+        if (/[\r\n]/.test(value)) {
+            return 'Line breaks are not allowed';
+        }
+
+        if (field === 'email_from_name' && /[<>"]/.test(value)) {
+            return 'Sender name cannot contain < > or "';
+        }
+
+        if (field === 'email_from_address' && value && !this.isValidEmail(value)) {
+            return 'Enter a valid email address, e.g. it@example.com';
+        }
+
+        if (field === 'email_attachment_filename' && /[\\/:*?"<>|]/.test(value)) {
+            return 'File name cannot contain \\ / : * ? " < > or |';
+        }
+
+        return null;
+    }
+
+    /**
+     * Check an email address
+     */
+    isValidEmail(value) {
+        return /^[^\s@<>"(),;]+@[^\s@<>"(),;]+\.[A-Za-z]{2,}$/.test(value);
+    }
+
+    /**
+     * Show or clear a field's validation message
+     */
+    showValidation(field, message) {
+        const input = this.getInput(field);
+        const errorEl = document.getElementById(`${field}-error`);
+
+        if (input) {
+            input.classList.toggle('invalid', !!message);
+        }
+
+        if (errorEl) {
+            errorEl.textContent = message || '';
+            errorEl.style.display = message ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Update the preheader character counter
+     */
+    updateCounter() {
+        const counter = document.getElementById('envelope-preheader-count');
+        const input = this.getInput('email_preheader');
+        if (!counter || !input) return;
+
+        const length = input.value.trim().length;
+        counter.textContent = `${length}/${this.maxLengths.email_preheader}`;
+        counter.classList.toggle('warning', length > 0 && (length < 40 || length > 130));
+    }
+
+    /**
+     * Show the subject in the editor header
+     */
+    updateHeader() {
+        const subjectEl = document.getElementById('content-subject');
+        if (!subjectEl) return;
+
+        const subject = this.getInput('email_subject')?.value.trim();
+        subjectEl.textContent = subject ? `Subject: ${subject} · ` : '';
+    }
+
+    /**
+     * Get the sender formatted for display, e.g. IT Support <it@example.com>
+     */
+    getSender() {
+        const { email_from_name: name, email_from_address: address } = this.getSaveValues();
+        if (name && address) return `${name} <${address}>`;
+        return name || address;
+    }
+
+    /**
+     * Get the input for a field
+     */
+    getInput(field) {
+        return this.container
+            ? this.container.querySelector(`[data-envelope-field="${field}"]`)
+            : null;
+    }
+}
+
+// Export for use in other modules
+window.EnvelopeControls = EnvelopeControls;
@@ -0,0 +1,268 @@
+/**
+ * Image Controls Module
+ * Sidebar controls for editing images in the email editor
+ */
+
+class ImageControls {
+    constructor(editor) {
+        this.editor = editor;
+        this.image = null;
+        this.container = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize sidebar controls
+     */
+    init() {
+        this.container = document.getElementById('image-controls');
+        if (!this.container) return;
+
+        const srcInput = document.getElementById('image-src-input');
+        const altInput = document.getElementById('image-alt-input');
+        const widthInput = document.getElementById('image-width-input');
+        const alignSelect = document.getElementById('image-align-select');
+        const linkInput = document.getElementById('image-link-input');
+        const uploadBtn = document.getElementById('image-upload-btn');
+        const fileInput = document.getElementById('image-file-input');
+
+        if (srcInput) {
+            srcInput.addEventListener('change', (e) => {
+                const url = e.target.value.trim();
+                if (!this.image || !url) return;
+
+                if (!this.editor.isSafeUrl(url)) {
+                    this.editor.showError('Invalid image URL');
+                    e.target.value = this.image.getAttribute('src') || '';
+                    return;
+                }
+
+                this.image.setAttribute('src', url);
+                this.editor.recordChange('Image source');
+            });
+        }
+
+        if (altInput) {
+            altInput.addEventListener('change', (e) => {
+                if (!this.image) return;
+                this.image.setAttribute('alt', e.target.value.trim());
+                this.editor.recordChange('Image alt text');
+            });
+        }
+
+        if (widthInput) {
+            widthInput.addEventListener('change', (e) => {
+                if (!this.image) return;
+
+                const width = parseInt(e.target.value, 10);
+                if (!width || width < 16) {
+                    e.target.value = this.getWidth();
+                    return;
+                }
+
+                this.image.style.width = `${width}px`;
+                this.image.style.maxWidth = '100%';
+                this.image.style.height = 'auto';
+                this.image.removeAttribute('height');
+                this.image.setAttribute('width', width);
+                this.editor.recordChange('Image width');
+            });
+        }
+
+        if (alignSelect) {
+            alignSelect.addEventListener('change', (e) => {
+                if (!this.image) return;
+                this.setAlignment(e.target.value);
+                this.editor.recordChange('Image alignment');
+            });
+        }
+
+        if (linkInput) {
+            linkInput.addEventListener('change', (e) => {
+                if (!this.image) return;
+
+                const url = e.target.value.trim();
+                if (url && !this.editor.isSafeUrl(url)) {
+                    this.editor.showError('Invalid link URL');
+                    e.target.value = this.getLink();
+                    return;
+                }
+
+                this.setLink(url);
+                this.editor.recordChange(url ? 'Link image' : 'Unlink image');
+            });
+        }
+
+        if (uploadBtn && fileInput) {
+            uploadBtn.addEventListener('click', () => fileInput.click());
+
+            fileInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (!file || !this.image) return;
+
+                const image = this.image;
+                uploadBtn.disabled = true;
+                uploadBtn.textContent = 'Uploading...';
+
+                try {
+                    const url = await this.uploadImage(file);
+                    image.setAttribute('src', url);
+                    if (srcInput && image === this.image) srcInput.value = url;
+                    this.editor.recordChange('Upload image');
+                    this.editor.showToast('Image uploaded');
+                } catch (error) {
+                    console.error('Error uploading image:', error);
+                    this.editor.showError('Failed to upload image: ' + error.message);
+                }
+
+                uploadBtn.disabled = false;
+                uploadBtn.textContent = 'Upload Image';
+                fileInput.value = '';
+            });
+        }
+    }
+
+    /**
+     * Show controls for an image
+     */
+    show(image) {
+        this.image = image;
+        if (!this.container) return;
+
+        document.getElementById('image-src-input').value = image.getAttribute('src') || '';
+        document.getElementById('image-alt-input').value = image.getAttribute('alt') || '';
+        document.getElementById('image-width-input').value = this.getWidth();
+        document.getElementById('image-align-select').value = this.getAlignment();
+        document.getElementById('image-link-input').value = this.getLink();
+
+        this.container.style.display = 'block';
+    }
+
+    /**
+     * Hide image controls
+     */
+    hide() {
+        this.image = null;
+        if (this.container) {
+            this.container.style.display = 'none';
+        }
+    }
+
+    /**
+     * Get current rendered width in pixels
+     */
+    getWidth() {
+        const styleWidth = parseInt(this.image.style.width, 10);
+        if (styleWidth && this.image.style.width.endsWith('px')) return styleWidth;
+
+        return parseInt(this.image.getAttribute('width'), 10) || Math.round(this.image.getBoundingClientRect().width) || '';
+    }
+
+    /**
+     * Get current alignment from block margins
+     */
+    getAlignment() {
+        const style = this.image.style;
+        if (style.display === 'block') {
+            if (style.marginLeft === 'auto' && style.marginRight === 'auto') return 'center';
+            if (style.marginLeft === 'auto') return 'right';
+            return 'left';
+        }
+
+        const parentAlign = this.image.parentElement && window.getComputedStyle(this.image.parentElement).textAlign;
+        return ['left', 'center', 'right'].includes(parentAlign) ? parentAlign : 'left';
+    }
+
+    /**
+     * Align image using block margins (works in all major email clients)
+     */
+    setAlignment(align) {
+        const margins = {
+            left: ['0', 'auto'],
+            center: ['auto', 'auto'],
+            right: ['auto', '0']
+        };
+        const [left, right] = margins[align] || margins.left;
+
+        this.image.style.display = 'block';
+        this.image.style.marginLeft = left;
+        this.image.style.marginRight = right;
+    }
+
+    /**
+     * Get link wrapping the image
+     */
+    getLink() {
+        const link = this.image.parentElement;
+        return link && link.tagName === 'A' ? link.getAttribute('href') || '' : '';
+    }
+
+    /**
+     * Wrap, update or remove the link around the image
+     */
+    setLink(url) {
+        const parent = this.image.parentElement;
+        const isLinked = parent && parent.tagName === 'A';
+
+        if (!url) {
+            if (isLinked) parent.replaceWith(this.image);
+            return;
+        }
+
+        if (isLinked) {
+            parent.setAttribute('href', url);
+            return;
+        }
+
+        const link = document.createElement('a');
+        link.setAttribute('href', url);
+        link.setAttribute('target', '_blank');
+        link.setAttribute('rel', 'noopener');
+        this.image.replaceWith(link);
+        link.appendChild(this.image);
+    }
+
+    /**
+     * Upload an image file for use in the template
+     */
+    async uploadImage(file) {
+        const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+        if (!allowedTypes.includes(file.type)) {
+            throw new Error('Invalid file type. Only JPG, PNG, GIF and WebP images are allowed');
+        }
+
+        const maxSize = 5 * 1024 * 1024;
+        if (file.size > maxSize) {
+            throw new Error(`File size exceeds 5MB limit. File is ${(file.size / 1024 / 1024).toFixed(2)}MB`);
+        }
+
+        const accessToken = window.authManager.getAccessToken();
+        if (!accessToken) {
+            throw new Error('Not authenticated');
+        }
+
+        const formData = new FormData();
+        formData.append('image', file);
+
+        // Don't use apiCall - the browser must set the multipart Content-Type
+        const response = await fetch(window.API_CONFIG.endpoints.uploadImage, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${accessToken}`
+            },
+            body: formData
+        });
+
+        const data = await response.json();
+
+        if (!response.ok || !data.success || !data.url) {
+            throw new Error(data.error || 'Upload failed');
+        }
+
+        return data.url;
+    }
+}
+
+// Export for use in other modules
+window.ImageControls = ImageControls;
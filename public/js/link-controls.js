@@ -0,0 +1,374 @@
+/**
+ * Link Controls Module
+ * Sidebar panel for editing links and calls-to-action with tracking parameters
+ */
+
+class LinkControls {
+    constructor(editor) {
+        this.editor = editor;
+        this.link = null;
+        this.container = null;
+        this.trackingDefaults = {};
+        this.trackingKeys = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term'];
+
+        this.init();
+    }
+
+    /**
+     * Initialize sidebar controls
+     */
+    init() {
+        this.container = document.getElementById('link-controls');
+        if (!this.container) return;
+
+        const urlInput = document.getElementById('link-url-input');
+        const utmToggle = document.getElementById('link-utm-toggle');
+        const applyBtn = document.getElementById('link-apply-btn');
+        const applyAllBtn = document.getElementById('link-apply-all-btn');
+        const saveDefaultsBtn = document.getElementById('link-utm-save-defaults');
+
+        if (urlInput) {
+            urlInput.addEventListener('input', () => this.showValidation(null));
+        }
+
+        if (utmToggle) {
+            utmToggle.addEventListener('change', () => {
+                document.getElementById('link-utm-fields').style.display = utmToggle.checked ? 'block' : 'none';
+            });
+        }
+
+        if (applyBtn) {
+            applyBtn.addEventListener('click', () => this.applyToLink());
+        }
+
+        if (applyAllBtn) {
+            applyAllBtn.addEventListener('click', () => this.applyToAllCTAs());
+        }
+
+        // Only org admins may change organization settings; the API enforces the same rule
+        if (saveDefaultsBtn) {
+            saveDefaultsBtn.style.display = window.authManager.can('settings:manage') ? '' : 'none';
+            saveDefaultsBtn.addEventListener('click', () => this.saveTrackingDefaults());
+        }
+    }
+
+    /**
+     * Load organization tracking defaults
+     */
+    async loadTrackingDefaults() {
+        try {
+            const response = await window.authManager.apiCall(
+                window.API_CONFIG.endpoints.settings,
+                { method: 'GET' }
+            );
+
+            if (!response.ok) {
+                throw new Error('Failed to load settings');
+            }
+
+            const data = await response.json();
+            if (data.success && data.settings) {
+                this.trackingDefaults = data.settings.link_tracking || {};
+            }
+        } catch (error) {
+            console.error('Error loading link tracking defaults:', error);
+        }
+    }
+
+    /**
+     * Save current tracking fields as organization defaults
+     */
+    async saveTrackingDefaults() {
+        const params = this.getTrackingParams();
+
+        try {
+            const response = await window.authManager.apiCall(
+                window.API_CONFIG.endpoints.settings,
+                {
+                    method: 'PUT',
+                    body: JSON.stringify({ link_tracking: params })
+                }
+            );
+
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Failed to save defaults');
+            }
+
+            this.trackingDefaults = data.settings.link_tracking;
+            this.editor.showToast('Tracking defaults saved for your organization');
+        } catch (error) {
+            console.error('Error saving link tracking defaults:', error);
+            this.editor.showError('Failed to save defaults: ' + error.message);
+        }
+    }
+
+    /**
+     * Show controls for a link
+     */
+    show(link) {
+        this.link = link;
+        if (!this.container) return;
+
+        const { url, params } = this.splitTrackingParams(link.getAttribute('href') || '');
+        const hasTracking = Object.keys(params).length > 0;
+
+        document.getElementById('link-url-input').value = url;
+        document.getElementById('link-title-input').value = link.getAttribute('title') || '';
+        document.getElementById('link-target-select').value = link.getAttribute('target') === '_blank' ? '_blank' : '';
+
+        // Existing parameters win over organization defaults
+        const utmToggle = document.getElementById('link-utm-toggle');
+        utmToggle.checked = hasTracking;
+        document.getElementById('link-utm-fields').style.display = hasTracking ? 'block' : 'none';
+
+        this.container.querySelectorAll('[data-utm]').forEach(input => {
+            const key = input.dataset.utm;
+            input.value = hasTracking ? (params[key] || '') : (this.trackingDefaults[key] || '');
+        });
+
+        const ctaCount = this.getCTAs().length;
+        const applyAllBtn = document.getElementById('link-apply-all-btn');
+        applyAllBtn.textContent = `Apply to all buttons (${ctaCount})`;
+        applyAllBtn.disabled = ctaCount < 2;
+
+        this.showValidation(null);
+        this.container.style.display = 'block';
+    }
+
+    /**
+     * Hide link controls
+     */
+    hide() {
+        this.link = null;
+        if (this.container) {
+            this.container.style.display = 'none';
+        }
+    }
+
+    /**
+     * Read the link form, returning null when invalid
+     */
+    readForm() {
+        const urlInput = document.getElementById('link-url-input');
+        let url = urlInput.value.trim();
+
+        // Bare domains get https://
+        if (/^[a-z0-9-]+(\.[a-z0-9-]+)+([/?#].*)?$/i.test(url)) {
+            url = 'https://' + url;
+            urlInput.value = url;
+        }
+
+        const error = this.validateUrl(url);
+        this.showValidation(error);
+        if (error) return null;
+
+        const useTracking = document.getElementById('link-utm-toggle').checked;
+
+        return {
+            href: useTracking ? this.addTrackingParams(url, this.getTrackingParams()) : url,
+            title: document.getElementById('link-title-input').value.trim(),
+            target: document.getElementById('link-target-select').value
+        };
+    }
+
+    /**
+     * Apply the form to the selected link
+     */
+    applyToLink() {
+        if (!this.link) return;
+
+        const values = this.readForm();
+        if (!values) return;
+
+        this.setLinkAttributes(this.link, values);
+        this.editor.recordChange('Edit link');
+        this.editor.showToast('Link updated');
+    }
+
+    /**
+     * Apply the form URL to every call-to-action in the template
+     */
+    applyToAllCTAs() {
+        const values = this.readForm();
+        if (!values) return;
+
+        const ctas = this.getCTAs();
+        if (!confirm(`Apply this URL to all ${ctas.length} buttons in the template?`)) {
+            return;
+        }
+
+        ctas.forEach(cta => this.setLinkAttributes(cta, values));
+        this.editor.recordChange('Edit all button links');
+        this.editor.showToast(`Updated ${ctas.length} buttons`);
+    }
+
+    /**
+     * Set href, title and target on a link
+     */
+    setLinkAttributes(link, { href, title, target }) {
+        link.setAttribute('href', href);
+
+        if (title) {
+            link.setAttribute('title', title);
+        } else {
+            link.removeAttribute('title');
+        }
+
+        if (target) {
+            link.setAttribute('target', target);
+            link.setAttribute('rel', 'noopener');
+        } else {
+            link.removeAttribute('target');
+            link.removeAttribute('rel');
+        }
+    }
+
+    /**
+     * Get all call-to-action links in the template
+     */
+    getCTAs() {
+        const preview = document.getElementById('email-preview');
+        return Array.from(preview.querySelectorAll('a')).filter(link => {
+            return ['cta', 'secondary-cta'].includes(this.editor.brandRoles.getRole(link)) || this.editor.exporter.isButton(link);
+        });
+    }
+
+    /**
+     * Validate a link URL, returning an error message or null
+     */
+    validateUrl(url) {
+        if (!url) {
+            return 'URL is required';
+        }
+
+        if (!this.editor.isSafeUrl(url)) {
+            return 'JavaScript and data URLs are not allowed';
+        }
+
+        if (url.startsWith('#') || /^(mailto|tel):/i.test(url)) {
+            return null;
+        }
+
+        // Merge tags may stand in for the whole URL
+        if (/^\{\{[^}]+\}\}/.test(url)) {
+            return null;
+        }
+
+        try {
+            const parsed = new URL(url);
+            if (!['http:', 'https:'].includes(parsed.protocol)) {
+                return 'Only http, https, mailto and tel links are supported';
+            }
+        } catch (error) {
+            return 'Enter a full URL, e.g. https://example.com';
+        }
+
+        return null;
+    }
+
+    /**
+     * Show or clear the validation message
+     */
+    showValidation(message) {
+        const errorEl = document.getElementById('link-url-error');
+        const urlInput = document.getElementById('link-url-input');
+
+        if (errorEl) {
+            errorEl.textContent = message || '';
+            errorEl.style.display = message ? 'block' : 'none';
+        }
+
+        if (urlInput) {
+            urlInput.classList.toggle('invalid', !!message);
+        }
+    }
+
+    /**
+     * Read tracking fields from the form
+     */
+    getTrackingParams() {
+        const params = {};
+        this.container.querySelectorAll('[data-utm]').forEach(input => {
+            params[input.dataset.utm] = input.value.trim();
+        });
+        return params;
+    }
+
+    /**
+     * Add tracking parameters to an http(s) URL
+     * Existing values for the same keys are replaced; merge tags are kept readable
+     */
+    addTrackingParams(url, params) {
+        if (!/^https?:/i.test(url)) return url;
+
+        const { url: base, params: existing } = this.splitTrackingParams(url);
+        const hashIndex = base.indexOf('#');
+        const hash = hashIndex >= 0 ? base.slice(hashIndex) : '';
+        const withoutHash = hashIndex >= 0 ? base.slice(0, hashIndex) : base;
+
+        const merged = { ...existing, ...params };
+        const query = this.trackingKeys
+            .filter(key => merged[key])
+            .map(key => `${key}=${this.encodeParam(merged[key])}`)
+            .join('&');
+
+        if (!query) return base;
+
+        const separator = withoutHash.includes('?') ? '&' : '?';
+        return withoutHash + separator + query + hash;
+    }
+
+    /**
+     * Split tracking parameters out of a URL
+     */
+    splitTrackingParams(url) {
+        const params = {};
+        const hashIndex = url.indexOf('#');
+        const hash = hashIndex >= 0 ? url.slice(hashIndex) : '';
+        const withoutHash = hashIndex >= 0 ? url.slice(0, hashIndex) : url;
+        const queryIndex = withoutHash.indexOf('?');
+
+        if (queryIndex < 0) {
+            return { url, params };
+        }
+
+        const kept = withoutHash.slice(queryIndex + 1).split('&').filter(pair => {
+            const [key, value = ''] = pair.split('=');
+            if (this.trackingKeys.includes(key)) {
+                params[key] = this.decodeParam(value);
+                return false;
+            }
+            return pair !== '';
+        });
+
+        const path = withoutHash.slice(0, queryIndex);
+        return {
+            url: path + (kept.length ? '?' + kept.join('&') : '') + hash,
+            params
+        };
+    }
+
+    /**
+     * Encode a query value, leaving {{merge_tags}} intact
+     */
+    encodeParam(value) {
+        return encodeURIComponent(value)
+            .replace(/%7B%7B/g, '{{')
+            .replace(/%7D%7D/g, '}}');
+    }
+
+    /**
+     * Decode a query value
+     */
+    decodeParam(value) {
+        try {
+            return decodeURIComponent(value.replace(/\+/g, ' '));
+        } catch (error) {
+            return value;
+        }
+    }
+}
+
+// Export for use in other modules
+window.LinkControls = LinkControls;
@@ -0,0 +1,217 @@
+/**
+ * Logo Colors Module
+ * Extracts dominant colors from a logo on a canvas and suggests brand colors
+ */
+
+class LogoColors {
+    constructor(brandKitManager) {
+        this.brandKitManager = brandKitManager;
+        this.sampleSize = 100;
+        this.colorCount = 6;
+        this.textCandidates = ['#FFFFFF', '#111827'];
+    }
+
+    /**
+     * Extract the dominant colors of an image, most common first
+     * Returns [{ color, share }] where share is the fraction of opaque pixels
+     */
+    async extract(url) {
+        const image = await this.loadImage(url);
+        const pixels = this.getPixels(image);
+        if (pixels.length === 0) return [];
+
+        const colors = this.quantize(pixels, this.colorCount)
+            .map(bucket => ({
+                color: this.average(bucket),
+                share: bucket.length / pixels.length
+            }))
+            .sort((a, b) => b.share - a.share);
+
+        return this.mergeSimilar(colors).filter(({ share }) => share >= 0.01);
+    }
+
+    /**
+     * Fold near-identical shades (e.g. anti-aliased edges) into the more common color
+     */
+    mergeSimilar(colors) {
+        const merged = [];
+
+        colors.forEach(entry => {
+            const rgb = this.brandKitManager.hexToRgb(entry.color);
+            const match = merged.find(({ color }) => {
+                const other = this.brandKitManager.hexToRgb(color);
+                return Math.hypot(rgb.r - other.r, rgb.g - other.g, rgb.b - other.b) < 32;
+            });
+
+            if (match) {
+                match.share += entry.share;
+            } else {
+                merged.push({ ...entry });
+            }
+        });
+
+        return merged;
+    }
+
+    /**
+     * Suggest primary, secondary and text colors from extracted colors
+     * Text colors are ranked by contrast against the given (or suggested) primary
+     */
+    suggest(colors, primary = null) {
+        // Prefer saturated, mid-luminance colors for the brand colors; greys and
+        // near-white/black are usually the logo's background or outline
+        const brandColors = colors.filter(({ color }) => !this.isNeutral(color));
+        const candidates = (brandColors.length ? brandColors : colors).map(({ color }) => color);
+
+        const primaryColor = primary || candidates[0] || null;
+
+        return {
+            primary: candidates,
+            secondary: candidates.filter(color => color !== primaryColor),
+            text: primaryColor ? this.rankTextColors(colors.map(({ color }) => color), primaryColor) : []
+        };
+    }
+
+    /**
+     * Rank text colors by contrast against a background, best first
+     */
+    rankTextColors(colors, background) {
+        const unique = [...new Set([...colors, ...this.textCandidates])]
+            .filter(color => color !== background);
+
+        return unique
+            .map(color => ({ color, ...this.brandKitManager.checkContrast(color, background) }))
+            .sort((a, b) => b.ratio - a.ratio);
+    }
+
+    /**
+     * Load an image so it can be drawn to a canvas
+     */
+    loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.crossOrigin = 'anonymous';
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Could not load logo image'));
+            image.src = url;
+        });
+    }
+
+    /**
+     * Draw the image at a small size and collect its opaque pixels as [r, g, b]
+     */
+    getPixels(image) {
+        const width = image.naturalWidth || image.width || this.sampleSize;
+        const height = image.naturalHeight || image.height || this.sampleSize;
+        const scale = Math.min(1, this.sampleSize / Math.max(width, height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+        const pixels = [];
+
+        for (let i = 0; i < data.length; i += 4) {
+            // Skip transparent pixels so logo backgrounds don't dominate
+            if (data[i + 3] >= 128) {
+                pixels.push([data[i], data[i + 1], data[i + 2]]);
+            }
+        }
+
+        return pixels;
+    }
+
+    /**
+     * Median cut: split the pixel bucket with the widest channel range until
+     * there are enough buckets. Buckets are split at the channel's mean rather
+     * than the median, so flat logo colors aren't cut in half and blended
+     */
+    quantize(pixels, count) {
+        const buckets = [pixels];
+
+        while (buckets.length < count) {
+            let widest = null;
+
+            buckets.forEach((bucket, index) => {
+                if (bucket.length < 2) return;
+
+                const range = this.getWidestChannel(bucket);
+                if (range.size > 0 && (!widest || range.size > widest.size)) {
+                    widest = { index, ...range };
+                }
+            });
+
+            // Every bucket is a single color
+            if (!widest) break;
+
+            const bucket = buckets[widest.index]
+                .slice()
+                .sort((a, b) => a[widest.channel] - b[widest.channel]);
+            const mean = bucket.reduce((sum, pixel) => sum + pixel[widest.channel], 0) / bucket.length;
+            const middle = bucket.findIndex(pixel => pixel[widest.channel] > mean);
+
+            buckets.splice(widest.index, 1, bucket.slice(0, middle), bucket.slice(middle));
+        }
+
+        return buckets.filter(bucket => bucket.length > 0);
+    }
+
+    /**
+     * Find the channel (0 = red, 1 = green, 2 = blue) with the widest range in a bucket
+     */
+    getWidestChannel(bucket) {
+        let result = { channel: 0, size: -1 };
+
+        [0, 1, 2].forEach(channel => {
+            let min = 255;
+            let max = 0;
+            bucket.forEach(pixel => {
+                if (pixel[channel] < min) min = pixel[channel];
+                if (pixel[channel] > max) max = pixel[channel];
+            });
+
+            if (max - min > result.size) {
+                result = { channel, size: max - min };
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Average a bucket of pixels into a hex color
+     */
+    average(bucket) {
+        const totals = bucket.reduce((sum, pixel) => {
+            sum[0] += pixel[0];
+            sum[1] += pixel[1];
+            sum[2] += pixel[2];
+            return sum;
+        }, [0, 0, 0]);
+
+        return this.brandKitManager.rgbToHex(
+            Math.round(totals[0] / bucket.length),
+            Math.round(totals[1] / bucket.length),
+            Math.round(totals[2] / bucket.length)
+        );
+    }
+
+    /**
+     * Check if a color is a grey, or close to white or black
+     */
+    isNeutral(hex) {
+        const { r, g, b } = this.brandKitManager.hexToRgb(hex);
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const saturation = max === 0 ? 0 : (max - min) / max;
+
+        return saturation < 0.2 || max < 40 || min > 225;
+    }
+}
+
+// Export for use in other modules
+window.LogoColors = LogoColors;
@@ -0,0 +1,333 @@
+/**
+ * Logo Processor Module
+ * Prepares a logo before upload: SVG sanitizing, trimming, resizing (with a
+ * 2x retina version), PNG conversion and background color
+ */
+
+class LogoProcessor {
+    constructor() {
+        this.defaults = {
+            trim: true,
+            crop: null,
+            maxWidth: 200,
+            maxHeight: 48,
+            retina: true,
+            convertToPng: false,
+            square: false,
+            background: null
+        };
+
+        // Keep in sync with sanitizeSvg() in api/upload-logo.php
+        this.svgBlockedElements = [
+            'script', 'foreignobject', 'iframe', 'frame', 'embed', 'object', 'applet',
+            'meta', 'link', 'base', 'handler', 'listener', 'audio', 'video',
+            'animate', 'animatemotion', 'animatetransform', 'set'
+        ];
+        this.svgSafeDataUrl = /^data:image\/(png|jpeg|gif|webp);base64,/i;
+    }
+
+    /**
+     * Process a logo file
+     * Returns { file, retinaFile, width, height, removed } where width/height are
+     * the display size, retinaFile is the 2x version (or null) and removed lists
+     * anything stripped from an SVG
+     */
+    async process(file, options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const baseName = file.name.replace(/\.[^.]+$/, '') || 'logo';
+        let source = file;
+        let removed = [];
+
+        if (this.isSVG(file)) {
+            const sanitized = this.sanitizeSVG(await file.text());
+            removed = sanitized.removed;
+
+            let svg = sanitized.svg;
+            if (settings.background) svg = this.addSVGBackground(svg, settings.background);
+            source = new Blob([svg], { type: 'image/svg+xml' });
+
+            // Vectors stay vectors unless PNG or a square icon was asked for; they are sharp at any size
+            if (!settings.convertToPng && !settings.square) {
+                const image = await this.loadImage(source);
+                const size = this.fitSize(image.naturalWidth || 300, image.naturalHeight || 150, settings, true);
+
+                return {
+                    file: new File([svg], `${baseName}.svg`, { type: 'image/svg+xml' }),
+                    retinaFile: null,
+                    width: size.width,
+                    height: size.height,
+                    removed
+                };
+            }
+        }
+
+        const image = await this.loadImage(source);
+        const scalable = this.isSVG(file);
+        let box = settings.crop || { x: 0, y: 0, width: image.naturalWidth || 300, height: image.naturalHeight || 150 };
+
+        if (settings.trim) {
+            box = this.findContentBox(image, box);
+        }
+
+        const size = this.fitSize(box.width, box.height, settings, scalable);
+        const type = this.getOutputType(file, settings);
+        const extension = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' }[type];
+
+        // Square icons center the logo on a square canvas
+        const side = Math.max(size.width, size.height);
+
+        const result = {
+            file: await this.render(image, box, size.width, size.height, settings.background, type, `${baseName}.${extension}`, settings.square),
+            retinaFile: null,
+            width: settings.square ? side : size.width,
+            height: settings.square ? side : size.height,
+            removed
+        };
+
+        // Only make a 2x version when there are real pixels to fill it
+        if (settings.retina) {
+            const scale = scalable ? 2 : Math.min(2, box.width / size.width);
+            if (scale > 1.2) {
+                result.retinaFile = await this.render(
+                    image, box,
+                    Math.round(size.width * scale), Math.round(size.height * scale),
+                    settings.background, type, `${baseName}@2x.${extension}`, settings.square
+                );
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Check if a file is an SVG
+     */
+    isSVG(file) {
+        return file.type === 'image/svg+xml' || /\.svg$/i.test(file.name || '');
+    }
+
+    /**
+     * Strip scripts, event handlers and external references from an SVG
+     * Returns { svg, removed }; throws if the markup is not an SVG document
+     */
+    sanitizeSVG(text) {
+        if (/<!ENTITY/i.test(text)) {
+            throw new Error('SVG files with entity declarations are not allowed');
+        }
+
+        const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+        const root = doc.documentElement;
+
+        if (doc.getElementsByTagName('parsererror').length || !root || root.localName !== 'svg') {
+            throw new Error('The file is not a valid SVG image');
+        }
+
+        const removed = [];
+
+        if (doc.doctype) {
+            doc.removeChild(doc.doctype);
+        }
+
+        // Processing instructions such as <?xml-stylesheet?> can load external CSS
+        Array.from(doc.childNodes)
+            .filter(node => node.nodeType === Node.PROCESSING_INSTRUCTION_NODE)
+            .forEach(node => {
+                removed.push(`<?${node.target}?>`);
+                node.remove();
+            });
+
+        Array.from(root.querySelectorAll('*')).concat(root).forEach(element => {
+            if (!element.isConnected) return;
+
+            if (this.svgBlockedElements.includes(element.localName.toLowerCase())) {
+                removed.push(`<${element.localName}>`);
+                element.remove();
+                return;
+            }
+
+            Array.from(element.attributes).forEach(attr => {
+                if (!this.isSafeSVGAttribute(attr.name, attr.value)) {
+                    removed.push(`${attr.name} on <${element.localName}>`);
+                    element.removeAttribute(attr.name);
+                }
+            });
+
+            if (element.localName === 'style') {
+                const css = this.sanitizeSVGStyle(element.textContent);
+                if (css !== element.textContent) {
+                    removed.push('external references in <style>');
+                    element.textContent = css;
+                }
+            }
+        });
+
+        return { svg: new XMLSerializer().serializeToString(root), removed };
+    }
+
+    /**
+     * Check an SVG attribute: no event handlers, script URLs or external references
+     */
+    isSafeSVGAttribute(name, value) {
+        const attrName = name.toLowerCase();
+        const compact = value.replace(/[\s\u0000-\u001f]/g, '').toLowerCase();
+
+        if (attrName.startsWith('on')) return false;
+
+        // Links may only point inside the document or at embedded raster images
+        if (attrName === 'href' || attrName.endsWith(':href') || attrName === 'src') {
+            return value.trim().startsWith('#') || this.svgSafeDataUrl.test(value.trim());
+        }
+
+        if (/^(javascript|vbscript|data):/.test(compact)) return false;
+
+        return this.sanitizeSVGStyle(value) === value;
+    }
+
+    /**
+     * Remove @import and url() references that leave the document from CSS
+     */
+    sanitizeSVGStyle(css) {
+        return css
+            .replace(/@import[^;]*;?/gi, '')
+            .replace(/url\(([^)]*)\)/gi, (match, target) => {
+                return target.trim().replace(/^['"]/, '').trim().startsWith('#') ? match : 'none';
+            })
+            .replace(/expression\s*\(/gi, '');
+    }
+
+    /**
+     * Put a solid background behind an SVG's content
+     */
+    addSVGBackground(svg, color) {
+        const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+        const root = doc.documentElement;
+
+        const rect = doc.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('width', '100%');
+        rect.setAttribute('height', '100%');
+        rect.setAttribute('fill', color);
+        rect.setAttribute('data-logo-background', 'true');
+
+        root.insertBefore(rect, root.firstChild);
+
+        return new XMLSerializer().serializeToString(root);
+    }
+
+    /**
+     * Load a file or blob as an image
+     */
+    loadImage(blob) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const image = new Image();
+
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not read the logo image'));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Find the smallest box inside the given one that contains non-transparent pixels
+     */
+    findContentBox(image, box) {
+        const canvas = document.createElement('canvas');
+        canvas.width = box.width;
+        canvas.height = box.height;
+
+        const context = canvas.getContext('2d');
+        context.drawImage(image, box.x, box.y, box.width, box.height, 0, 0, box.width, box.height);
+
+        const { data } = context.getImageData(0, 0, box.width, box.height);
+        let top = box.height;
+        let left = box.width;
+        let right = -1;
+        let bottom = -1;
+
+        for (let y = 0; y < box.height; y++) {
+            for (let x = 0; x < box.width; x++) {
+                if (data[(y * box.width + x) * 4 + 3] > 8) {
+                    if (x < left) left = x;
+                    if (x > right) right = x;
+                    if (y < top) top = y;
+                    if (y > bottom) bottom = y;
+                }
+            }
+        }
+
+        // Fully transparent (or nothing to trim)
+        if (right < 0) return box;
+
+        return {
+            x: box.x + left,
+            y: box.y + top,
+            width: right - left + 1,
+            height: bottom - top + 1
+        };
+    }
+
+    /**
+     * Fit a size inside the max display size, keeping the aspect ratio
+     * Raster images are never scaled up; scalable (SVG) ones are
+     */
+    fitSize(width, height, settings, scalable = false) {
+        let scale = Math.min(settings.maxWidth / width, settings.maxHeight / height);
+        if (!scalable) scale = Math.min(scale, 1);
+
+        return {
+            width: Math.max(1, Math.round(width * scale)),
+            height: Math.max(1, Math.round(height * scale))
+        };
+    }
+
+    /**
+     * Choose the output MIME type; GIFs and SVGs become PNG since canvases can't write them
+     */
+    getOutputType(file, settings) {
+        if (settings.convertToPng) return 'image/png';
+        if (file.type === 'image/jpeg' || file.type === 'image/webp') return file.type;
+        return 'image/png';
+    }
+
+    /**
+     * Draw part of an image at the given size and return it as a file
+     * With square, the canvas is padded to a square around the image
+     */
+    render(image, box, width, height, background, type, filename, square = false) {
+        const canvas = document.createElement('canvas');
+        canvas.width = square ? Math.max(width, height) : width;
+        canvas.height = square ? Math.max(width, height) : height;
+
+        const context = canvas.getContext('2d');
+        context.imageSmoothingQuality = 'high';
+
+        // JPEG has no transparency, so give it white unless a color was chosen
+        if (background || type === 'image/jpeg') {
+            context.fillStyle = background || '#FFFFFF';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        const x = Math.round((canvas.width - width) / 2);
+        const y = Math.round((canvas.height - height) / 2);
+        context.drawImage(image, box.x, box.y, box.width, box.height, x, y, width, height);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(new File([blob], filename, { type }));
+                } else {
+                    reject(new Error('Could not process the logo image'));
+                }
+            }, type, 0.92);
+        });
+    }
+}
+
+// Export for use in other modules
+window.LogoProcessor = LogoProcessor;
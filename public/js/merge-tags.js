@@ -0,0 +1,245 @@
+/**
+ * Merge Tags Module
+ * Recipient personalization tokens ({{first_name}}) and sample profiles
+ */
+
+class MergeTags {
+    constructor() {
+        this.tags = [
+            { key: 'first_name', label: 'First name' },
+            { key: 'last_name', label: 'Last name' },
+            { key: 'email', label: 'Email address' },
+            { key: 'department', label: 'Department' },
+            { key: 'manager_name', label: 'Manager name' },
+            { key: 'company_name', label: 'Company name' }
+        ];
+
+        this.profiles = [
+            {
+                id: 'alex',
+                label: 'Alex Morgan (Finance)',
+                values: {
+                    first_name: 'Alex',
+                    last_name: 'Morgan',
+                    email: 'alex.morgan@example.com',
+                    department: 'Finance',
+                    manager_name: 'Jordan Blake',
+                    company_name: 'Example Corp'
+                }
+            },
+            {
+                id: 'priya',
+                label: 'Priya Patel (Engineering)',
+                values: {
+                    first_name: 'Priya',
+                    last_name: 'Patel',
+                    email: 'priya.patel@example.com',
+                    department: 'Engineering',
+                    manager_name: 'Chris Nakamura',
+                    company_name: 'Example Corp'
+                }
+            },
+            {
+                id: 'sam',
+                label: 'Sam O\'Neill (Sales)',
+                values: {
+                    first_name: 'Sam',
+                    last_name: 'O\'Neill',
+                    email: 'sam.oneill@example.com',
+                    department: 'Sales',
+                    manager_name: 'Dana Whitfield',
+                    company_name: 'Example Corp'
+                }
+            }
+        ];
+
+        this.tokenPattern = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+    }
+
+    /**
+     * Get the available tags
+     */
+    getTags() {
+        return this.tags;
+    }
+
+    /**
+     * Check if a tag key is supported
+     */
+    isKnownTag(key) {
+        return this.tags.some(tag => tag.key === key);
+    }
+
+    /**
+     * Get sample recipient profiles, with the company name taken from the
+     * signed-in user's organization when available
+     */
+    getProfiles() {
+        const user = window.authManager ? window.authManager.getCurrentUser() : null;
+        const organization = user && user.organization;
+
+        if (!organization) return this.profiles;
+
+        return this.profiles.map(profile => ({
+            ...profile,
+            values: { ...profile.values, company_name: organization }
+        }));
+    }
+
+    /**
+     * Get a sample profile by ID
+     */
+    getProfile(id) {
+        return this.getProfiles().find(profile => profile.id === id) || null;
+    }
+
+    /**
+     * Create a protected token element for the editor
+     */
+    createToken(key) {
+        const token = document.createElement('span');
+        token.className = this.isKnownTag(key) ? 'merge-tag' : 'merge-tag unknown';
+        token.setAttribute('contenteditable', 'false');
+        token.setAttribute('data-merge-tag', key);
+        token.textContent = `{{${key}}}`;
+        return token;
+    }
+
+    /**
+     * Get protected token markup for the editor
+     */
+    createTokenHTML(key) {
+        return this.createToken(key).outerHTML;
+    }
+
+    /**
+     * Wrap {{tags}} in text nodes as protected tokens
+     * Safe to call repeatedly - existing tokens are left alone
+     */
+    protect(root) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => {
+                if (node.parentElement.closest('.merge-tag, style, script, textarea')) {
+                    return NodeFilter.FILTER_REJECT;
+                }
+                this.tokenPattern.lastIndex = 0;
+                return this.tokenPattern.test(node.nodeValue) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+            }
+        });
+
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        nodes.forEach(node => {
+            const fragment = document.createDocumentFragment();
+            const text = node.nodeValue;
+            let lastIndex = 0;
+
+            text.replace(this.tokenPattern, (match, key, offset) => {
+                if (offset > lastIndex) {
+                    fragment.appendChild(document.createTextNode(text.slice(lastIndex, offset)));
+                }
+                fragment.appendChild(this.createToken(key));
+                lastIndex = offset + match.length;
+                return match;
+            });
+
+            if (lastIndex < text.length) {
+                fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+            }
+
+            node.replaceWith(fragment);
+        });
+    }
+
+    /**
+     * Turn protected tokens back into plain {{tags}}
+     */
+    unprotect(root) {
+        root.querySelectorAll('.merge-tag[data-merge-tag]').forEach(token => {
+            token.replaceWith(document.createTextNode(`{{${token.dataset.mergeTag}}}`));
+        });
+        root.normalize();
+    }
+
+    /**
+     * Get plain-tag HTML for markup that may contain protected tokens
+     */
+    unprotectHTML(html) {
+        const tmp = document.createElement('div');
+        tmp.innerHTML = html;
+        this.unprotect(tmp);
+        return tmp.innerHTML;
+    }
+
+    /**
+     * Find unknown and malformed tags in the given texts
+     */
+    validate(texts) {
+        const unknown = new Set();
+        const malformed = new Set();
+
+        texts.filter(Boolean).forEach(text => {
+            const withoutTags = text.replace(/\{\{([^{}]*)\}\}/g, (match, inner) => {
+                const key = inner.trim();
+                if (!/^[A-Za-z0-9_]+$/.test(key)) {
+                    malformed.add(match);
+                } else if (!this.isKnownTag(key)) {
+                    unknown.add(key);
+                }
+                return '';
+            });
+
+            // Leftover braces mean a tag was not closed or opened
+            const stray = withoutTags.match(/\{\{[^}]{0,30}|[^{]{0,30}\}\}/g);
+            if (stray) {
+                stray.forEach(fragment => malformed.add(fragment.trim()));
+            }
+        });
+
+        return {
+            valid: unknown.size === 0 && malformed.size === 0,
+            unknown: Array.from(unknown),
+            malformed: Array.from(malformed)
+        };
+    }
+
+    /**
+     * Replace tags with a profile's values (HTML escaped)
+     */
+    substitute(html, profile) {
+        if (!profile) return html;
+
+        return html.replace(this.tokenPattern, (match, key) => {
+            return Object.prototype.hasOwnProperty.call(profile.values, key)
+                ? this.escapeHtml(profile.values[key])
+                : match;
+        });
+    }
+
+    /**
+     * Replace tags in plain text (e.g. the subject line)
+     */
+    substituteText(text, profile) {
+        if (!profile || !text) return text;
+
+        return text.replace(this.tokenPattern, (match, key) => {
+            return Object.prototype.hasOwnProperty.call(profile.values, key) ? profile.values[key] : match;
+        });
+    }
+
+    /**
+     * Escape text for use in HTML
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in other modules
+window.MergeTags = MergeTags;
@@ -0,0 +1,259 @@
+/**
+ * Preview Modal Module
+ * Renders the email in a sandboxed iframe with device and dark mode toggles
+ */
+
+class PreviewModal {
+    constructor(mergeTags = null) {
+        this.mergeTags = mergeTags;
+        this.modal = null;
+        this.frame = null;
+        this.device = 'desktop';
+        this.darkMode = false;
+        this.profileId = '';
+        this.html = '';
+        this.subject = '';
+        this.fromAddress = '';
+
+        this.devices = {
+            desktop: { width: '100%', maxWidth: '800px', label: 'Desktop' },
+            mobile: { width: '375px', maxWidth: '375px', label: 'Mobile' }
+        };
+
+        this.init();
+    }
+
+    /**
+     * Initialize modal elements and event listeners
+     */
+    init() {
+        this.modal = document.getElementById('preview-modal');
+        this.frame = document.getElementById('preview-frame');
+
+        if (!this.modal || !this.frame) {
+            console.warn('Preview modal markup not found');
+            return;
+        }
+
+        // Device toggles
+        this.modal.querySelectorAll('[data-device]').forEach(btn => {
+            btn.addEventListener('click', () => this.setDevice(btn.dataset.device));
+        });
+
+        // Dark mode toggle
+        const darkToggle = document.getElementById('preview-dark-toggle');
+        if (darkToggle) {
+            darkToggle.addEventListener('click', () => this.setDarkMode(!this.darkMode));
+        }
+
+        // Sample recipient profiles for merge tags
+        const profileSelect = document.getElementById('preview-profile-select');
+        if (profileSelect) {
+            if (this.mergeTags) {
+                profileSelect.addEventListener('change', () => this.setProfile(profileSelect.value));
+            } else {
+                profileSelect.style.display = 'none';
+            }
+        }
+
+        // Close button
+        const closeBtn = document.getElementById('preview-close-btn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.close());
+        }
+
+        // Close on backdrop click
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+            }
+        });
+
+        // Close on Escape
+        this.handleKeydown = (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        };
+        document.addEventListener('keydown', this.handleKeydown);
+    }
+
+    /**
+     * Remove the Escape listener when the editor closes
+     */
+    destroy() {
+        document.removeEventListener('keydown', this.handleKeydown);
+    }
+
+    /**
+     * Open the preview with the given email HTML and envelope details
+     */
+    open({ html, subject, fromAddress }) {
+        if (!this.modal) return;
+
+        this.html = html || '';
+        this.subject = subject || '';
+        this.fromAddress = fromAddress || '';
+
+        this.renderProfileOptions();
+        this.modal.style.display = 'flex';
+        this.render();
+    }
+
+    /**
+     * Fill the sample profile menu (profiles can depend on the signed-in user)
+     */
+    renderProfileOptions() {
+        const profileSelect = document.getElementById('preview-profile-select');
+        if (!profileSelect || !this.mergeTags) return;
+
+        const profiles = this.mergeTags.getProfiles();
+        if (!profiles.some(profile => profile.id === this.profileId)) {
+            this.profileId = '';
+        }
+
+        profileSelect.innerHTML = '';
+        profileSelect.appendChild(new Option('Show merge tags', ''));
+        profiles.forEach(profile => {
+            profileSelect.appendChild(new Option(`Preview as ${profile.label}`, profile.id));
+        });
+        profileSelect.value = this.profileId;
+    }
+
+    /**
+     * Switch the sample recipient used to fill merge tags ('' shows raw tags)
+     */
+    setProfile(profileId) {
+        this.profileId = profileId;
+        this.render();
+    }
+
+    /**
+     * Get the sample profile currently applied
+     */
+    getProfile() {
+        return this.mergeTags && this.profileId ? this.mergeTags.getProfile(this.profileId) : null;
+    }
+
+    /**
+     * Render the envelope details
+     */
+    renderEnvelope() {
+        const profile = this.getProfile();
+        const subjectEl = document.getElementById('preview-subject');
+        const fromEl = document.getElementById('preview-from');
+
+        if (subjectEl) {
+            const subject = profile ? this.mergeTags.substituteText(this.subject, profile) : this.subject;
+            subjectEl.textContent = subject || '(No subject)';
+        }
+
+        if (fromEl) {
+            const fromAddress = profile ? this.mergeTags.substituteText(this.fromAddress, profile) : this.fromAddress;
+            fromEl.textContent = fromAddress || '(No sender)';
+        }
+    }
+
+    /**
+     * Close the preview
+     */
+    close() {
+        if (!this.modal) return;
+
+        this.modal.style.display = 'none';
+        this.frame.srcdoc = '';
+    }
+
+    /**
+     * Check if the preview is open
+     */
+    isOpen() {
+        return !!this.modal && this.modal.style.display !== 'none';
+    }
+
+    /**
+     * Switch preview device
+     */
+    setDevice(device) {
+        if (!this.devices[device]) return;
+
+        this.device = device;
+
+        this.modal.querySelectorAll('[data-device]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.device === device);
+        });
+
+        this.applyDeviceSize();
+    }
+
+    /**
+     * Toggle dark mode rendering
+     */
+    setDarkMode(enabled) {
+        this.darkMode = enabled;
+
+        const darkToggle = document.getElementById('preview-dark-toggle');
+        if (darkToggle) {
+            darkToggle.classList.toggle('active', enabled);
+        }
+
+        this.modal.querySelector('.preview-stage').classList.toggle('dark', enabled);
+        this.render();
+    }
+
+    /**
+     * Resize the frame wrapper for the current device
+     */
+    applyDeviceSize() {
+        const wrapper = document.getElementById('preview-frame-wrapper');
+        const size = this.devices[this.device];
+
+        if (wrapper) {
+            wrapper.style.width = size.width;
+            wrapper.style.maxWidth = size.maxWidth;
+            wrapper.classList.toggle('mobile', this.device === 'mobile');
+        }
+    }
+
+    /**
+     * Render the current HTML into the iframe
+     */
+    render() {
+        if (!this.frame) return;
+
+        this.applyDeviceSize();
+        this.renderEnvelope();
+        this.frame.srcdoc = this.buildDocument();
+    }
+
+    /**
+     * Build a standalone HTML document for the iframe
+     * Dark mode emulates the full color inversion applied by clients such as
+     * Outlook.com and the Gmail apps, keeping images in their original colors
+     */
+    buildDocument() {
+        const darkCSS = this.darkMode ? `
+            html { background: #ffffff; filter: invert(1) hue-rotate(180deg); }
+            img, video, [style*="background-image"] { filter: invert(1) hue-rotate(180deg); }
+        ` : '';
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="color-scheme" content="${this.darkMode ? 'dark' : 'light'}">
+    <base target="_blank">
+    <style>
+        body { margin: 0; padding: 16px 0; background: #ffffff; }
+        img { max-width: 100%; height: auto; }
+        ${darkCSS}
+    </style>
+</head>
+<body>${this.getProfile() ? this.mergeTags.substitute(this.html, this.getProfile()) : this.html}</body>
+</html>`;
+    }
+}
+
+// Export for use in other modules
+window.PreviewModal = PreviewModal;
@@ -0,0 +1,273 @@
+/**
+ * Revision History Module
+ * Sidebar panel listing saved revisions with preview and restore
+ */
+
+class RevisionHistory {
+    constructor(editor) {
+        this.editor = editor;
+        this.revisions = [];
+        this.previewing = null;
+        this.list = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize panel elements and event listeners
+     */
+    init() {
+        this.list = document.getElementById('revision-list');
+        if (!this.list) return;
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-revision-action]');
+            if (!button) return;
+
+            const revision = this.revisions.find(r => r.id === button.dataset.revisionId);
+            if (!revision) return;
+
+            if (button.dataset.revisionAction === 'preview') {
+                this.preview(revision);
+            } else if (button.dataset.revisionAction === 'restore') {
+                this.restore(revision);
+            }
+        });
+
+        const refreshBtn = document.getElementById('revision-refresh-btn');
+        if (refreshBtn) {
+            refreshBtn.addEventListener('click', () => this.load());
+        }
+
+        const restoreBtn = document.getElementById('revision-preview-restore-btn');
+        if (restoreBtn) {
+            restoreBtn.addEventListener('click', () => {
+                if (this.previewing) this.restore(this.previewing);
+            });
+        }
+
+        const closeBtn = document.getElementById('revision-preview-close-btn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.closePreview());
+        }
+    }
+
+    /**
+     * Load revisions for the current content
+     */
+    async load() {
+        if (!this.list) return;
+
+        try {
+            const response = await window.authManager.apiCall(
+                `/api/content.php?id=${encodeURIComponent(this.editor.contentId)}&revisions`,
+                { method: 'GET' }
+            );
+
+            if (!response.ok) {
+                throw new Error('Failed to load revisions');
+            }
+
+            const data = await response.json();
+            this.revisions = data.success ? data.revisions : [];
+            this.render();
+        } catch (error) {
+            console.error('Error loading revisions:', error);
+            this.list.innerHTML = '<p class="revision-empty">Revision history is unavailable.</p>';
+        }
+    }
+
+    /**
+     * Render the revision list
+     */
+    render() {
+        if (this.revisions.length === 0) {
+            this.list.innerHTML = '<p class="revision-empty">No revisions yet. Each save creates one.</p>';
+            return;
+        }
+
+        this.list.innerHTML = this.revisions.map((revision, index) => `
+            <div class="revision-item${this.previewing && this.previewing.id === revision.id ? ' active' : ''}">
+                <div class="revision-info">
+                    <strong>${this.escapeHtml(this.formatDate(revision.created_at))}${index === 0 ? ' <span class="revision-current">Current</span>' : ''}</strong>
+                    <span>${this.escapeHtml(this.getAuthor(revision))}</span>
+                    ${revision.note ? `<em>${this.escapeHtml(revision.note)}</em>` : ''}
+                </div>
+                <div class="revision-actions">
+                    <button type="button" class="btn" data-revision-action="preview" data-revision-id="${this.escapeHtml(revision.id)}">Preview</button>
+                    ${index === 0 ? '' : `<button type="button" class="btn" data-revision-action="restore" data-revision-id="${this.escapeHtml(revision.id)}">Restore</button>`}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Fetch a revision including its HTML
+     */
+    async fetchRevision(revisionId) {
+        const response = await window.authManager.apiCall(
+            `/api/content.php?id=${encodeURIComponent(this.editor.contentId)}&revision=${encodeURIComponent(revisionId)}`,
+            { method: 'GET' }
+        );
+
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || 'Failed to load revision');
+        }
+
+        return data.revision;
+    }
+
+    /**
+     * Show a revision in the preview pane in place of the editor
+     */
+    async preview(revision) {
+        try {
+            const full = await this.fetchRevision(revision.id);
+
+            this.editor.deselectElement();
+            this.previewing = revision;
+
+            document.getElementById('revision-preview-title').textContent =
+                `Revision from ${this.formatDate(revision.created_at)} by ${this.getAuthor(revision)}`;
+            document.getElementById('revision-preview-note').textContent = revision.note || '';
+            document.getElementById('revision-preview-restore-btn').style.display =
+                revision.id === this.revisions[0].id ? 'none' : '';
+            document.getElementById('revision-preview-frame').srcdoc = `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <base target="_blank">
+    <style>body { margin: 0; padding: 16px 0; background: #ffffff; } img { max-width: 100%; height: auto; }</style>
+</head>
+<body>${this.editor.exporter.stripEditorArtifacts(full.email_body_html || '')}</body>
+</html>`;
+
+            document.getElementById('email-preview').style.display = 'none';
+            document.getElementById('revision-preview').style.display = 'flex';
+            this.render();
+        } catch (error) {
+            console.error('Error previewing revision:', error);
+            this.editor.showError('Failed to preview revision: ' + error.message);
+        }
+    }
+
+    /**
+     * Return from revision preview to the editor
+     */
+    closePreview() {
+        this.previewing = null;
+
+        const container = document.getElementById('revision-preview');
+        if (container) {
+            container.style.display = 'none';
+            document.getElementById('revision-preview-frame').srcdoc = '';
+        }
+
+        document.getElementById('email-preview').style.display = '';
+        if (this.list) this.render();
+    }
+
+    /**
+     * Check if a revision is being previewed
+     */
+    isPreviewing() {
+        return this.previewing !== null;
+    }
+
+    /**
+     * Restore a revision as a new revision
+     * expectedUpdatedAt is passed when retrying after a conflict the user has
+     * already seen; otherwise the version loaded in the editor is expected
+     */
+    async restore(revision, expectedUpdatedAt = null) {
+        if (!expectedUpdatedAt) {
+            const message = this.editor.hasUnsavedChanges
+                ? `Restore the revision from ${this.formatDate(revision.created_at)}? Your unsaved changes will be lost.`
+                : `Restore the revision from ${this.formatDate(revision.created_at)}? It will be saved as a new revision.`;
+
+            if (!confirm(message)) return;
+        }
+
+        try {
+            const response = await window.authManager.apiCall(
+                `/api/content.php?id=${encodeURIComponent(this.editor.contentId)}&restore=${encodeURIComponent(revision.id)}`,
+                {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        note: this.getNote(),
+                        expected_updated_at: expectedUpdatedAt || this.editor.content.updated_at
+                    })
+                }
+            );
+
+            const data = await response.json();
+
+            // Someone else saved since this version was loaded; restoring
+            // anyway replaces only the version we tell the user about
+            if (response.status === 409) {
+                const who = data.current.updated_by || 'Someone else';
+                const when = this.formatDate(data.current.updated_at);
+                if (confirm(`${who} saved this template at ${when}, after you opened it. Restore the revision anyway?`)) {
+                    await this.restore(revision, data.current.updated_at);
+                }
+                return;
+            }
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Restore failed');
+            }
+
+            this.clearNote();
+            this.closePreview();
+            this.editor.reloadContent(data.content);
+            this.editor.showToast('Revision restored');
+            await this.load();
+        } catch (error) {
+            console.error('Error restoring revision:', error);
+            this.editor.showError('Failed to restore revision: ' + error.message);
+        }
+    }
+
+    /**
+     * Get the note to attach to the next save
+     */
+    getNote() {
+        const input = document.getElementById('revision-note-input');
+        return input ? input.value.trim() : '';
+    }
+
+    /**
+     * Clear the note after it has been used
+     */
+    clearNote() {
+        const input = document.getElementById('revision-note-input');
+        if (input) input.value = '';
+    }
+
+    /**
+     * Get a display name for a revision author
+     */
+    getAuthor(revision) {
+        return revision.author_name || revision.author_email || 'Unknown author';
+    }
+
+    /**
+     * Format a server timestamp for display
+     */
+    formatDate(value) {
+        const time = this.editor.parseServerDate(value);
+        return time ? new Date(time).toLocaleString() : value;
+    }
+
+    /**
+     * Escape text for use in HTML
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other modules
+window.RevisionHistory = RevisionHistory;
@@ -0,0 +1,205 @@
+/**
+ * Router Module
+ * History API routing for the portal: maps paths such as /library/:tab to
+ * handlers, with guards that can keep the user on the current page
+ */
+
+class Router {
+    constructor() {
+        this.routes = [];
+        this.guards = [];
+        this.fallback = null;
+        this.currentUrl = null;
+        this.currentIndex = 0;
+        this.started = false;
+        this.init();
+    }
+
+    /**
+     * Listen for back/forward and for clicks on in-app links
+     */
+    init() {
+        window.addEventListener('popstate', () => this.handlePopState());
+
+        // Links marked data-route navigate without reloading the page
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[data-route]');
+            if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+                return;
+            }
+
+            e.preventDefault();
+            this.navigate(link.getAttribute('href'));
+        });
+    }
+
+    /**
+     * Add a route; path segments starting with ":" are parameters
+     */
+    add(pattern, handler) {
+        const names = [];
+        const source = pattern.split('/').map(segment => {
+            if (segment.startsWith(':')) {
+                names.push(segment.slice(1));
+                return '([^/]+)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('/');
+
+        this.routes.push({
+            pattern,
+            regex: new RegExp(`^${source}/?$`),
+            names,
+            handler
+        });
+
+        return this;
+    }
+
+    /**
+     * Set the handler for paths no route matches
+     */
+    setFallback(handler) {
+        this.fallback = handler;
+        return this;
+    }
+
+    /**
+     * Add a guard, called as guard(to, from) before leaving the current URL
+     * Returning false keeps the user where they are
+     */
+    addGuard(guard) {
+        this.guards.push(guard);
+        return this;
+    }
+
+    /**
+     * Find the route and parameters for a path
+     */
+    match(path) {
+        for (const route of this.routes) {
+            const match = path.match(route.regex);
+            if (match) {
+                const params = {};
+                route.names.forEach((name, index) => {
+                    params[name] = decodeURIComponent(match[index + 1]);
+                });
+                return { route, params };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Go to a URL (path with optional query)
+     * replace swaps the current history entry instead of adding one; force
+     * skips the guards. Returns false if a guard stopped the navigation
+     */
+    navigate(url, { replace = false, force = false } = {}) {
+        const target = new URL(url, window.location.origin);
+        const to = target.pathname + target.search + target.hash;
+
+        if (to === this.currentUrl) return true;
+        if (!force && !this.canLeave(to)) return false;
+
+        const index = replace ? this.currentIndex : this.currentIndex + 1;
+        window.history[replace ? 'replaceState' : 'pushState']({ routerIndex: index }, '', to);
+        this.resolve();
+
+        return true;
+    }
+
+    /**
+     * Check if there is an earlier in-app page to go back to
+     */
+    canGoBack() {
+        return this.currentIndex > 0;
+    }
+
+    /**
+     * Go back to the previous in-app page, or replace the current one with
+     * fallback when there isn't one. The guards run either way
+     */
+    back(fallback) {
+        if (this.canGoBack()) {
+            window.history.back();
+        } else {
+            this.navigate(fallback, { replace: true });
+        }
+    }
+
+    /**
+     * Ask every guard whether the current URL can be left for another
+     */
+    canLeave(to) {
+        return this.guards.every(guard => guard(to, this.currentUrl) !== false);
+    }
+
+    /**
+     * Run the handler for the current URL
+     */
+    resolve() {
+        const path = window.location.pathname;
+        const matched = this.match(path);
+        const context = {
+            path,
+            params: matched ? matched.params : {},
+            query: new URLSearchParams(window.location.search)
+        };
+
+        this.currentUrl = this.getLocationUrl();
+        this.currentIndex = window.history.state?.routerIndex ?? 0;
+
+        if (matched) {
+            matched.route.handler(context);
+        } else if (this.fallback) {
+            this.fallback(context);
+        }
+    }
+
+    /**
+     * Start routing from the current URL
+     */
+    start() {
+        if (window.history.state?.routerIndex === undefined) {
+            window.history.replaceState({ ...window.history.state, routerIndex: 0 }, '', this.getLocationUrl());
+        }
+
+        this.started = true;
+        this.resolve();
+    }
+
+    /**
+     * Back/forward has already changed the URL, so a guard that says no moves
+     * back to the current entry, keeping the history on either side of it
+     */
+    handlePopState() {
+        if (!this.started) return;
+
+        const to = this.getLocationUrl();
+        if (to === this.currentUrl) return;
+
+        if (!this.canLeave(to)) {
+            const index = window.history.state?.routerIndex;
+            if (index === undefined || index === this.currentIndex) {
+                window.history.replaceState({ routerIndex: this.currentIndex }, '', this.currentUrl);
+            } else {
+                window.history.go(this.currentIndex - index);
+            }
+            return;
+        }
+
+        this.resolve();
+    }
+
+    /**
+     * Get the current path, query and hash
+     */
+    getLocationUrl() {
+        return window.location.pathname + window.location.search + window.location.hash;
+    }
+}
+
+// Export for use in other modules
+window.Router = Router;